@@ -7,8 +7,9 @@ http模块 → 创建Web服务器，处理HTTP请求
 
 用 url.parse() 分离路径和查询参数
 用流式读取处理 POST/PUT 数据
-为方便前后端分离 开发允许跨域请求
-可以使用用正则加上字符串判断实现简单路由
+为方便前后端分离 开发允许白名单中的来源跨域请求（CORS_ORIGINS）
+路由集中写在 ROUTES 表里（见 matchRoute）：路径参数按类型校验，格式不对返回 400，方法不支持返回 405
+每个路由有请求体上限（默认 MAX_BODY_BYTES），超过返回 413
 
 JSON 格式统一
 所有 API 响应都用统一格式
@@ -21,14 +22,72 @@ JSON 格式统一
 这样前端可以统一处理响应还有易于调试
 
 RESTful API 设计
-GET    /api/books                 查询所有 - Read All
+GET    /api/books                 查询列表 - Read All（支持搜索、按作者/标签/分类/语言筛选、排序、分页）
 POST   /api/books                 创建新的 - Create
-PUT    /api/books/:index          更新指定 - Update
-DELETE /api/books/:index          删除指定 - Delete
-GET    /api/books/:index/content  读取文件内容
-POST   /api/books/:index/content  写入文件内容
+GET    /api/books/:id             查询指定 - Read One
+PUT    /api/books/:id             更新指定 - Update
+DELETE /api/books/:id             删除指定 - Delete（移入回收站，TRASH_RETENTION_DAYS 天后自动清除）
+GET    /api/books/:id/content     读取文件内容（mode=sync|async|stream|page）
+POST   /api/books/:id/content     写入文件内容
+POST   /api/books/upload          上传 TXT 创建书籍（自动识别 GBK/GB18030/UTF-16 并转成 UTF-8）
+POST   /api/books/:id/upload      上传 TXT 替换书籍内容
+GET    /api/books/:id/cover       封面图片（PUT 上传 PNG/JPEG/GIF/WebP，DELETE 移除）
+GET    /api/books/:id/progress    当前用户的阅读进度（PUT 保存）
+GET    /api/books/:id/bookmarks   当前用户的书签（POST 添加，PUT/DELETE .../bookmarks/:itemId 重命名/删除）
+GET    /api/books/:id/notes       当前用户的划线笔记（POST 添加，PUT/DELETE .../notes/:itemId 修改/删除）
+GET    /api/books/export          导出书目 CSV / JSON（?format=csv|json）
+POST   /api/books/import          导入书目 CSV / JSON（?dryRun=1 只预检）
+GET    /api/books/:id/export      导出 EPUB 3 / TXT（?format=epub|txt）
+POST   /api/books/import/epub     导入 EPUB 创建书籍
+POST   /api/books/batch           批量修改、设置作者/标签、删除（全部校验通过才执行，一次写入 book.json）
+GET    /api/books/:id/chapters    章节目录（PUT 调整顺序，POST 添加章节）
+GET    /api/books/:id/chapters/:n 读取单个章节（PUT 重命名/修改，DELETE 删除）
+GET    /api/books/:id/revisions   历史版本列表（内容写入和信息修改都会保存版本）
+GET    /api/books/:id/revisions/diff?from=&to=  按行对比两个版本
+GET    /api/books/:id/revisions/:rev            查看版本（POST .../restore 恢复）
+GET    /api/admin/integrity       书库完整性检查（POST /api/admin/integrity/repair 修复，仅管理员；命令行 node main.js check [--repair] [--json]）
+GET    /opds                      OPDS 书目（阅读器 App 添加书库用，支持 HTTP Basic 认证）
+GET    /api/backup                下载整库备份 ZIP（书籍信息、内容、封面、阅读记录和校验清单，仅管理员）
+POST   /api/restore               从备份恢复（?mode=replace 替换整库 | merge 只添加缺少的书，?dryRun=1 只预检，仅管理员）
+GET    /api/stats                 藏书统计（总数、按作者/年份分布、字数、最大/最小、最近修改）
+GET    /api/audit                 操作日志（按书籍、操作类型、用户、日期筛选，仅管理员）
+GET    /api/events                实时通知（Server-Sent Events，书籍增删改和内容写入时推送）
+GET    /api/search?q=             全文检索（中文按单字 + 相邻两字建倒排索引）
+GET    /api/schema/book           书籍信息字段定义（前端据此生成表单，服务端据此校验）
+POST   /api/auth/login            登录（{ username, password }，成功后设置会话 Cookie；连续失败过多时返回 429）
+POST   /api/auth/logout           退出登录
+GET    /api/auth/me               当前登录用户
+GET    /api/users                 用户列表（POST 添加用户，PUT/DELETE /api/users/:id 修改/删除，仅管理员）
+GET    /api/trash                 回收站列表（DELETE 清空，仅管理员）
+POST   /api/trash/:id/restore     从回收站恢复（DELETE /api/trash/:id 彻底删除）
 
-book.json 是数组结构，可以使用索引
+用户与权限
+除登录接口和静态文件外，所有接口都需要先登录
+reader 只能 GET，以及保存自己的阅读进度、书签和笔记；editor 可以添加、修改书籍和写入内容；admin 可以删除书籍、管理用户、查看操作日志和备份恢复整个书库
+第一次启动时自动创建 admin 账号（密码取 ADMIN_PASSWORD，未设置时随机生成并打印在控制台）
+设置 BACKUP_INTERVAL_HOURS 后定时把整库备份到 ./备份/（保留最近 BACKUP_KEEP 个，默认 7）
+备份大小上限由 BACKUP_MAX_MB 设置（默认 500，指解压后的大小），超过时拒绝备份；恢复接受的上限随之调整
+跨域只对 CORS_ORIGINS 环境变量中的来源开放（逗号分隔，默认 localhost 和 127.0.0.1 的当前端口）
+
+配置与嵌入
+直接运行 node main.js 时从命令行参数或环境变量读取端口、监听地址、数据目录等（见 parseCliOptions），
+例如 node main.js --port 8080 --data-dir /srv/library 或 PORT=8080 DATA_DIR=/srv/library node main.js
+在其他程序或测试中 require('./main.js').createBookServer({ dataDir, booksDir, publicDir, port, host, printRoutes })
+创建实例，调用 listen() 启动、close() 关闭；配置和会话、索引等内存状态都在实例自己的书库上下文（ctx）中，
+数据目录不同的多个实例可以同时运行。接口列表默认不打印，printRoutes 或 --print-routes 打开
+保留数量、备份、会话、操作日志和章节格式等设置也可以按实例传入（revisionLimit、backupMaxMb、backupIntervalHours、
+backupKeep、trashRetentionDays、sessionTtlHours、auditMaxMb、auditKeepFiles、chapterPattern），
+省略时取对应的环境变量（REVISION_LIMIT、BACKUP_MAX_MB 等），见 createLibraryContext
+接口测试在 test/ 下，用 node --test 运行，每组用例在临时目录中创建自己的实例
+
+命令行管理
+node main.js list | search | show | add | edit | delete | attach | import | export | stats [--json]
+不启动服务直接管理 book.json 和 ./书籍/，校验规则与接口相同，修改记入操作日志（见 ADMIN_COMMANDS，node main.js help 查看用法）
+
+book.json 是数组结构，但数组下标会在删除后整体前移，不能当作书籍的身份
+每本书在创建时分配一个永久不变的 id（UUID）存进 book.json，
+所有接口和内容文件名都以 id 为准，书籍文件为 ./书籍/book_<id>.txt
+旧版本按下标命名的 book_N.txt 在服务启动时一次性迁移（见 migrateBookIds）
 
 同步/异步设计
 同步操作用于需要立即返回结果的场景
@@ -41,9 +100,16 @@ writeBooks() → fs.writeFileSync()  写入 book.json
 book.json 是核心数据，操作频繁且需要立即确认结果
 书籍内容用异步，里面的数据可能很大，避免阻塞服务器
 
+并发与崩溃安全
+所有写入都先写同目录的临时文件、fsync 后再 rename 覆盖，中途崩溃也不会留下写了一半的文件
+book.json 每次写入成功后同时更新备份 book.json.bak；启动时发现 book.json 损坏会从备份恢复
+book.json 的读-改-写全程同步，单线程下不会交错；内容的读-改-写是异步的，用 withLock 按书籍排队
+乐观并发：GET 返回 ETag，PUT/DELETE 书籍和写入内容时带上 If-Match，
+数据已被别人改过则返回 412 和当前数据，不带 If-Match 时不检查
+
 参数校验中间件设计
 中间件要求有独立的验证函数
-添加新规则只需增加判断
+字段和规则集中写在 BOOK_SCHEMA 里，添加新字段只需增加一项定义，校验和前端表单都跟着变
 validateBookData(data) {
     返回错误数组，而不是 true/false，可以一次性显示所有错误
     return ['书籍名称不能为空', '日期格式不正确']
@@ -51,13 +117,14 @@ validateBookData(data) {
 
 静态文件服务思路
 if (!pathname.startsWith('/api/')) {
-    非API请求 = 静态文件请求
-    根据扩展名判断 MIME 类型
-    读取文件
-    返回正确的 Content-Type
+    非API请求 = 静态文件请求（见 serveStaticFile）
+    先解码路径再解析，不在 public/ 内的一律拒绝
+    根据扩展名判断 MIME 类型，只有文本类型带 charset
+    ETag / Last-Modified 命中时返回 304
+    按 Accept-Encoding 返回 br / gzip，压缩结果缓存在内存中
 }
 用 path.extname() 获取扩展名
-维护 mimeTypes 映射表
+维护 STATIC_TYPES 映射表
 区分 API 和静态文件使用/api/前缀
 
 错误处理
@@ -66,7 +133,12 @@ try-catch → 捕获 JSON 解析错误
 fs 回调 → 捕获文件操作错误
 HTTP 状态码 → 告知客户端错误类型
     400: 客户端参数错误
+    401: 未登录或登录已过期
+    403: 角色权限不足或请求来源不在白名单中
     404: 资源不存在
+    405: 路径存在但不支持该请求方法（响应带 Allow 头）
+    412: If-Match 与当前版本不一致
+    413: 请求体超过上限
     500: 服务器内部错误
 
 
@@ -82,6 +154,7 @@ HTTP 状态码 → 告知客户端错误类型
 添加书籍 → 表单提交 → API 调用 → 刷新列表
 编辑书籍 → 打开模态框 → 回填数据 → 提交更新
 查看内容 → 模态框 → 同步/异步读取 → 可写入新内容
+阅读 → 全屏分页 → 翻页时保存进度到服务器 → 下次（或换设备）从上次的位置继续
 
 
 数据流设计
@@ -101,9 +174,10 @@ JSON 响应 → 前端
 更新界面 + 提示消息
 
 文件路径管理思路
-使用 path.join
-path.join(__dirname, '书籍', `book_${i}.txt`)：
+使用 path.join，统一由 getBookFilePath(id) 生成
+path.join(__dirname, '书籍', `book_${id}.txt`)：
 这样可以避免路径注入攻击，并自动处理多余的斜杠
+id 只允许 BOOK_ID_REGEX 匹配的字符，且必须能在 book.json 中找到才会拼路径
 
 OK，理论成立，开始实战
 */
@@ -113,39 +187,202 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// JSON 请求体的大小上限，上传文件的接口各有自己的上限
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+// 书库上下文：一个书库的端口、路径配置和内存状态（会话、全文索引、各种缓存）
+// createBookServer 和命令行各自创建一个，作为第一个参数传给所有读写数据的函数，
+// 所以同一进程里可以同时运行多个数据目录不同的书库服务
+// 写锁（按书籍 id）和静态文件的压缩缓存（按文件路径）不会串到别的书库，仍然是模块级的
+// options: { dataDir, booksDir, publicDir, port, host, maxBodyBytes }，省略的项用默认值
+// dataDir 下的数据文件和目录跟着 dataDir 走；booksDir、publicDir 可以单独指定
+// 各模块的设置（保留数量、备份、会话、操作日志、章节格式）省略时取对应的环境变量，都没有时用默认值
+// chapterPattern（或 CHAPTER_PATTERN）不是有效的正则时抛出错误
+function createLibraryContext(options = {}) {
+    const port = options.port !== undefined ? options.port : 3000;
+    // 数据目录：book.json、users.json 和下面各个数据目录都放在这里
+    const dataDir = path.resolve(options.dataDir || __dirname);
+    const auditDir = path.join(dataDir, '操作日志');
+    const backupMaxBytes = Math.min(numericSetting(options.backupMaxMb, 'BACKUP_MAX_MB', 500, true), 4000) * 1024 * 1024;
+    return {
+        port,
+        // 监听地址，undefined 表示所有地址
+        host: options.host || undefined,
+        dataDir,
+        // 书籍数据文件，以及最近一次成功写入的备份（book.json 损坏时用它恢复）
+        bookJsonPath: path.join(dataDir, 'book.json'),
+        bookBackupPath: path.join(dataDir, 'book.json.bak'),
+        // 书籍文件目录
+        bookDir: path.resolve(options.booksDir || path.join(dataDir, '书籍')),
+        // 公共资源目录
+        publicDir: path.resolve(options.publicDir || path.join(__dirname, 'public')),
+        revisionDir: path.join(dataDir, '历史版本'),
+        coverDir: path.join(dataDir, '封面'),
+        trashDir: path.join(dataDir, '回收站'),
+        // 阅读记录（进度、书签和笔记）
+        readingDir: path.join(dataDir, '阅读记录'),
+        // 自动备份
+        backupDir: path.join(dataDir, '备份'),
+        // 完整性修复时隔离的孤立文件和转码前的原文件
+        quarantineDir: path.join(dataDir, '隔离区'),
+        auditDir,
+        auditLogPath: path.join(auditDir, 'audit.log'),
+        usersJsonPath: path.join(dataDir, 'users.json'),
+        maxBodyBytes: options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES,
+        corsOrigins: getCorsOrigins(port),
+        // 各模块的设置，含义见对应的模块
+        revisionLimit: numericSetting(options.revisionLimit, 'REVISION_LIMIT', 20, true),
+        backupMaxBytes,
+        backupUploadMaxBytes: getBackupUploadMaxBytes(backupMaxBytes),
+        backupIntervalMs: numericSetting(options.backupIntervalHours, 'BACKUP_INTERVAL_HOURS', 0) * 60 * 60 * 1000,
+        backupKeep: numericSetting(options.backupKeep, 'BACKUP_KEEP', 7, true),
+        trashRetentionDays: numericSetting(options.trashRetentionDays, 'TRASH_RETENTION_DAYS', 30, true),
+        sessionTtlMs: numericSetting(options.sessionTtlHours, 'SESSION_TTL_HOURS', 12, true) * 60 * 60 * 1000,
+        auditMaxBytes: numericSetting(options.auditMaxMb, 'AUDIT_MAX_MB', 5, true) * 1024 * 1024,
+        auditKeepFiles: numericSetting(options.auditKeepFiles, 'AUDIT_KEEP_FILES', 10, true),
+        chapterRegexes: createChapterRegexes(options.chapterPattern || process.env.CHAPTER_PATTERN || DEFAULT_CHAPTER_PATTERN),
+        // 以下是内存状态，各自的格式见对应的模块
+        searchIndex: createSearchIndex(),
+        pageCheckpoints: new Map(),
+        contentStatsCache: new Map(),
+        revisionTimes: new Map(),
+        creatingBookIds: new Set(),
+        sessions: new Map(),
+        loginFailures: new Map(),
+        eventClients: new Set(),
+        opdsAuthCache: new Map()
+    };
+}
+
+// 数值设置：value 省略时取环境变量 envName，不是正数时用 fallback；integer 为 true 时取整数
+function numericSetting(value, envName, fallback, integer) {
+    const raw = value !== undefined ? value : process.env[envName];
+    const number = integer ? parseInt(raw) : parseFloat(raw);
+    return number > 0 ? number : fallback;
+}
+
+// 书籍 id 格式（UUID），路由和文件名都依赖它
+const BOOK_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// 生成书籍 id
+function generateBookId() {
+    return crypto.randomUUID();
+}
+
+// 根据 id 获取书籍文件路径
+function getBookFilePath(ctx, id) {
+    return path.join(ctx.bookDir, `book_${id}.txt`);
+}
+
+// 根据 id 查找书籍在数组中的位置，找不到返回 -1
+function findBookIndex(books, id) {
+    if (!BOOK_ID_REGEX.test(id)) {
+        return -1;
+    }
+    return books.findIndex(book => book.id === id);
+}
+
+// 原子写入：先写临时文件并刷盘，再 rename 覆盖目标文件
+// rename 在同一目录内是原子的，崩溃时目标文件要么是旧内容、要么是新内容，不会出现写了一半的文件
+function writeFileAtomicSync(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeFileSync(fd, data, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
 
-// 配置全局常量的参数
-// 端口号
-const PORT = 3000;
-// 书籍数据文件路径
-const BOOK_JSON_PATH = path.join(__dirname, 'book.json');
-// 书籍文件目录
-const BOOK_DIR = path.join(__dirname, '书籍');
-// 公共资源目录
-const PUBLIC_DIR = path.join(__dirname, 'public');
+// 异步版本的原子写入，callback(err)
+function writeFileAtomic(filePath, data, callback) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const fail = (err) => fs.rm(tempPath, { force: true }, () => callback(err));
+    fs.open(tempPath, 'w', (err, fd) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        fs.writeFile(fd, data, 'utf8', (err) => {
+            if (err) {
+                fs.close(fd, () => fail(err));
+                return;
+            }
+            fs.fsync(fd, (err) => {
+                fs.close(fd, (closeErr) => {
+                    if (err || closeErr) {
+                        fail(err || closeErr);
+                        return;
+                    }
+                    fs.rename(tempPath, filePath, (err) => (err ? fail(err) : callback(null)));
+                });
+            });
+        });
+    });
+}
 
-// 目录存在检测
-if (!fs.existsSync(BOOK_DIR)) {
-  // 若不存在 则创建
-    fs.mkdirSync(BOOK_DIR, { recursive: true });
+// 解析 book.json 内容，格式不对时抛出错误
+function parseBooksData(data) {
+    const books = JSON.parse(data);
+    if (!Array.isArray(books)) {
+        throw new Error('book.json 的内容不是数组');
+    }
+    return books;
 }
 
 // 读取书籍数据
-function readBooks() {
+// book.json 不存在时视为空书库；内容损坏时不再静默当作空书库，
+// 而是从最近一次成功写入的备份 book.json.bak 恢复，没有可用备份时抛出错误
+function readBooks(ctx) {
+    let data;
     try {
         // sync同步读取
-        const data = fs.readFileSync(BOOK_JSON_PATH, 'utf8');
-        return JSON.parse(data);
+        data = fs.readFileSync(ctx.bookJsonPath, 'utf8');
     } catch (error) {
-        console.error('读取书籍数据失败:', error);
-        return [];
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    try {
+        return parseBooksData(data);
+    } catch (error) {
+        console.error('!!! book.json 已损坏:', error.message);
+        return recoverBooks(ctx);
+    }
+}
+
+// 从备份恢复 book.json，损坏的文件另存为 book.json.corrupt-<时间戳> 以便排查
+function recoverBooks(ctx) {
+    let books;
+    try {
+        books = parseBooksData(fs.readFileSync(ctx.bookBackupPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`book.json 已损坏，且没有可用的备份（${ctx.bookBackupPath}）`);
     }
+    const corruptPath = `${ctx.bookJsonPath}.corrupt-${Date.now()}`;
+    fs.copyFileSync(ctx.bookJsonPath, corruptPath);
+    writeFileAtomicSync(ctx.bookJsonPath, JSON.stringify(books, null, 4));
+    console.error(`!!! 已从 ${ctx.bookBackupPath} 恢复 book.json（${books.length} 本书），损坏的文件保存为 ${corruptPath}`);
+    return books;
 }
 
-// 写入书籍数据
-function writeBooks(books) {
+// 写入书籍数据，成功后同时更新备份
+function writeBooks(ctx, books) {
     try {
-        fs.writeFileSync(BOOK_JSON_PATH, JSON.stringify(books, null, 4), 'utf8');
+        const data = JSON.stringify(books, null, 4);
+        writeFileAtomicSync(ctx.bookJsonPath, data);
+        writeFileAtomicSync(ctx.bookBackupPath, data);
         return true;
     } catch (error) {
         console.error('写入书籍数据失败:', error);
@@ -153,290 +390,7058 @@ function writeBooks(books) {
     }
 }
 
-// 中间件参数校验
-function validateBookData(data) {
-    const errors = [];
-    
-    if (!data.book || data.book.trim() === '') {
-        errors.push('书籍名称不能为空');
-    }
-    if (!data.author || data.author.trim() === '') {
-        errors.push('作者名不能为空');
-    }
-    if (!data.summary || data.summary.trim() === '') {
-        errors.push('书籍简介不能为空');
-    }
-    if (!data.subDate || !/^\d{4}-\d{2}-\d{2}$/.test(data.subDate)) {
-        errors.push('发布日期格式不正确，应为YYYY-MM-DD');
+// 读取书籍数据出错（book.json 损坏且无法恢复）时返回 500
+// 用于请求体读取完之后的回调里，这些地方抛出的错误不会被请求处理函数外层的 try-catch 捕获
+function readBooksOrFail(ctx, res) {
+    try {
+        return readBooks(ctx);
+    } catch (error) {
+        console.error('读取书籍数据失败:', error);
+        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '书籍数据已损坏，请联系管理员' }));
+        return null;
     }
-    
-    return errors;
 }
 
-// 创建服务器
-const server = http.createServer((req, res) => {
-    const parsedUrl = url.parse(req.url, true);
-    const pathname = parsedUrl.pathname;
-    const query = parsedUrl.query;
-    
-    // 设置跨域头
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-      //返回200状态码
-        res.writeHead(200);
-        res.end();
+// 并发控制
+// book.json 的读改写都在同一段同步代码里完成（readBooks → 修改 → writeBooks），事件循环天然串行；
+// 内容文件的读改写跨越多个异步回调，用 withLock 按 key 排队，同一本书同一时间只有一个写操作
+const lockQueues = new Map();
+
+// task(release) 执行完后必须调用 release
+function withLock(key, task) {
+    if (lockQueues.has(key)) {
+        lockQueues.get(key).push(task);
         return;
     }
-    
-    // 静态文件托管
-    if (!pathname.startsWith('/api/')) {
-        // 处理根路径
-        let filePath = pathname === '/' ? path.join(PUBLIC_DIR, 'index.html') : path.join(PUBLIC_DIR, pathname);
-        
-        // 文件扩展名
-        const extname = path.extname(filePath).toLowerCase();
-        
-        // 设置Content-Type
-        const mimeTypes = {
-            '.html': 'text/html',
-            '.css': 'text/css',
-            '.js': 'text/javascript',
-            '.json': 'application/json',
-            '.png': 'image/png',
-            '.jpg': 'image/jpeg',
-            '.jpeg': 'image/jpeg',
-            '.gif': 'image/gif',
-            '.svg': 'image/svg+xml',
-            '.ico': 'image/x-icon'
-        };
-        
-        const contentType = mimeTypes[extname] || 'application/octet-stream';
-        
-        // 读取并返回文件内容
-        fs.readFile(filePath, (err, data) => {
-            if (err) {
-                if (err.code === 'ENOENT') {
-                    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
-                    res.end('文件未找到');
-                } else {
-                    res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
-                    res.end('服务器错误');
-                }
+    lockQueues.set(key, []);
+    const run = (current) => {
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            const queue = lockQueues.get(key);
+            if (queue.length > 0) {
+                run(queue.shift());
             } else {
-                res.writeHead(200, { 'Content-Type': `${contentType}; charset=utf-8` });
-                res.end(data);
+                lockQueues.delete(key);
             }
-        });
-        return;
+        };
+        try {
+            current(release);
+        } catch (error) {
+            release();
+            throw error;
+        }
+    };
+    run(task);
+}
+
+// 同时持有多把锁，按名称排序依次获取，避免两个请求交叉等待；release 释放全部
+function withLocks(keys, task) {
+    const sorted = Array.from(new Set(keys)).sort();
+    const acquire = (i, releases) => {
+        if (i >= sorted.length) {
+            task(() => releases.reverse().forEach(release => release()));
+            return;
+        }
+        withLock(sorted[i], (release) => acquire(i + 1, [...releases, release]));
+    };
+    acquire(0, []);
+}
+
+// 乐观并发控制
+// 书籍信息的 ETag 是记录内容的摘要；书籍内容的 ETag 由文件大小和修改时间生成
+// 客户端带 If-Match 提交修改时，和当前 ETag 不一致说明期间已被别人修改，返回 412
+function getBookETag(book) {
+    return `"${crypto.createHash('sha1').update(JSON.stringify(book)).digest('hex').slice(0, 16)}"`;
+}
+
+function getContentETag(stats) {
+    return `"${stats.size.toString(16)}-${Math.round(stats.mtimeMs * 1000).toString(16)}"`;
+}
+
+// 读取内容文件的 ETag，文件不存在时为 null
+function readContentETag(ctx, id) {
+    try {
+        return getContentETag(fs.statSync(getBookFilePath(ctx, id)));
+    } catch (error) {
+        return null;
     }
-    
-    // API路由
-    // 增————添加书籍  POST /api/books
-    if (pathname === '/api/books' && req.method === 'POST') {
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
-        });
-        req.on('end', () => {
-            try {
-                const newBook = JSON.parse(body);
-                const errors = validateBookData(newBook);
-                
-                if (errors.length > 0) {
-                    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: false, errors }));
-                    return;
-                }
-                
-                const books = readBooks();
-                books.push(newBook);
-                
-                if (writeBooks(books)) {
-                    // 创建文件
-                    const bookIndex = books.length;
-                    const bookFilePath = path.join(BOOK_DIR, `book_${bookIndex}.txt`);
-                    fs.writeFileSync(bookFilePath, `This is book NO.${bookIndex}`, 'utf8');
-                    
-                    res.writeHead(201, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: true, message: '书籍添加成功', data: newBook }));
-                } else {
-                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: false, message: '保存失败' }));
-                }
-            } catch (error) {
-                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
-                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
-            }
-        });
+}
+
+// 内容的当前版本，写入冲突（412）时返回给客户端：{ etag, size, modifiedAt, revision }
+// revision 为最新的内容历史版本 id，可以用 /revisions/diff?from=<revision>&to=current 对比；文件不存在时除 revision 外都为 null
+function getContentVersion(ctx, id) {
+    let stats = null;
+    try {
+        stats = fs.statSync(getBookFilePath(ctx, id));
+    } catch (error) {
+        // 还没有内容
+    }
+    return {
+        etag: stats ? getContentETag(stats) : null,
+        size: stats ? stats.size : null,
+        modifiedAt: stats ? stats.mtime.toISOString() : null,
+        revision: listRevisionIds(ctx, id, 'content')[0] || null
+    };
+}
+
+// 没有 If-Match 时不做检查；* 匹配任何已存在的资源
+function matchesIfMatch(header, etag) {
+    if (!header) {
+        return true;
+    }
+    if (header.trim() === '*') {
+        return etag !== null;
+    }
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+// 一次性迁移：给没有 id 的旧记录分配 id，并把 book_N.txt 改名为 book_<id>.txt
+// 旧版本中第 i 本书（下标从 0 开始）的内容文件是 book_${i + 1}.txt
+// 先复制文件、再写 book.json、最后删除旧文件，中途崩溃重启后可以重新迁移而不丢内容
+function migrateBookIds(ctx) {
+    if (!fs.existsSync(ctx.bookJsonPath)) {
         return;
     }
-    // 删————删除书籍  DELETE /api/books/:index
-    if (pathname.startsWith('/api/books/') && req.method === 'DELETE') {
-        const index = parseInt(pathname.split('/')[3]);
-        const books = readBooks();
-        
-        if (index < 0 || index >= books.length) {
-            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
-            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
-            return;
-        }
-        
-        const deletedBook = books.splice(index, 1)[0];
-        
-        if (writeBooks(books)) {
-            // 删除对应的书籍文件
-            const bookFilePath = path.join(BOOK_DIR, `book_${index + 1}.txt`);
-            if (fs.existsSync(bookFilePath)) {
-                fs.unlinkSync(bookFilePath);
-            }
-            
-            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-            res.end(JSON.stringify({ success: true, message: '书籍删除成功', data: deletedBook }));
-        } else {
-            res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
-            res.end(JSON.stringify({ success: false, message: '删除失败' }));
+    const books = readBooks(ctx);
+    const pending = [];
+    books.forEach((book, index) => {
+        if (!book.id || !BOOK_ID_REGEX.test(book.id)) {
+            pending.push({ book, index });
         }
+    });
+    if (pending.length === 0) {
         return;
     }
-    
-    // 改————更新书籍  PUT /api/books/:index
-    if (pathname.startsWith('/api/books/') && req.method === 'PUT') {
-        const index = parseInt(pathname.split('/')[3]);
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
-        });
-        req.on('end', () => {
-            try {
-                const updatedBook = JSON.parse(body);
-                const errors = validateBookData(updatedBook);
-                
-                if (errors.length > 0) {
-                    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: false, errors }));
-                    return;
-                }
-                
-                const books = readBooks();
-                
-                if (index < 0 || index >= books.length) {
-                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
-                    return;
-                }
-                
-                books[index] = updatedBook;
-                
-                if (writeBooks(books)) {
-                    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: true, message: '书籍更新成功', data: updatedBook }));
-                } else {
-                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: false, message: '更新失败' }));
-                }
-            } catch (error) {
-                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
-                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
-            }
-        });
-        return;
+
+    // 迁移前保留一份旧数据
+    fs.copyFileSync(ctx.bookJsonPath, `${ctx.bookJsonPath}.pre-id.bak`);
+
+    const oldFiles = [];
+    pending.forEach(({ book, index }) => {
+        // id 放在最前面，方便查看 book.json
+        const id = generateBookId();
+        const { id: invalidId, ...fields } = book;
+        books[index] = { id, ...fields };
+        const oldFilePath = path.join(ctx.bookDir, `book_${index + 1}.txt`);
+        if (fs.existsSync(oldFilePath)) {
+            fs.copyFileSync(oldFilePath, getBookFilePath(ctx, id));
+            oldFiles.push(oldFilePath);
+        }
+    });
+
+    if (!writeBooks(ctx, books)) {
+        throw new Error('书籍 id 迁移失败：无法写入 book.json');
     }
-    // 查————获取所有书籍  GET /api/books
-    if (pathname === '/api/books' && req.method === 'GET') {
-        const books = readBooks();
-        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-        res.end(JSON.stringify({ success: true, data: books }));
-        return;
+    oldFiles.forEach(filePath => fs.unlinkSync(filePath));
+    console.log(`已为 ${pending.length} 本书分配 id，迁移内容文件 ${oldFiles.length} 个`);
+}
+
+// 书籍信息字段定义
+// 服务端用它校验、规整 POST/PUT 的数据，前端通过 GET /api/schema/book 取得后生成添加/编辑表单，两边不会不一致
+// type:
+//   string  单行文字        text     多行文字
+//   list    多个值（数组），也接受用逗号、顿号或分号分隔的字符串
+//   date    YYYY-MM-DD，必须是真实存在的日期
+//   integer 整数，min / max 为范围
+//   isbn    ISBN-10 或 ISBN-13，校验校验位，保存时去掉连字符
+//   enum    只能取 options 中的值
+// 选填字段为空时不保存；不在定义中的字段会被拒绝（SERVER_BOOK_FIELDS 除外，由服务端维护，客户端传来的值被忽略）
+const BOOK_SCHEMA = [
+    { name: 'book', label: '书籍名称', type: 'string', required: true, maxLength: 200 },
+    { name: 'author', label: '作者', type: 'list', required: true, maxItems: 20, maxLength: 100, placeholder: '多个作者用逗号分隔' },
+    { name: 'summary', label: '书籍简介', type: 'text', required: true, maxLength: 5000 },
+    { name: 'subDate', label: '发布日期', type: 'date', required: true },
+    { name: 'isbn', label: 'ISBN', type: 'isbn', placeholder: 'ISBN-10 或 ISBN-13，可带连字符' },
+    { name: 'tags', label: '标签', type: 'list', maxItems: 30, maxLength: 30, placeholder: '多个标签用逗号分隔' },
+    { name: 'category', label: '分类', type: 'string', maxLength: 50 },
+    { name: 'series', label: '丛书/系列', type: 'string', maxLength: 100 },
+    { name: 'volume', label: '卷号', type: 'integer', min: 1, max: 9999, requires: 'series' },
+    { name: 'language', label: '语言', type: 'enum', options: [
+        { value: 'zh-CN', label: '简体中文' },
+        { value: 'zh-TW', label: '繁体中文' },
+        { value: 'en', label: '英语' },
+        { value: 'ja', label: '日语' },
+        { value: 'ko', label: '韩语' },
+        { value: 'fr', label: '法语' },
+        { value: 'de', label: '德语' },
+        { value: 'ru', label: '俄语' },
+        { value: 'es', label: '西班牙语' }
+    ] },
+    { name: 'pageCount', label: '页数', type: 'integer', min: 1, max: 100000 },
+    { name: 'wordCount', label: '字数', type: 'integer', min: 0, max: 100000000 }
+];
+const BOOK_FIELD_NAMES = BOOK_SCHEMA.map(field => field.name);
+// id 由服务端分配，cover 在上传封面时写入
+const SERVER_BOOK_FIELDS = ['id', 'cover'];
+
+// YYYY-MM-DD 且是真实存在的日期（排除 2025-13-45、2025-02-30 这类）
+function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
     }
-    
-    // 同/异步读取  GET /api/books/:index/content?mode=sync / async
-    // 使用正则表达式匹配路径
-    if (pathname.match(/^\/api\/books\/\d+\/content$/) && req.method === 'GET') {
-        const index = parseInt(pathname.split('/')[3]);
-        const mode = query.mode || 'async';
-        const bookFilePath = path.join(BOOK_DIR, `book_${index + 1}.txt`);
-        
-        if (mode === 'sync') {
-            // 同步读取
-            try {
-                if (!fs.existsSync(bookFilePath)) {
-                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: false, message: '书籍文件不存在' }));
-                    return;
-                }
-                const content = fs.readFileSync(bookFilePath, 'utf8');
-                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-                res.end(JSON.stringify({ success: true, mode: 'sync', content }));
-            } catch (error) {
-                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
-                res.end(JSON.stringify({ success: false, message: '读取失败' }));
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// ISBN 校验：ISBN-10 按 10..1 加权和能被 11 整除（末位 X 表示 10），ISBN-13 按 1、3 交替加权和能被 10 整除
+function isValidIsbn(isbn) {
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+        const sum = isbn.split('').reduce((acc, char, i) => acc + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+        return sum % 11 === 0;
+    }
+    if (/^\d{13}$/.test(isbn)) {
+        const sum = isbn.split('').reduce((acc, char, i) => acc + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0;
+    }
+    return false;
+}
+
+// 空字符串、空数组、null 都视为没有填写
+function isEmptyValue(value) {
+    return value === undefined || value === null ||
+        (typeof value === 'string' && value.trim() === '') ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+// 按字段定义规整一个值，返回 { value } 或 { error }
+function normalizeField(field, value) {
+    const label = field.label;
+    switch (field.type) {
+        case 'string':
+        case 'text': {
+            if (typeof value !== 'string') {
+                return { error: `${label}必须是文字` };
             }
-        } else {
-            // 异步读取
-            fs.readFile(bookFilePath, 'utf8', (err, data) => {
-                if (err) {
-                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: false, message: '书籍文件不存在或读取失败' }));
-                } else {
-                    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: true, mode: 'async', content: data }));
-                }
-            });
+            const text = field.type === 'string' ? value.trim().replace(/\s+/g, ' ') : value.trim();
+            if (field.maxLength && text.length > field.maxLength) {
+                return { error: `${label}不能超过 ${field.maxLength} 个字` };
+            }
+            return { value: text };
         }
-        return;
-    }
-    
-    // 写入内容  POST /api/books/:index/content
-    if (pathname.match(/^\/api\/books\/\d+\/content$/) && req.method === 'POST') {
-        const index = parseInt(pathname.split('/')[3]);
-        const bookFilePath = path.join(BOOK_DIR, `book_${index + 1}.txt`);
-        
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
-        });
-        req.on('end', () => {
-            try {
-                const { content } = JSON.parse(body);
-                
-                if (!content) {
-                    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
-                    res.end(JSON.stringify({ success: false, message: '内容不能为空' }));
-                    return;
-                }
-                
-                fs.writeFile(bookFilePath, content, 'utf8', (err) => {
-                    if (err) {
-                        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
-                        res.end(JSON.stringify({ success: false, message: '写入失败' }));
-                    } else {
-                        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-                        res.end(JSON.stringify({ success: true, message: '内容写入成功' }));
-                    }
-                });
-            } catch (error) {
-                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
-                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+        case 'list': {
+            const items = typeof value === 'string' ? value.split(/[,，、;；]/) : value;
+            if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+                return { error: `${label}必须是文字列表` };
             }
-        });
-        return;
+            const list = Array.from(new Set(items.map(item => item.trim()).filter(Boolean)));
+            if (field.maxItems && list.length > field.maxItems) {
+                return { error: `${label}最多 ${field.maxItems} 个` };
+            }
+            if (field.maxLength && list.some(item => item.length > field.maxLength)) {
+                return { error: `每个${label}不能超过 ${field.maxLength} 个字` };
+            }
+            return { value: list };
+        }
+        case 'date':
+            return isValidDate(value) ? { value } : { error: `${label}不是有效日期，应为YYYY-MM-DD` };
+        case 'integer': {
+            const number = typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+            if (!Number.isInteger(number)) {
+                return { error: `${label}必须是整数` };
+            }
+            if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+                return { error: `${label}必须在 ${field.min} 到 ${field.max} 之间` };
+            }
+            return { value: number };
+        }
+        case 'isbn': {
+            const isbn = typeof value === 'string' ? value.replace(/[\s-]/g, '').toUpperCase() : '';
+            return isValidIsbn(isbn) ? { value: isbn } : { error: `${label}无效（格式或校验位错误）` };
+        }
+        case 'enum':
+            return field.options.some(option => option.value === value)
+                ? { value }
+                : { error: `${label}只能是 ${field.options.map(option => option.value).join(' / ')} 之一` };
+        default:
+            return { error: `${label}的类型未定义` };
     }
-    
-    // 404
-    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
-    res.end(JSON.stringify({ success: false, message: '接口不存在' }));
-});
+}
 
-server.listen(PORT, () => {
-    console.log(`服务器运行在 http://localhost:${PORT}`);
-    console.log('API接口:');
-    console.log('  GET     /api/books                                 - 获取所有书籍');
-    console.log('  POST    /api/books                                 - 添加书籍');
-    console.log('  PUT     /api/books/:index                          - 更新书籍');
-    console.log('  DELETE  /api/books/:index                          - 删除书籍');
-    console.log('  GET     /api/books/:index/content?mode=sync|async  - 同步/异步读取书籍内容');
-    console.log('  POST    /api/books/:index/content                  - 写入书籍内容');
-});
\ No newline at end of file
+// 中间件参数校验
+// 返回错误数组，而不是 true/false，可以一次性显示所有错误
+function validateBookData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['请求体必须是对象'];
+    }
+    const errors = [];
+    const unknown = Object.keys(data).filter(key => !SERVER_BOOK_FIELDS.includes(key) && !BOOK_FIELD_NAMES.includes(key));
+    if (unknown.length > 0) {
+        errors.push(`不支持的字段：${unknown.join(', ')}`);
+    }
+    BOOK_SCHEMA.forEach(field => {
+        const value = data[field.name];
+        if (isEmptyValue(value)) {
+            if (field.required) {
+                errors.push(`${field.label}不能为空`);
+            }
+            return;
+        }
+        const result = normalizeField(field, value);
+        if (result.error) {
+            errors.push(result.error);
+        } else if (field.type === 'list' && field.required && result.value.length === 0) {
+            errors.push(`${field.label}不能为空`);
+        } else if (field.requires && isEmptyValue(data[field.requires])) {
+            const required = BOOK_SCHEMA.find(other => other.name === field.requires);
+            errors.push(`填写${field.label}时必须同时填写${required.label}`);
+        }
+    });
+    return errors;
+}
+
+// 按字段定义规整已通过校验的数据，只保留定义中的字段，顺序与定义一致，不含 id
+function normalizeBookData(data) {
+    const book = {};
+    BOOK_SCHEMA.forEach(field => {
+        if (!isEmptyValue(data[field.name])) {
+            book[field.name] = normalizeField(field, data[field.name]).value;
+        }
+    });
+    return book;
+}
+
+// 修改书籍信息时保留服务端维护的字段（封面）
+function withServerFields(book, oldBook) {
+    return oldBook && oldBook.cover ? { ...book, cover: oldBook.cover } : book;
+}
+
+// 把列表字段（如作者）显示成一行文字
+function joinList(value) {
+    return [].concat(value || []).join('、');
+}
+
+// 一次性迁移：旧数据的作者、标签是字符串，按列表字段的规则拆成数组
+function migrateListFields(ctx) {
+    const books = readBooks(ctx);
+    const listFields = BOOK_SCHEMA.filter(field => field.type === 'list');
+    let changed = 0;
+    books.forEach(book => {
+        listFields.forEach(field => {
+            if (typeof book[field.name] === 'string') {
+                const result = normalizeField(field, book[field.name]);
+                book[field.name] = result.error ? [book[field.name]] : result.value;
+                changed++;
+            }
+        });
+    });
+    if (changed > 0 && writeBooks(ctx, books)) {
+        console.log(`已把 ${changed} 个作者/标签字段转换为列表`);
+    }
+}
+
+// 列表查询参数校验，和 validateBookData 一样返回错误数组
+// q        关键字，匹配书名/作者/简介/标签/丛书/ISBN（不区分大小写）
+// author   作者（包含匹配）
+// tag / category / language  标签、分类、语言（完全匹配）
+// dateFrom / dateTo  发布日期范围 YYYY-MM-DD（闭区间）
+// sort     排序字段，order 为 asc / desc
+// page / pageSize  分页，不传 pageSize 时返回全部
+const SORTABLE_FIELDS = ['book', 'author', 'summary', 'subDate', 'id', 'category', 'series', 'volume', 'language', 'pageCount', 'wordCount'];
+const MAX_PAGE_SIZE = 100;
+
+function validateBookQuery(query) {
+    const errors = [];
+
+    // url.parse 会把重复的参数解析成数组
+    Object.keys(query).forEach(key => {
+        if (Array.isArray(query[key])) {
+            errors.push(`参数 ${key} 不能重复`);
+        }
+    });
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    if (query.dateFrom && !isValidDate(query.dateFrom)) {
+        errors.push('起始日期格式不正确，应为YYYY-MM-DD');
+    }
+    if (query.dateTo && !isValidDate(query.dateTo)) {
+        errors.push('结束日期格式不正确，应为YYYY-MM-DD');
+    }
+    if (query.sort && !SORTABLE_FIELDS.includes(query.sort)) {
+        errors.push(`排序字段只能是 ${SORTABLE_FIELDS.join(', ')}`);
+    }
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+        errors.push('排序方向只能是 asc 或 desc');
+    }
+    if (query.page !== undefined && !/^[1-9]\d*$/.test(query.page)) {
+        errors.push('页码必须是正整数');
+    }
+    if (query.pageSize !== undefined &&
+        (!/^[1-9]\d*$/.test(query.pageSize) || parseInt(query.pageSize) > MAX_PAGE_SIZE)) {
+        errors.push(`每页数量必须是 1 到 ${MAX_PAGE_SIZE} 之间的整数`);
+    }
+
+    return errors;
+}
+
+// 按查询参数过滤、排序、分页
+function queryBooks(books, query) {
+    const keyword = (query.q || '').trim().toLowerCase();
+    const author = (query.author || '').trim().toLowerCase();
+
+    let result = books.filter(book => {
+        if (keyword) {
+            const text = [book.book, joinList(book.author), book.summary, joinList(book.tags), book.series, book.isbn]
+                .join('\n').toLowerCase();
+            if (!text.includes(keyword)) {
+                return false;
+            }
+        }
+        if (author && !joinList(book.author).toLowerCase().includes(author)) {
+            return false;
+        }
+        if (query.tag && ![].concat(book.tags || []).includes(query.tag)) {
+            return false;
+        }
+        if (query.category && book.category !== query.category) {
+            return false;
+        }
+        if (query.language && book.language !== query.language) {
+            return false;
+        }
+        // YYYY-MM-DD 可以直接按字符串比较
+        if (query.dateFrom && !(book.subDate >= query.dateFrom)) {
+            return false;
+        }
+        if (query.dateTo && !(book.subDate <= query.dateTo)) {
+            return false;
+        }
+        return true;
+    });
+
+    if (query.sort) {
+        const direction = query.order === 'desc' ? -1 : 1;
+        const field = BOOK_SCHEMA.find(item => item.name === query.sort);
+        if (field && field.type === 'integer') {
+            // 数字按大小比较，没有填写的排在最后
+            const value = book => (book[query.sort] === undefined ? Infinity * direction : book[query.sort]);
+            result = result.slice().sort((a, b) => (value(a) - value(b) || 0) * direction);
+        } else {
+            // 中文按拼音顺序比较，列表字段按连起来的文字比较
+            result = result.slice().sort((a, b) =>
+                String(joinList(a[query.sort])).localeCompare(String(joinList(b[query.sort])), 'zh-CN') * direction
+            );
+        }
+    }
+
+    const total = result.length;
+    const pageSize = query.pageSize ? parseInt(query.pageSize) : total;
+    const page = query.page ? parseInt(query.page) : 1;
+    if (query.pageSize) {
+        result = result.slice((page - 1) * pageSize, page * pageSize);
+    }
+
+    return { items: result, total, page, pageSize };
+}
+
+// 全文检索
+// 中文没有空格分词，这里对每一段连续的文字/数字按字切分，同时收录单字和相邻两字（bigram）
+// 查询时用 bigram（单字查询用单字）从倒排表中找出候选书籍，再读取原文逐字确认、截取片段
+// 索引只保存词频，不保存原文，原文在命中后再从 ./书籍 读取
+// 内容写入、添加、删除书籍时同步更新索引
+const SEARCH_SNIPPET_RADIUS = 30;
+const SEARCH_HITS_PER_BOOK = 5;
+const SEARCH_MAX_LIMIT = 50;
+
+function createSearchIndex() {
+    return {
+        // token → Map(id → 出现次数)
+        postings: new Map(),
+        // id → 该书包含的 token 列表，删除时使用
+        docTokens: new Map(),
+        // id → 文本长度
+        docLengths: new Map(),
+        // 启动时的全量建索引是否完成
+        ready: false
+    };
+}
+
+// 切分出 token：单字 + bigram
+function tokenizeText(text) {
+    const tokens = [];
+    const runs = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    runs.forEach(run => {
+        const chars = Array.from(run);
+        chars.forEach((char, i) => {
+            tokens.push(char);
+            if (i + 1 < chars.length) {
+                tokens.push(char + chars[i + 1]);
+            }
+        });
+    });
+    return tokens;
+}
+
+// 查询词只需要 bigram 就能定位候选，单个字时退化为单字
+function tokenizeQueryTerm(term) {
+    const tokens = new Set();
+    const runs = term.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    runs.forEach(run => {
+        const chars = Array.from(run);
+        if (chars.length === 1) {
+            tokens.add(chars[0]);
+        }
+        for (let i = 0; i + 1 < chars.length; i++) {
+            tokens.add(chars[i] + chars[i + 1]);
+        }
+    });
+    return Array.from(tokens);
+}
+
+// 从索引中移除一本书
+function removeFromSearchIndex(ctx, id) {
+    const tokens = ctx.searchIndex.docTokens.get(id);
+    if (tokens) {
+        tokens.forEach(token => {
+            const posting = ctx.searchIndex.postings.get(token);
+            posting.delete(id);
+            if (posting.size === 0) {
+                ctx.searchIndex.postings.delete(token);
+            }
+        });
+    }
+    ctx.searchIndex.docTokens.delete(id);
+    ctx.searchIndex.docLengths.delete(id);
+}
+
+// 索引（或重新索引）一本书的内容
+function indexBookContent(ctx, id, content) {
+    removeFromSearchIndex(ctx, id);
+
+    const counts = new Map();
+    tokenizeText(content).forEach(token => {
+        counts.set(token, (counts.get(token) || 0) + 1);
+    });
+    counts.forEach((count, token) => {
+        if (!ctx.searchIndex.postings.has(token)) {
+            ctx.searchIndex.postings.set(token, new Map());
+        }
+        ctx.searchIndex.postings.get(token).set(id, count);
+    });
+    ctx.searchIndex.docTokens.set(id, Array.from(counts.keys()));
+    ctx.searchIndex.docLengths.set(id, content.length);
+}
+
+// 启动时异步建立全量索引，逐个读取避免同时打开过多文件
+function buildSearchIndex(ctx, callback) {
+    const ids = readBooks(ctx).map(book => book.id);
+    let i = 0;
+    const next = () => {
+        if (i >= ids.length) {
+            ctx.searchIndex.ready = true;
+            if (callback) callback();
+            return;
+        }
+        const id = ids[i++];
+        fs.readFile(getBookFilePath(ctx, id), 'utf8', (err, content) => {
+            if (!err) {
+                indexBookContent(ctx, id, content);
+            }
+            next();
+        });
+    };
+    next();
+}
+
+// 在原文中找出某个词的所有位置（不区分大小写）
+function findOccurrences(lowerText, term) {
+    const positions = [];
+    let from = 0;
+    while (true) {
+        const position = lowerText.indexOf(term, from);
+        if (position === -1) break;
+        positions.push(position);
+        from = position + term.length;
+    }
+    return positions;
+}
+
+// 截取命中附近的片段，highlight 为命中部分在片段中的位置
+// 换行逐个替换成空格，保证片段长度不变、highlight 不错位
+function buildSnippet(text, position, length) {
+    const start = Math.max(0, position - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, position + length + SEARCH_SNIPPET_RADIUS);
+    return {
+        snippet: (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s/g, ' ') + (end < text.length ? '…' : ''),
+        highlight: { start: position - start + (start > 0 ? 1 : 0), length }
+    };
+}
+
+// 执行查询，callback(err, results)
+// 多个关键词用空格分隔，书中需要同时出现所有关键词
+function searchBooks(ctx, q, limit, callback) {
+    const terms = Array.from(new Set(q.toLowerCase().split(/\s+/).filter(Boolean)));
+    const books = readBooks(ctx);
+
+    // 用倒排表求候选书籍的交集
+    let candidates = null;
+    terms.forEach(term => {
+        tokenizeQueryTerm(term).forEach(token => {
+            const posting = ctx.searchIndex.postings.get(token);
+            const ids = posting ? new Set(posting.keys()) : new Set();
+            candidates = candidates === null ? ids : new Set([...candidates].filter(id => ids.has(id)));
+        });
+    });
+    // 查询里没有任何文字（例如只有标点），退化为逐本查找
+    if (candidates === null) {
+        candidates = new Set(ctx.searchIndex.docLengths.keys());
+    }
+
+    const bookById = new Map(books.map(book => [book.id, book]));
+    const ids = [...candidates].filter(id => bookById.has(id));
+    const matched = [];
+    let i = 0;
+
+    // 逐本读取原文确认命中
+    const next = () => {
+        if (i >= ids.length) {
+            finish();
+            return;
+        }
+        const id = ids[i++];
+        fs.readFile(getBookFilePath(ctx, id), 'utf8', (err, text) => {
+            if (err) {
+                next();
+                return;
+            }
+            const lowerText = text.toLowerCase();
+            const occurrences = terms.map(term => findOccurrences(lowerText, term));
+            if (occurrences.every(positions => positions.length > 0)) {
+                const hits = [];
+                occurrences.forEach((positions, t) => {
+                    positions.forEach(position => hits.push({ position, length: terms[t].length }));
+                });
+                hits.sort((a, b) => a.position - b.position);
+                matched.push({ id, text, occurrences, hits });
+            }
+            next();
+        });
+    };
+
+    // 打分：每个词的出现次数 × 逆文档频率，再按文本长度归一
+    const finish = () => {
+        const docCount = Math.max(1, ctx.searchIndex.docLengths.size);
+        const results = matched.map(({ id, text, occurrences, hits }) => {
+            let score = 0;
+            occurrences.forEach((positions, t) => {
+                const df = matched.filter(m => m.occurrences[t].length > 0).length;
+                score += positions.length * Math.log(1 + docCount / df);
+            });
+            score /= Math.log(2 + text.length);
+
+            const book = bookById.get(id);
+            return {
+                id,
+                book: book.book,
+                author: book.author,
+                score: Math.round(score * 1000) / 1000,
+                matches: hits.length,
+                hits: hits.slice(0, SEARCH_HITS_PER_BOOK).map(hit => ({
+                    position: hit.position,
+                    length: hit.length,
+                    ...buildSnippet(text, hit.position, hit.length)
+                }))
+            };
+        });
+        results.sort((a, b) => b.score - a.score);
+        callback(null, { total: results.length, results: results.slice(0, limit) });
+    };
+
+    next();
+}
+
+// 章节
+// 内容文件仍然是一个完整的 txt，章节由标题行自动识别，不单独存储
+// 标题行格式：默认匹配 第X章/回/节/卷、Chapter N、序章、楔子、尾声 等，
+// 查询参数 pattern 只能选 CHAPTER_PATTERNS 中的预设名称，不接受客户端传来的正则，
+// 否则 ^(a+)+$ 这类会大量回溯的正则能让唯一的线程卡住几个小时；
+// 管理员可以用 chapterPattern 选项或环境变量 CHAPTER_PATTERN 替换默认格式，创建书库上下文时编译并检查
+// 第一个标题之前的文字作为前言（序号 0），其余章节从 1 开始编号
+// 增删改章节时按章节重新拼接全文后整体写回
+const DEFAULT_CHAPTER_PATTERN = '^(第[0-9０-９零一二三四五六七八九十百千万两〇]+[章回节卷部篇集]|chapter\\s+[0-9ivxlc]+\\b|序章|序言|楔子|引子|尾声|后记|番外)';
+// 标题行最大长度，避免把以"第一章"开头的正文段落当成标题
+const CHAPTER_TITLE_MAX_LENGTH = 50;
+
+// 预设的标题行格式（匹配去掉首尾空白后的整行），default 可以由书库上下文替换
+const CHAPTER_PATTERNS = {
+    default: DEFAULT_CHAPTER_PATTERN,
+    chinese: '^第[0-9０-９零一二三四五六七八九十百千万两〇]+[章回节卷部篇集]',
+    english: '^(chapter|part)\\s+([0-9]+|[ivxlc]+)\\b',
+    numbered: '^[0-9０-９]{1,4}[.、．]'
+};
+const CHAPTER_PATTERN_ERROR = `章节格式只能是 ${Object.keys(CHAPTER_PATTERNS).join(' / ')} 之一`;
+
+// 编译全部预设（书库上下文的 chapterRegexes），defaultPattern 替换 default；不是有效的正则时抛出错误
+function createChapterRegexes(defaultPattern) {
+    const regexes = {};
+    Object.keys(CHAPTER_PATTERNS).forEach(name => {
+        const pattern = name === 'default' ? defaultPattern : CHAPTER_PATTERNS[name];
+        try {
+            regexes[name] = new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`章节格式 ${name} 不是有效的正则（检查 chapterPattern 选项或环境变量 CHAPTER_PATTERN）: ${error.message}`);
+        }
+    });
+    return regexes;
+}
+
+// 按预设名称取章节正则，不传时用 default，名称不在预设中时返回 null
+function compileChapterPattern(ctx, pattern) {
+    const name = pattern === undefined ? 'default' : pattern;
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(ctx.chapterRegexes, name) ? ctx.chapterRegexes[name] : null;
+}
+
+// 判断一行是否为章节标题
+function isChapterTitle(line, regex) {
+    const title = line.trim();
+    return title !== '' && title.length <= CHAPTER_TITLE_MAX_LENGTH && regex.test(title);
+}
+
+// 把全文拆成前言和章节
+// heading 为原始标题行（含换行符），body 为标题之后到下一个标题之前的文字
+// 拼接 preface + heading + body 可以还原原文
+function parseChapters(text, regex) {
+    const chapters = [];
+    const lineRegex = /[^\r\n]*(\r\n|\r|\n|$)/g;
+    let match;
+    while ((match = lineRegex.exec(text)) !== null && match[0] !== '') {
+        const line = match[0];
+        if (isChapterTitle(line, regex)) {
+            chapters.push({
+                title: line.trim(),
+                heading: line,
+                offset: match.index,
+                bodyStart: match.index + line.length
+            });
+        }
+    }
+
+    const preface = text.slice(0, chapters.length > 0 ? chapters[0].offset : text.length);
+    chapters.forEach((chapter, i) => {
+        const end = i + 1 < chapters.length ? chapters[i + 1].offset : text.length;
+        chapter.body = text.slice(chapter.bodyStart, end);
+        chapter.length = end - chapter.offset;
+        delete chapter.bodyStart;
+    });
+
+    return { preface, chapters };
+}
+
+// 把前言和章节重新拼接成全文，中间的每一段都保证以换行结尾
+function assembleChapters(preface, chapters) {
+    const parts = [preface].concat(chapters.map(chapter => chapter.heading + chapter.body));
+    return parts.filter(part => part !== '').map((part, i, all) =>
+        i < all.length - 1 && !/[\r\n]$/.test(part) ? part + '\n' : part
+    ).join('');
+}
+
+// 生成新的标题行，沿用原标题的换行符
+function buildHeading(title, oldHeading) {
+    const eol = oldHeading ? (oldHeading.match(/(\r\n|\r|\n)$/) || ['\n'])[0] : '\n';
+    return title + eol;
+}
+
+// 章节目录（不含正文）
+function chapterSummaries(parsed) {
+    return parsed.chapters.map((chapter, i) => ({
+        n: i + 1,
+        title: chapter.title,
+        offset: chapter.offset,
+        length: chapter.length
+    }));
+}
+
+// 写入书籍内容，更新索引并保存历史版本
+// 历史版本保存失败只记录日志，不影响写入结果
+function writeBookContent(ctx, id, content, callback) {
+    ensureContentBaseline(ctx, id, (err, revisionIds) => {
+        if (err) {
+            console.error('保存基准版本失败:', err);
+        }
+        writeFileAtomic(getBookFilePath(ctx, id), content, (err) => {
+            ctx.pageCheckpoints.delete(id);
+            if (err) {
+                callback(err);
+                return;
+            }
+            indexBookContent(ctx, id, content);
+            saveRevision(ctx, id, 'content', content, revisionIds, (err) => {
+                if (err) {
+                    console.error('保存历史版本失败:', err);
+                }
+                callback(null);
+            });
+        });
+    });
+}
+
+// 新建书籍并写入内容，callback(err)
+// 先写内容再把记录加入 book.json；记录写不进去时删掉已写的内容、索引和历史版本，不会留下没有内容的书
+// 期间持有内容锁，id 记在 ctx.creatingBookIds 中，完整性检查不会把还没有记录的内容文件当成孤立文件
+function createBookWithContent(ctx, newBook, content, callback) {
+    const id = newBook.id;
+    ctx.creatingBookIds.add(id);
+    withLock(`content:${id}`, (release) => {
+        const finish = (error) => {
+            ctx.creatingBookIds.delete(id);
+            release();
+            callback(error);
+        };
+        const discard = (error) => {
+            fs.rmSync(getBookFilePath(ctx, id), { force: true });
+            removeFromSearchIndex(ctx, id);
+            removeRevisions(ctx, id);
+            finish(error);
+        };
+        writeBookContent(ctx, id, content, (err) => {
+            if (err) {
+                discard(err);
+                return;
+            }
+            let books;
+            try {
+                books = readBooks(ctx);
+            } catch (error) {
+                discard(error);
+                return;
+            }
+            books.push(newBook);
+            if (!writeBooks(ctx, books)) {
+                discard(new Error('写入书籍数据失败'));
+                return;
+            }
+            finish(null);
+        });
+    });
+}
+
+// 大文件分段读取
+// 按字符偏移读取时必须从头解码才能知道字符和字节的对应关系，
+// 这里在解码过程中每隔 PAGE_CHECKPOINT_BYTES 记录一个 (字符偏移, 字节偏移) 检查点，
+// 之后的读取从最近的检查点开始，不用每次都从文件开头扫描
+// 检查点按文件的 size + mtime 缓存，内容写入后清除
+const PAGE_CHECKPOINT_BYTES = 1024 * 1024;
+const PAGE_DEFAULT_LENGTH = 10000;
+const PAGE_MAX_LENGTH = 200000;
+
+// ctx.pageCheckpoints: id → { key, checkpoints: [{ chars, bytes }], totalLength }
+
+// 找到 buffer 中最后一个完整 UTF-8 字符的结束位置
+function utf8SafeEnd(buffer) {
+    let i = buffer.length - 1;
+    // 向前跳过最多 3 个续字节（10xxxxxx）
+    while (i >= 0 && buffer.length - i <= 4 && (buffer[i] & 0xC0) === 0x80) {
+        i--;
+    }
+    if (i < 0) {
+        return buffer.length;
+    }
+    const lead = buffer[i];
+    const size = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC0 ? 2 : 1;
+    return i + size <= buffer.length ? buffer.length : i;
+}
+
+// 读取一页文字，callback(err, page)
+// page: { content, offset, length, nextOffset, done, totalBytes, totalLength }
+// totalLength 为全文字符数，只有扫描到过文件末尾才知道，否则为 null
+function readTextPage(ctx, id, offset, length, callback) {
+    const filePath = getBookFilePath(ctx, id);
+    fs.stat(filePath, (err, stats) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        const key = `${stats.size}:${stats.mtimeMs}`;
+        let cache = ctx.pageCheckpoints.get(id);
+        if (!cache || cache.key !== key) {
+            cache = { key, checkpoints: [{ chars: 0, bytes: 0 }], totalLength: null };
+            ctx.pageCheckpoints.set(id, cache);
+        }
+
+        // 从不超过 offset 的最近检查点开始
+        let start = cache.checkpoints[0];
+        cache.checkpoints.forEach(point => {
+            if (point.chars <= offset && point.chars > start.chars) {
+                start = point;
+            }
+        });
+
+        let chars = start.chars;
+        let bytes = start.bytes;
+        let lastCheckpoint = start.bytes;
+        let pending = Buffer.alloc(0);
+        let content = '';
+        let finished = false;
+
+        const stream = fs.createReadStream(filePath, { start: start.bytes });
+
+        const finish = (done) => {
+            if (finished) return;
+            finished = true;
+            stream.destroy();
+            if (done) {
+                cache.totalLength = chars;
+            }
+            // 不要把代理对（emoji 等）从中间切开
+            let end = Math.min(content.length, length);
+            if (end < content.length && /[\uD800-\uDBFF]/.test(content[end - 1])) {
+                end--;
+            }
+            content = content.slice(0, end);
+            callback(null, {
+                content,
+                offset,
+                length: content.length,
+                nextOffset: offset + content.length,
+                done: done && offset + content.length >= chars,
+                totalBytes: stats.size,
+                totalLength: cache.totalLength
+            });
+        };
+
+        stream.on('data', chunk => {
+            const buffer = Buffer.concat([pending, chunk]);
+            const safeEnd = utf8SafeEnd(buffer);
+            pending = buffer.subarray(safeEnd);
+            const text = buffer.subarray(0, safeEnd).toString('utf8');
+
+            // 截取落在 [offset, offset + length] 的部分，多取一个字符用于代理对判断
+            const from = Math.max(0, offset - chars);
+            if (from < text.length) {
+                content += text.slice(from, from + length + 1 - content.length);
+            }
+            chars += text.length;
+            bytes += safeEnd;
+
+            if (bytes - lastCheckpoint >= PAGE_CHECKPOINT_BYTES) {
+                if (!cache.checkpoints.some(point => point.bytes === bytes)) {
+                    cache.checkpoints.push({ chars, bytes });
+                }
+                lastCheckpoint = bytes;
+            }
+
+            if (content.length > length) {
+                finish(false);
+            }
+        });
+        stream.on('end', () => {
+            if (pending.length > 0) {
+                const text = pending.toString('utf8');
+                const from = Math.max(0, offset - chars);
+                if (from < text.length) {
+                    content += text.slice(from, from + length + 1 - content.length);
+                }
+                chars += text.length;
+            }
+            finish(true);
+        });
+        stream.on('error', error => {
+            if (!finished) {
+                finished = true;
+                callback(error);
+            }
+        });
+    });
+}
+
+// 解析 Range 请求头，只支持单个区间
+// 返回 { start, end }；没有或无法处理时返回 null；区间越界返回 'unsatisfiable'
+function parseRangeHeader(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+    let start;
+    let end;
+    if (match[1] === '') {
+        // bytes=-500 表示最后 500 字节
+        const suffix = parseInt(match[2]);
+        if (suffix === 0) {
+            return 'unsatisfiable';
+        }
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+    if (start >= size || start > end) {
+        return 'unsatisfiable';
+    }
+    return { start, end };
+}
+
+// 上传书籍文件
+// 支持 multipart/form-data（字段 file）和直接以请求体上传文件两种方式
+// 上传后自动识别编码：带 BOM 的 UTF-8 / UTF-16、UTF-16 无 BOM、UTF-8、GBK/GB18030，统一转换成 UTF-8 保存
+const UPLOAD_MAX_BYTES = 20 * 1024 * 1024;
+
+// 读取原始请求体，超过 limit 时返回 code 为 LIMIT_EXCEEDED 的错误
+function readRawBody(req, limit, callback) {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', chunk => {
+        if (failed) return;
+        size += chunk.length;
+        if (size > limit) {
+            failed = true;
+            const error = new Error('请求体过大');
+            error.code = 'LIMIT_EXCEEDED';
+            callback(error);
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (!failed) {
+            callback(null, Buffer.concat(chunks));
+        }
+    });
+    req.on('error', error => {
+        if (!failed) {
+            failed = true;
+            callback(error);
+        }
+    });
+}
+
+// 解析 multipart/form-data，返回 { fields, files }，格式不正确时返回 null
+function parseMultipart(buffer, contentType) {
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundaryMatch) {
+        return null;
+    }
+    const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+    const fields = {};
+    const files = [];
+
+    let position = buffer.indexOf(delimiter);
+    if (position === -1) {
+        return null;
+    }
+    while (true) {
+        position += delimiter.length;
+        // 结束标记 --boundary--
+        if (buffer.subarray(position, position + 2).toString() === '--') {
+            break;
+        }
+        const headerEnd = buffer.indexOf('\r\n\r\n', position);
+        const next = buffer.indexOf(delimiter, position);
+        if (headerEnd === -1 || next === -1 || headerEnd > next) {
+            return null;
+        }
+        const headers = buffer.subarray(position + 2, headerEnd).toString('utf8');
+        // 内容到下一个分隔符前的 \r\n 为止
+        const data = buffer.subarray(headerEnd + 4, next - 2);
+        const name = (/name="([^"]*)"/i.exec(headers) || [])[1];
+        const filename = (/filename="([^"]*)"/i.exec(headers) || [])[1];
+        const type = (/content-type:\s*([^\r\n]+)/i.exec(headers) || [])[1];
+
+        if (name !== undefined) {
+            if (filename !== undefined) {
+                files.push({ name, filename, contentType: type, data });
+            } else {
+                fields[name] = data.toString('utf8');
+            }
+        }
+        position = next;
+    }
+
+    return { fields, files };
+}
+
+// 识别编码并转换成字符串
+// 返回 { text, encoding, bom }，无法识别时返回 null
+function decodeText(buffer) {
+    // BOM
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return decodeWith(buffer.subarray(3), 'utf-8', true);
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return decodeWith(buffer.subarray(2), 'utf-16le', true);
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return decodeWith(buffer.subarray(2), 'utf-16be', true);
+    }
+
+    // 无 BOM 的 UTF-16：ASCII 字符会留下大量 0 字节，看 0 字节集中在奇数位还是偶数位
+    const sample = buffer.subarray(0, 4096);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    const half = sample.length / 2;
+    if (half > 0 && oddZeros / half > 0.3 && evenZeros / half < 0.05) {
+        return decodeWith(buffer, 'utf-16le', false);
+    }
+    if (half > 0 && evenZeros / half > 0.3 && oddZeros / half < 0.05) {
+        return decodeWith(buffer, 'utf-16be', false);
+    }
+
+    // 合法的 UTF-8 优先，否则按 GB18030（兼容 GBK、GB2312）解码
+    return decodeWith(buffer, 'utf-8', false) || decodeWith(buffer, 'gb18030', false);
+}
+
+// 严格解码，遇到非法字节序列返回 null
+function decodeWith(buffer, encoding, bom) {
+    try {
+        const text = new TextDecoder(encoding, { fatal: true }).decode(buffer);
+        return { text, encoding, bom };
+    } catch (error) {
+        return null;
+    }
+}
+
+// 判断解码后的文字是否像纯文本（排除图片、压缩包等二进制文件）
+function looksLikeText(text) {
+    const sample = text.slice(0, 8192);
+    const controls = (sample.match(/[\u0000-\u0008\u000E-\u001F]/g) || []).length;
+    return controls <= sample.length * 0.01;
+}
+
+// 上传文件创建书籍时补全缺省的书籍信息：文件名作书名、佚名、正文开头作简介、今天作发布日期
+// 其他字段只保留书籍信息定义中有的，表单里的无关字段忽略
+function fillBookDefaults(fields, filename, text) {
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const data = {};
+    BOOK_FIELD_NAMES.forEach(name => {
+        if (!isEmptyValue(fields[name])) {
+            data[name] = fields[name];
+        }
+    });
+    return {
+        ...data,
+        book: data.book || path.basename(filename || '', path.extname(filename || '')) || '未命名',
+        author: data.author || '佚名',
+        summary: data.summary || text.replace(/\s+/g, ' ').trim().slice(0, 100) || '暂无简介',
+        subDate: data.subDate || today
+    };
+}
+
+// 从上传请求中取出文件和表单字段，callback(err, upload)
+// extension 为允许的扩展名，为 null 时不检查（由调用方按文件内容判断类型）；limit 为大小上限（字节）
+// upload: { filename, data, fields }；err.status 为需要返回的 HTTP 状态码
+function readUploadFile(req, query, extension, limit, callback) {
+    readRawBody(req, limit, (err, body) => {
+        if (err) {
+            err.status = err.code === 'LIMIT_EXCEEDED' ? 413 : 400;
+            err.message = err.code === 'LIMIT_EXCEEDED'
+                ? `文件不能超过 ${limit / 1024 / 1024} MB`
+                : '上传失败';
+            callback(err);
+            return;
+        }
+
+        const contentType = req.headers['content-type'] || '';
+        let upload;
+        if (/^multipart\/form-data/i.test(contentType)) {
+            const form = parseMultipart(body, contentType);
+            const file = form && form.files.find(item => item.name === 'file');
+            if (!file) {
+                const error = new Error('请通过 file 字段上传文件');
+                error.status = 400;
+                callback(error);
+                return;
+            }
+            upload = { filename: file.filename, data: file.data, fields: form.fields };
+        } else {
+            // 直接上传请求体，文件名通过 ?filename= 传入
+            upload = { filename: typeof query.filename === 'string' ? query.filename : '', data: body, fields: {} };
+        }
+
+        if (extension && upload.filename && path.extname(upload.filename).toLowerCase() !== extension) {
+            const error = new Error(`只支持上传 ${extension} 文件`);
+            error.status = 415;
+            callback(error);
+            return;
+        }
+        if (upload.data.length === 0) {
+            const error = new Error('文件内容为空');
+            error.status = 400;
+            callback(error);
+            return;
+        }
+
+        callback(null, upload);
+    });
+}
+
+// 读取上传的 TXT 文件并转换成 UTF-8 文本，callback(err, upload)
+// upload 在 readUploadFile 的基础上增加 text 和 detected（识别到的编码）
+function readUpload(req, query, callback) {
+    readUploadFile(req, query, '.txt', UPLOAD_MAX_BYTES, (err, upload) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        const decoded = decodeText(upload.data);
+        if (!decoded || !looksLikeText(decoded.text)) {
+            const error = new Error('无法识别文件编码，或文件不是文本文件');
+            error.status = 415;
+            callback(error);
+            return;
+        }
+
+        upload.text = decoded.text;
+        upload.detected = {
+            encoding: decoded.encoding,
+            bom: decoded.bom,
+            bytes: upload.data.length,
+            characters: decoded.text.length
+        };
+        callback(null, upload);
+    });
+}
+
+// ZIP 读写（EPUB 本质上是 ZIP），只用内置 zlib，不依赖外部工具
+// 只支持 EPUB 需要的部分：存储(0)和 deflate(8) 两种压缩方式，不支持 ZIP64 和加密
+const ZIP_MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+const CRC32_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[i] = c;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function getDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// 压缩一个条目，返回 ZIP 的本地文件头和中央目录记录，offset 为本地文件头在 ZIP 中的位置
+function buildZipEntry(entry, compressed, offset, dos) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const method = entry.store ? 0 : 8;
+    const crc = crc32(entry.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // 文件名为 UTF-8
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(dos.time, 10);
+    local.writeUInt16LE(dos.date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(dos.time, 12);
+    central.writeUInt16LE(dos.date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    return { local: Buffer.concat([local, name, compressed]), central: Buffer.concat([central, name]) };
+}
+
+function buildZipEnd(count, centralSize, centralOffset) {
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(count, 8);
+    end.writeUInt16LE(count, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(centralOffset, 16);
+    return end;
+}
+
+function toZipEntry(entry) {
+    return { ...entry, data: Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8') };
+}
+
+// 生成 ZIP，entries: [{ name, data, store }]，store 为 true 时不压缩
+function createZip(entries) {
+    const dos = getDosDateTime(new Date());
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.map(toZipEntry).forEach(entry => {
+        const built = buildZipEntry(entry, entry.store ? entry.data : zlib.deflateRawSync(entry.data), offset, dos);
+        locals.push(built.local);
+        centrals.push(built.central);
+        offset += built.local.length;
+    });
+
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    return Buffer.concat([...locals, ...centrals, buildZipEnd(entries.length, centralSize, offset)]);
+}
+
+// 边生成边写入可写流的 ZIP，内存中只保留当前条目，用于生成整库备份这类大文件
+// 返回 { add(entry, callback), end(callback) }，上一次 add 回调之后才能继续添加
+// 输出流出错或被关闭（比如下载中途断开）时回调 err
+function createZipWriter(output) {
+    const dos = getDosDateTime(new Date());
+    const centrals = [];
+    let offset = 0;
+    let streamError = null;
+    output.on('error', (err) => {
+        streamError = err;
+    });
+
+    const write = (buffer, callback) => {
+        if (output.destroyed) {
+            callback(streamError || new Error('输出流已关闭'));
+            return;
+        }
+        offset += buffer.length;
+        if (output.write(buffer)) {
+            callback(null);
+            return;
+        }
+        const finish = (err) => {
+            output.off('drain', onDrain);
+            output.off('close', onClose);
+            callback(err);
+        };
+        const onDrain = () => finish(null);
+        const onClose = () => finish(streamError || new Error('输出流已关闭'));
+        output.on('drain', onDrain);
+        output.on('close', onClose);
+    };
+
+    return {
+        add(entry, callback) {
+            const zipEntry = toZipEntry(entry);
+            const compress = zipEntry.store
+                ? (data, cb) => cb(null, data)
+                : zlib.deflateRaw;
+            compress(zipEntry.data, (err, compressed) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                const built = buildZipEntry(zipEntry, compressed, offset, dos);
+                centrals.push(built.central);
+                write(built.local, callback);
+            });
+        },
+        end(callback) {
+            const central = Buffer.concat(centrals);
+            write(Buffer.concat([central, buildZipEnd(centrals.length, central.length, offset)]), (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                output.end(() => callback(streamError));
+            });
+        }
+    };
+}
+
+// 读取 ZIP，返回 Map(文件名 → Buffer)，格式不支持时抛出错误
+// maxBytes 为解压后的总大小上限，默认 ZIP_MAX_UNCOMPRESSED_BYTES
+function readZip(buffer, maxBytes) {
+    const limit = maxBytes || ZIP_MAX_UNCOMPRESSED_BYTES;
+    // 从末尾向前找中央目录结束标记
+    let endOffset = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 65535); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('不是有效的 ZIP 文件');
+    }
+
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let position = buffer.readUInt32LE(endOffset + 16);
+    const files = new Map();
+    let totalSize = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== 0x02014b50) {
+            throw new Error('ZIP 中央目录损坏');
+        }
+        const method = buffer.readUInt16LE(position + 10);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const size = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.subarray(position + 46, position + 46 + nameLength).toString('utf8');
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+        totalSize += size;
+        if (totalSize > limit) {
+            throw new Error('ZIP 解压后体积过大');
+        }
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+            throw new Error('ZIP 文件头损坏');
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files.set(name, raw);
+        } else if (method === 8) {
+            files.set(name, zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) }));
+        } else {
+            throw new Error(`不支持的 ZIP 压缩方式: ${method}`);
+        }
+    }
+
+    return files;
+}
+
+// EPUB 导出/导入
+// 导出：book.json 元数据 + 书籍内容生成 EPUB 3，识别到章节时每章一个 XHTML
+// 导入：读取 OPF 元数据创建书籍，按 spine 顺序把各 XHTML 提取成纯文本，标题作为章节标题行
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// 一段正文转成 XHTML 文档，showHeading 为 false 时不在正文中重复标题（用于前言）
+function buildChapterXhtml(title, body, showHeading) {
+    const paragraphs = body.split(/\r\n|\r|\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .map(line => `    <p>${escapeXml(line)}</p>`)
+        .join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="zh-CN" lang="zh-CN">
+<head>
+    <meta charset="UTF-8"/>
+    <title>${escapeXml(title)}</title>
+</head>
+<body>
+${showHeading ? `    <h2>${escapeXml(title)}</h2>\n` : ''}${paragraphs}
+</body>
+</html>
+`;
+}
+
+// 生成 EPUB 文件
+function buildEpub(book, text, regex) {
+    const parsed = parseChapters(text, regex);
+    const sections = [];
+    if (parsed.preface.trim() !== '') {
+        sections.push({ title: parsed.chapters.length > 0 ? '前言' : book.book, body: parsed.preface, showHeading: false });
+    }
+    parsed.chapters.forEach(chapter => sections.push({ title: chapter.title, body: chapter.body, showHeading: true }));
+    if (sections.length === 0) {
+        sections.push({ title: book.book, body: '', showHeading: false });
+    }
+
+    const files = sections.map((section, i) => ({
+        id: `chapter-${i + 1}`,
+        href: `text/chapter-${i + 1}.xhtml`,
+        title: section.title,
+        xhtml: buildChapterXhtml(section.title, section.body, section.showHeading)
+    }));
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="zh-CN">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">urn:uuid:${book.id}</dc:identifier>
+        <dc:title>${escapeXml(book.book)}</dc:title>
+${[].concat(book.author || []).map(author => `        <dc:creator>${escapeXml(author)}</dc:creator>`).join('\n')}
+        <dc:description>${escapeXml(book.summary)}</dc:description>
+        <dc:date>${escapeXml(book.subDate)}</dc:date>
+        <dc:language>${escapeXml(book.language || 'zh-CN')}</dc:language>${book.isbn ? `
+        <dc:identifier>urn:isbn:${book.isbn}</dc:identifier>` : ''}${(book.tags || []).map(tag => `
+        <dc:subject>${escapeXml(tag)}</dc:subject>`).join('')}
+        <meta property="dcterms:modified">${modified}</meta>
+    </metadata>
+    <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+${files.map(file => `        <item id="${file.id}" href="${file.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+    </manifest>
+    <spine toc="ncx">
+${files.map(file => `        <itemref idref="${file.id}"/>`).join('\n')}
+    </spine>
+</package>
+`;
+
+    const nav = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="zh-CN" lang="zh-CN">
+<head>
+    <meta charset="UTF-8"/>
+    <title>目录</title>
+</head>
+<body>
+    <nav epub:type="toc" id="toc">
+        <h1>目录</h1>
+        <ol>
+${files.map(file => `            <li><a href="${file.href}">${escapeXml(file.title)}</a></li>`).join('\n')}
+        </ol>
+    </nav>
+</body>
+</html>
+`;
+
+    // EPUB 2 阅读器使用的目录
+    const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+    <head>
+        <meta name="dtb:uid" content="urn:uuid:${book.id}"/>
+    </head>
+    <docTitle><text>${escapeXml(book.book)}</text></docTitle>
+    <navMap>
+${files.map((file, i) => `        <navPoint id="nav-${i + 1}" playOrder="${i + 1}">
+            <navLabel><text>${escapeXml(file.title)}</text></navLabel>
+            <content src="${file.href}"/>
+        </navPoint>`).join('\n')}
+    </navMap>
+</ncx>
+`;
+
+    const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>
+`;
+
+    // mimetype 必须是第一个文件且不压缩
+    return createZip([
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', data: container },
+        { name: 'OEBPS/content.opf', data: opf },
+        { name: 'OEBPS/nav.xhtml', data: nav },
+        { name: 'OEBPS/toc.ncx', data: ncx },
+        ...files.map(file => ({ name: `OEBPS/${file.href}`, data: file.xhtml }))
+    ]);
+}
+
+// XHTML 转纯文本：块级标签换行，标题单独成行
+function xhtmlToText(xhtml) {
+    const body = (/<body[^>]*>([\s\S]*)<\/body>/i.exec(xhtml) || [null, xhtml])[1];
+    const text = body
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|h[1-6]|li|section|article|blockquote|tr)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+    return unescapeXml(text)
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .join('\n');
+}
+
+// 读取 OPF 中某个 dc 元素的所有值
+function readDcValues(opf, name) {
+    const regex = new RegExp(`<dc:${name}[^>]*>([\\s\\S]*?)</dc:${name}>`, 'gi');
+    const values = [];
+    let match;
+    while ((match = regex.exec(opf)) !== null) {
+        const value = unescapeXml(match[1].replace(/<[^>]+>/g, '')).trim();
+        if (value) {
+            values.push(value);
+        }
+    }
+    return values;
+}
+
+// 读取标签的属性
+function readXmlAttribute(tag, name) {
+    const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(tag);
+    return match ? unescapeXml(match[2] !== undefined ? match[2] : match[3]) : undefined;
+}
+
+// 解析 EPUB，返回 { metadata, text }，格式错误时抛出错误
+function parseEpub(buffer) {
+    const files = readZip(buffer);
+    const container = files.get('META-INF/container.xml');
+    if (!container) {
+        throw new Error('缺少 META-INF/container.xml，不是有效的 EPUB');
+    }
+    const rootTag = (/<rootfile\b[^>]*>/i.exec(container.toString('utf8')) || [])[0];
+    const opfPath = rootTag && readXmlAttribute(rootTag, 'full-path');
+    if (!opfPath || !files.has(opfPath)) {
+        throw new Error('找不到 EPUB 的 OPF 文件');
+    }
+    const opf = files.get(opfPath).toString('utf8');
+    const baseDir = path.posix.dirname(opfPath);
+
+    // manifest: id → href
+    const manifest = new Map();
+    (opf.match(/<item\b[^>]*>/gi) || []).forEach(tag => {
+        const id = readXmlAttribute(tag, 'id');
+        const href = readXmlAttribute(tag, 'href');
+        if (id && href) {
+            manifest.set(id, { href, type: readXmlAttribute(tag, 'media-type') || '' });
+        }
+    });
+
+    // 按 spine 顺序提取正文，跳过导航文档
+    const sections = [];
+    (opf.match(/<itemref\b[^>]*>/gi) || []).forEach(tag => {
+        const item = manifest.get(readXmlAttribute(tag, 'idref'));
+        if (!item || !/xhtml|html/i.test(item.type)) {
+            return;
+        }
+        const href = decodeURIComponent(item.href.split('#')[0]);
+        const file = files.get(baseDir === '.' ? href : path.posix.join(baseDir, href));
+        if (file) {
+            const text = xhtmlToText(file.toString('utf8'));
+            if (text) {
+                sections.push(text);
+            }
+        }
+    });
+
+    const date = (readDcValues(opf, 'date')[0] || '').slice(0, 10);
+    // 语言只保留书籍信息定义中有的，zh 视为简体中文
+    const languageField = BOOK_SCHEMA.find(field => field.name === 'language');
+    const language = (readDcValues(opf, 'language')[0] || '').replace(/^zh$/i, 'zh-CN').toLowerCase();
+    const languageOption = languageField.options.find(option => option.value.toLowerCase() === language);
+    const isbn = readDcValues(opf, 'identifier')
+        .map(value => value.replace(/^urn:isbn:/i, '').replace(/[\s-]/g, '').toUpperCase())
+        .find(isValidIsbn);
+    return {
+        metadata: {
+            book: readDcValues(opf, 'title')[0] || '',
+            author: readDcValues(opf, 'creator'),
+            summary: (readDcValues(opf, 'description')[0] || '').replace(/<[^>]+>/g, ''),
+            subDate: isValidDate(date) ? date : '',
+            language: languageOption ? languageOption.value : '',
+            isbn: isbn || '',
+            tags: readDcValues(opf, 'subject')
+        },
+        text: sections.join('\n\n')
+    };
+}
+
+// 封面图片
+// 保存在 ./封面/<书籍id>.<扩展名>，book.json 中的 cover 字段记录 { type, size, version }
+// 类型按文件头的魔数判断，不信任文件名和 Content-Type；不接受 SVG（可以内嵌脚本）
+// 服务端没有图片处理库，不另外生成缩略图，由浏览器按卡片尺寸缩放；
+// version 为图片内容的哈希，地址带上 ?v=version 时可以长期缓存，换封面后地址随之变化
+const COVER_MAX_BYTES = 5 * 1024 * 1024;
+const COVER_TYPES = [
+    { type: 'image/png', extension: '.png', test: data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { type: 'image/jpeg', extension: '.jpg', test: data => data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF },
+    { type: 'image/gif', extension: '.gif', test: data => /^GIF8[79]a$/.test(data.subarray(0, 6).toString('latin1')) },
+    { type: 'image/webp', extension: '.webp', test: data => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+// 按文件头判断图片类型，不支持的格式返回 null
+function sniffImageType(data) {
+    return COVER_TYPES.find(item => item.test(data)) || null;
+}
+
+function getCoverPath(ctx, id, cover) {
+    const item = COVER_TYPES.find(type => type.type === cover.type);
+    return path.join(ctx.coverDir, `${id}${item.extension}`);
+}
+
+// 删除一本书所有格式的封面文件，给出 keep 时保留该封面
+function removeCoverFiles(ctx, id, keep) {
+    COVER_TYPES.filter(item => !keep || item.type !== keep.type)
+        .forEach(item => fs.rmSync(path.join(ctx.coverDir, `${id}${item.extension}`), { force: true }));
+}
+
+// 保存封面文件，返回 { cover: 写入 book.json 的 cover 信息, undo }
+// 其他格式的旧文件等 book.json 写入成功后再删（removeCoverFiles(ctx, id, cover)）；
+// 写入失败时调用 undo()，同一格式的旧封面恢复原样，原来没有的删除
+function saveCoverFile(ctx, id, data, imageType) {
+    fs.mkdirSync(ctx.coverDir, { recursive: true });
+    const cover = {
+        type: imageType.type,
+        size: data.length,
+        version: crypto.createHash('sha1').update(data).digest('hex').slice(0, 12)
+    };
+    const coverPath = getCoverPath(ctx, id, cover);
+    let previous = null;
+    try {
+        previous = fs.readFileSync(coverPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+    writeFileAtomicSync(coverPath, data);
+    const undo = () => {
+        if (previous) {
+            writeFileAtomicSync(coverPath, previous);
+        } else {
+            fs.rmSync(coverPath, { force: true });
+        }
+    };
+    return { cover, undo };
+}
+
+// 书目批量导入/导出
+// CSV 带 UTF-8 BOM，Excel 打开中文不乱码；列为 id 加上书籍信息定义中的全部字段，列表字段用分号分隔
+// 导入时每一行都经过 validateBookData 校验，id 与现有书籍相同时更新，否则新建
+const CATALOG_FIELDS = ['id', ...BOOK_FIELD_NAMES];
+
+// 以 = + - @ 制表符或回车开头的单元格会被 Excel 等当成公式执行，导出时在前面加一个单引号；
+// 本来就以单引号加这些字符开头的值也多加一个，导入时去掉一个单引号，导出再导入不会改变内容
+const CSV_FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+// CSV 字段转义：可能被当成公式时加单引号，含逗号、引号、换行时加引号
+function escapeCsvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (CSV_FORMULA_PATTERN.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 去掉导出时为防公式加上的单引号
+function unescapeCsvFormula(field) {
+    return field.startsWith("'") && CSV_FORMULA_PATTERN.test(field) ? field.slice(1) : field;
+}
+
+function buildCsv(books) {
+    const lines = [CATALOG_FIELDS.join(',')].concat(
+        books.map(book => CATALOG_FIELDS.map(field =>
+            escapeCsvField(Array.isArray(book[field]) ? book[field].join('; ') : book[field])
+        ).join(','))
+    );
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// 解析 CSV（RFC 4180），返回二维数组，引号不闭合时抛出错误；单元格去掉防公式的单引号（见 escapeCsvField）
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV 引号未闭合');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // 忽略空行
+    return rows
+        .filter(cells => cells.some(cell => cell.trim() !== ''))
+        .map(cells => cells.map(unescapeCsvFormula));
+}
+
+// CSV 转成对象数组，第一行为表头
+function csvToRecords(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        return [];
+    }
+    const header = rows[0].map(name => name.trim());
+    if (!header.includes('book')) {
+        throw new Error(`CSV 第一行必须是表头，包含 ${CATALOG_FIELDS.join(', ')}`);
+    }
+    return rows.slice(1).map(cells => {
+        const record = {};
+        header.forEach((name, i) => {
+            record[name] = cells[i] === undefined ? '' : cells[i];
+        });
+        return record;
+    });
+}
+
+// 只保留书目字段，其余列忽略；值的类型交给 validateBookData 检查
+function normalizeCatalogRecord(record) {
+    const data = {};
+    CATALOG_FIELDS.forEach(field => {
+        const value = record[field];
+        if (typeof value === 'string') {
+            data[field] = value.trim();
+        } else if (value !== undefined && value !== null) {
+            data[field] = value;
+        }
+    });
+    return data;
+}
+
+// 校验并合并导入的记录，返回 { books, report }
+// report: [{ row, action: 'create' | 'update' | 'skip', book, errors }]
+function mergeCatalog(books, records) {
+    const merged = books.slice();
+    const report = records.map((record, i) => {
+        const data = record && typeof record === 'object' && !Array.isArray(record)
+            ? normalizeCatalogRecord(record) : {};
+        const errors = validateBookData(data);
+        if (errors.length > 0) {
+            return { row: i + 1, action: 'skip', book: data.book || '', errors };
+        }
+
+        const id = typeof data.id === 'string' ? data.id : '';
+        const fields = normalizeBookData(data);
+        const index = id ? findBookIndex(merged, id) : -1;
+        if (index !== -1) {
+            merged[index] = withServerFields({ id, ...fields }, merged[index]);
+            return { row: i + 1, action: 'update', id, book: fields.book, errors: [] };
+        }
+        const newBook = { id: generateBookId(), ...fields };
+        merged.push(newBook);
+        return { row: i + 1, action: 'create', id: newBook.id, book: fields.book, errors: [] };
+    });
+    return { books: merged, report };
+}
+
+// 导入报告的统计：总行数、新建、更新、跳过
+function summarizeCatalogReport(report) {
+    return {
+        total: report.length,
+        created: report.filter(item => item.action === 'create').length,
+        updated: report.filter(item => item.action === 'update').length,
+        skipped: report.filter(item => item.action === 'skip').length
+    };
+}
+
+// 解析导入的书目文件（csv 或 json），返回记录数组，解析失败时抛出错误
+function parseCatalogFile(buffer, format) {
+    // Excel 另存的 CSV 可能是 GBK，和上传 TXT 一样识别编码
+    const decoded = decodeText(buffer);
+    if (!decoded) {
+        throw new Error('无法识别文件编码');
+    }
+    if (format === 'json') {
+        const parsed = JSON.parse(decoded.text);
+        const records = Array.isArray(parsed) ? parsed : parsed && parsed.data;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON 必须是书籍数组');
+        }
+        return records;
+    }
+    if (format === 'csv') {
+        return csvToRecords(decoded.text);
+    }
+    throw new Error('导入格式只支持 csv 或 json');
+}
+
+// 保存 mergeCatalog 的结果，book.json 写入失败时返回 false
+function saveMergedCatalog(ctx, oldBooks, books, report) {
+    if (!writeBooks(ctx, books)) {
+        return false;
+    }
+
+    // 更新的书籍和 PUT 一样记录历史版本
+    report.filter(item => item.action === 'update').forEach(item => {
+        recordMetaRevision(ctx, oldBooks[findBookIndex(oldBooks, item.id)], books[findBookIndex(books, item.id)]);
+    });
+
+    // 新建的书籍和 POST /api/books 一样创建内容文件
+    report.filter(item => item.action === 'create').forEach(item => {
+        const initialContent = `This is book ${item.book}`;
+        writeFileAtomicSync(getBookFilePath(ctx, item.id), initialContent);
+        indexBookContent(ctx, item.id, initialContent);
+    });
+    return true;
+}
+
+// 历史版本
+// 每次写入内容、每次 PUT 修改书籍信息都保存一个带时间戳的版本：
+//   ./历史版本/<书籍id>/<版本id>.content.txt   内容版本
+//   ./历史版本/<书籍id>/<版本id>.meta.json     书籍信息版本
+// 版本 id 为 "毫秒时间戳-序号"，按字符串排序即按时间排序
+// 第一次记录时会先把修改前的状态存为基准版本，保证最初的内容也能找回
+// 每本书每种类型最多保留 ctx.revisionLimit（REVISION_LIMIT，默认 20）个版本，超出时删除最旧的
+const REVISION_ID_REGEX = /^\d{13}-\d{4}$/;
+const REVISION_FILE_SUFFIX = { content: '.content.txt', meta: '.meta.json' };
+let revisionSeq = 0;
+
+function getRevisionDir(ctx, id) {
+    return path.join(ctx.revisionDir, id);
+}
+
+function generateRevisionId() {
+    revisionSeq = (revisionSeq + 1) % 10000;
+    return `${Date.now()}-${String(revisionSeq).padStart(4, '0')}`;
+}
+
+// 列出版本（新的在前），type 为空时列出全部
+function listRevisions(ctx, id, type) {
+    let names;
+    try {
+        names = fs.readdirSync(getRevisionDir(ctx, id));
+    } catch (error) {
+        return [];
+    }
+    return names.map(name => {
+        const match = /^(\d{13}-\d{4})\.(content\.txt|meta\.json)$/.exec(name);
+        if (!match) return null;
+        const revType = match[2] === 'content.txt' ? 'content' : 'meta';
+        if (type && revType !== type) return null;
+        return {
+            id: match[1],
+            type: revType,
+            createdAt: new Date(parseInt(match[1])).toISOString(),
+            size: fs.statSync(path.join(getRevisionDir(ctx, id), name)).size
+        };
+    }).filter(Boolean).sort((a, b) => (a.id < b.id ? 1 : -1));
+}
+
+// 读取某个版本，不存在时返回 null
+function readRevision(ctx, id, revId) {
+    if (!REVISION_ID_REGEX.test(revId)) {
+        return null;
+    }
+    for (const type of Object.keys(REVISION_FILE_SUFFIX)) {
+        const filePath = path.join(getRevisionDir(ctx, id), revId + REVISION_FILE_SUFFIX[type]);
+        if (fs.existsSync(filePath)) {
+            return { id: revId, type, data: fs.readFileSync(filePath, 'utf8') };
+        }
+    }
+    return null;
+}
+
+// 列出某类版本的 id（新的在前），只读目录不取文件大小
+// 每次写入只在开头列一次，之后把结果传给 saveRevision，不再重复读目录
+function listRevisionIds(ctx, id, type) {
+    let names;
+    try {
+        names = fs.readdirSync(getRevisionDir(ctx, id));
+    } catch (error) {
+        return [];
+    }
+    const suffix = REVISION_FILE_SUFFIX[type];
+    return names.filter(name => name.endsWith(suffix))
+        .map(name => name.slice(0, -suffix.length))
+        .filter(revId => REVISION_ID_REGEX.test(revId))
+        .sort()
+        .reverse();
+}
+
+// 保存一个版本，并删除超出保留数量的旧版本
+// ids 为保存前已有的版本 id（listRevisionIds 的结果），callback(err, ids) 返回保存后的版本 id
+function saveRevision(ctx, id, type, data, ids, callback) {
+    const dir = getRevisionDir(ctx, id);
+    fs.mkdir(dir, { recursive: true }, (err) => {
+        if (err) {
+            callback(err, ids);
+            return;
+        }
+        const revId = generateRevisionId();
+        fs.writeFile(path.join(dir, revId + REVISION_FILE_SUFFIX[type]), data, 'utf8', (err) => {
+            if (err) {
+                callback(err, ids);
+                return;
+            }
+            ctx.revisionTimes.set(id, Math.max(ctx.revisionTimes.get(id) || 0, parseInt(revId)));
+            const all = [revId, ...ids];
+            try {
+                all.slice(ctx.revisionLimit).forEach(oldId => fs.rmSync(path.join(dir, oldId + REVISION_FILE_SUFFIX[type]), { force: true }));
+            } catch (error) {
+                console.error('清理历史版本失败:', error);
+            }
+            callback(null, all.slice(0, ctx.revisionLimit));
+        });
+    });
+}
+
+// 第一次记录内容版本前，把当前文件存为基准版本，callback(err, ids) 返回现有的内容版本 id
+function ensureContentBaseline(ctx, id, callback) {
+    const filePath = getBookFilePath(ctx, id);
+    const ids = listRevisionIds(ctx, id, 'content');
+    if (ids.length > 0 || !fs.existsSync(filePath)) {
+        callback(null, ids);
+        return;
+    }
+    fs.readFile(filePath, 'utf8', (err, content) => {
+        if (err) {
+            callback(err, ids);
+            return;
+        }
+        saveRevision(ctx, id, 'content', content, ids, callback);
+    });
+}
+
+// 记录书籍信息修改，oldBook 为修改前的记录
+function recordMetaRevision(ctx, oldBook, newBook) {
+    const id = newBook.id;
+    const save = (book, ids, next) => saveRevision(ctx, id, 'meta', JSON.stringify(book, null, 4), ids, (err, savedIds) => {
+        if (err) {
+            console.error('保存历史版本失败:', err);
+        }
+        if (next) next(savedIds);
+    });
+    const ids = listRevisionIds(ctx, id, 'meta');
+    if (ids.length === 0) {
+        save(oldBook, ids, (savedIds) => save(newBook, savedIds));
+    } else {
+        save(newBook, ids);
+    }
+}
+
+// 彻底删除书籍时一并删除历史版本
+function removeRevisions(ctx, id) {
+    fs.rmSync(getRevisionDir(ctx, id), { recursive: true, force: true });
+    ctx.revisionTimes.delete(id);
+}
+
+// 藏书统计
+// 字数按 Unicode 字符（码点）统计，不计空白；一个汉字、一个字母或一个 emoji 都算一个字，和文件编码无关
+// 每本书的字数按内容文件的大小和修改时间缓存，文件没变就不重新读取，每次统计只需要 stat 一遍
+const STATS_TOP_LIMIT = 5;
+const STATS_RECENT_LIMIT = 10;
+const HAN_CHAR_REGEX = /\p{Script=Han}/u;
+const WHITESPACE_CHAR_REGEX = /\s/u;
+// ctx.contentStatsCache: id → { key, characters, hanCharacters }
+// ctx.revisionTimes: id → 最新历史版本的时间（毫秒，没有版本为 0），第一次用到时读一次目录，之后由 saveRevision 更新
+
+function countCharacters(text) {
+    let characters = 0;
+    let hanCharacters = 0;
+    for (const char of text) {
+        if (HAN_CHAR_REGEX.test(char)) {
+            hanCharacters++;
+            characters++;
+        } else if (!WHITESPACE_CHAR_REGEX.test(char)) {
+            characters++;
+        }
+    }
+    return { characters, hanCharacters };
+}
+
+// 最新历史版本的时间，结果缓存在 ctx.revisionTimes
+function getLastRevisionTime(ctx, id) {
+    if (ctx.revisionTimes.has(id)) {
+        return ctx.revisionTimes.get(id);
+    }
+    let latest = 0;
+    try {
+        fs.readdirSync(getRevisionDir(ctx, id)).forEach(name => {
+            const match = /^(\d{13})-\d{4}\./.exec(name);
+            if (match) {
+                latest = Math.max(latest, parseInt(match[1]));
+            }
+        });
+    } catch (error) {
+        // 没有历史版本
+    }
+    ctx.revisionTimes.set(id, latest);
+    return latest;
+}
+
+// 最近一次修改时间：内容文件的修改时间和最新历史版本（信息修改也会保存版本）中较晚的一个
+function getLastChangedTime(ctx, id, stats) {
+    return Math.max(stats ? stats.mtimeMs : 0, getLastRevisionTime(ctx, id));
+}
+
+// 一本书的内容统计，callback(null, { bytes, characters, hanCharacters, changedAt })；内容文件不存在时都为 0
+function getContentStats(ctx, id, callback) {
+    const filePath = getBookFilePath(ctx, id);
+    fs.stat(filePath, (err, stats) => {
+        const changedAt = new Date(getLastChangedTime(ctx, id, err ? null : stats) || 0).toISOString();
+        if (err) {
+            ctx.contentStatsCache.delete(id);
+            callback(null, { bytes: 0, characters: 0, hanCharacters: 0, changedAt });
+            return;
+        }
+        const key = `${stats.size}:${stats.mtimeMs}`;
+        const cached = ctx.contentStatsCache.get(id);
+        if (cached && cached.key === key) {
+            callback(null, { bytes: stats.size, characters: cached.characters, hanCharacters: cached.hanCharacters, changedAt });
+            return;
+        }
+        fs.readFile(filePath, 'utf8', (err, text) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            const counts = countCharacters(text);
+            ctx.contentStatsCache.set(id, { key, ...counts });
+            callback(null, { bytes: stats.size, ...counts, changedAt });
+        });
+    });
+}
+
+// 汇总整个书库，callback(err, stats)
+function computeLibraryStats(ctx, callback) {
+    const books = readBooks(ctx);
+    // 已删除的书不再占用缓存
+    const ids = new Set(books.map(book => book.id));
+    [ctx.contentStatsCache, ctx.revisionTimes].forEach(cache => cache.forEach((value, id) => {
+        if (!ids.has(id)) {
+            cache.delete(id);
+        }
+    }));
+
+    const perBook = [];
+    const next = (i) => {
+        if (i < books.length) {
+            getContentStats(ctx, books[i].id, (err, stats) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                perBook.push({ id: books[i].id, book: books[i].book, ...stats });
+                next(i + 1);
+            });
+            return;
+        }
+
+        // 多位作者的书每位作者各计一次
+        const authorCounts = new Map();
+        const yearCounts = new Map();
+        books.forEach(book => {
+            (Array.isArray(book.author) ? book.author : [book.author]).filter(Boolean).forEach(author => {
+                authorCounts.set(author, (authorCounts.get(author) || 0) + 1);
+            });
+            const year = isValidDate(book.subDate) ? book.subDate.slice(0, 4) : '未知';
+            yearCounts.set(year, (yearCounts.get(year) || 0) + 1);
+        });
+
+        const bySize = perBook.slice().sort((a, b) => b.characters - a.characters);
+        callback(null, {
+            totalBooks: books.length,
+            totalCharacters: perBook.reduce((sum, item) => sum + item.characters, 0),
+            totalHanCharacters: perBook.reduce((sum, item) => sum + item.hanCharacters, 0),
+            totalBytes: perBook.reduce((sum, item) => sum + item.bytes, 0),
+            byAuthor: Array.from(authorCounts, ([author, count]) => ({ author, count }))
+                .sort((a, b) => b.count - a.count || a.author.localeCompare(b.author, 'zh-CN')),
+            byYear: Array.from(yearCounts, ([year, count]) => ({ year, count }))
+                .sort((a, b) => a.year.localeCompare(b.year)),
+            largest: bySize.slice(0, STATS_TOP_LIMIT),
+            smallest: bySize.slice(-STATS_TOP_LIMIT).reverse(),
+            recentlyChanged: perBook.slice().sort((a, b) => b.changedAt.localeCompare(a.changedAt)).slice(0, STATS_RECENT_LIMIT),
+            books: perBook
+        });
+    };
+    next(0);
+}
+
+// 整库备份与恢复
+// 备份是一个 ZIP 文件：
+//   manifest.json                  格式标识、版本、创建时间、书籍数量，以及其余每个文件的大小和 SHA-256
+//   book.json                      书籍信息
+//   content/<id>.txt               书籍内容
+//   covers/<id>.<扩展名>            封面图片
+//   reading/<书籍 id>/<用户 id>.json 阅读记录
+// 用户账号、历史版本、回收站和操作日志不在备份中
+// 恢复有两种方式：replace 用备份替换整个书库（备份中没有的书移入回收站，恢复前先自动备份一次当前书库），
+// merge 只添加当前没有的书，id 已存在的跳过
+// 设置 BACKUP_INTERVAL_HOURS（ctx.backupIntervalMs）后按间隔自动备份到 ./备份/，只保留最近 BACKUP_KEEP（ctx.backupKeep）个
+// 备份边读边写，不会把整个书库读进内存；书库（解压后）超过 BACKUP_MAX_MB（ctx.backupMaxBytes）时拒绝备份，
+// 恢复接受的上限比它略大，所以生成的备份总能恢复（恢复要把整个备份读进内存，上限不宜设得过大）
+const BACKUP_FORMAT = 'booksmanage-backup';
+const BACKUP_VERSION = 1;
+// 不支持 ZIP64，整个备份不能超过 4GB，所以备份上限最大 4000MB
+const BACKUP_FILE_REGEX = /^backup-[\dTZ-]+(-before-restore)?\.zip$/;
+const BACKUP_ENTRY_REGEX = /^(?:content\/([0-9a-f-]{36})\.txt|covers\/([0-9a-f-]{36})(\.[a-z]+)|reading\/([0-9a-f-]{36})\/([A-Za-z0-9_-]+)\.json)$/;
+const RESTORE_MODES = ['replace', 'merge'];
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// 恢复接受的上限：清单、ZIP 文件头，以及 deflate 对无法压缩的数据的少量膨胀（不到 0.1%）都算在余量里
+function getBackupUploadMaxBytes(backupMaxBytes) {
+    return backupMaxBytes + Math.ceil(backupMaxBytes / 100) + 16 * 1024 * 1024;
+}
+
+function backupTooLargeError(ctx, bytes) {
+    const error = new Error(`书库约 ${Math.ceil(bytes / 1024 / 1024)}MB，超过备份上限 ${ctx.backupMaxBytes / 1024 / 1024}MB，可以用环境变量 BACKUP_MAX_MB 调大`);
+    error.code = 'BACKUP_TOO_LARGE';
+    return error;
+}
+
+// 列出要备份的文件并检查总大小，回调 { books, files: [{ name, path, bookId, store }] }
+// 书籍信息在这一刻取快照，之后的修改不影响这次备份
+function prepareBackup(ctx, callback) {
+    let books;
+    try {
+        books = readBooks(ctx);
+    } catch (error) {
+        callback(error);
+        return;
+    }
+    const files = [];
+    let totalBytes = Buffer.byteLength(JSON.stringify(books, null, 4));
+
+    const next = (i) => {
+        if (i >= books.length) {
+            if (totalBytes > ctx.backupMaxBytes) {
+                callback(backupTooLargeError(ctx, totalBytes));
+                return;
+            }
+            callback(null, { books, files });
+            return;
+        }
+        const book = books[i];
+        const candidates = [{ name: `content/${book.id}.txt`, path: getBookFilePath(ctx, book.id), bookId: book.id }];
+        if (book.cover) {
+            const coverPath = getCoverPath(ctx, book.id, book.cover);
+            // 图片本身已经压缩过，直接存储
+            candidates.push({ name: `covers/${path.basename(coverPath)}`, path: coverPath, bookId: book.id, store: true });
+        }
+        fs.readdir(path.join(ctx.readingDir, book.id), (err, names) => {
+            // 读不到目录说明没有阅读记录
+            (err ? [] : names).filter(name => name.endsWith('.json')).forEach(name => {
+                candidates.push({ name: `reading/${book.id}/${name}`, path: path.join(ctx.readingDir, book.id, name), bookId: book.id });
+            });
+            const statNext = (j) => {
+                if (j >= candidates.length) {
+                    next(i + 1);
+                    return;
+                }
+                fs.stat(candidates[j].path, (err, stats) => {
+                    if (!err) {
+                        files.push(candidates[j]);
+                        totalBytes += stats.size;
+                    }
+                    statNext(j + 1);
+                });
+            };
+            statNext(0);
+        });
+    };
+    next(0);
+}
+
+// 按 prepareBackup 的结果生成备份 ZIP 写入 output，每次只读一个文件
+// 内容文件都是原子替换的，读到的要么是旧版本要么是新版本；备份期间写入的内容可能比书籍信息的快照新
+// book.json 和 manifest.json 放在最后，备份期间被删掉的封面从书籍信息中去掉，保证备份自身能通过校验
+function writeBackup(ctx, plan, output, callback) {
+    const zip = createZipWriter(output);
+    const manifestFiles = [];
+    let totalBytes = 0;
+
+    const addFile = (name, data, store, done) => {
+        totalBytes += data.length;
+        if (totalBytes > ctx.backupMaxBytes) {
+            done(backupTooLargeError(ctx, totalBytes));
+            return;
+        }
+        manifestFiles.push({ name, size: data.length, sha256: sha256(data) });
+        zip.add({ name, data, store }, done);
+    };
+
+    const next = (i) => {
+        if (i >= plan.files.length) {
+            addFile('book.json', Buffer.from(JSON.stringify(plan.books, null, 4)), false, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                const manifest = {
+                    format: BACKUP_FORMAT,
+                    version: BACKUP_VERSION,
+                    createdAt: new Date().toISOString(),
+                    books: plan.books.length,
+                    files: manifestFiles
+                };
+                zip.add({ name: 'manifest.json', data: JSON.stringify(manifest, null, 4) }, (err) => (err ? callback(err) : zip.end(callback)));
+            });
+            return;
+        }
+        const file = plan.files[i];
+        fs.readFile(file.path, (err, data) => {
+            if (err && err.code === 'ENOENT') {
+                if (file.name.startsWith('covers/')) {
+                    const book = plan.books[findBookIndex(plan.books, file.bookId)];
+                    delete book.cover;
+                }
+                next(i + 1);
+                return;
+            }
+            if (err) {
+                callback(err);
+                return;
+            }
+            addFile(file.name, data, file.store, (err) => (err ? callback(err) : next(i + 1)));
+        });
+    };
+    next(0);
+}
+
+function getBackupFileName(suffix) {
+    return `backup-${new Date().toISOString().replace(/[:.]/g, '-')}${suffix || ''}.zip`;
+}
+
+// 把备份保存到 ./备份/，并删除超出保留数量的旧备份，回调文件路径
+// 先写临时文件，写完 fsync 后再改名，中途失败不会留下不完整的备份
+function saveBackupFile(ctx, suffix, callback) {
+    prepareBackup(ctx, (err, plan) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        fs.mkdirSync(ctx.backupDir, { recursive: true });
+        const filePath = path.join(ctx.backupDir, getBackupFileName(suffix));
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        fs.open(tempPath, 'w', (err, fd) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            const fail = (err) => fs.close(fd, () => fs.rm(tempPath, { force: true }, () => callback(err)));
+            const output = fs.createWriteStream(tempPath, { fd, autoClose: false });
+            writeBackup(ctx, plan, output, (err) => {
+                if (err) {
+                    output.destroy();
+                    fail(err);
+                    return;
+                }
+                fs.fsync(fd, (err) => {
+                    if (err) {
+                        fail(err);
+                        return;
+                    }
+                    fs.close(fd, (err) => {
+                        if (err) {
+                            fs.rm(tempPath, { force: true }, () => callback(err));
+                            return;
+                        }
+                        fs.rename(tempPath, filePath, (err) => {
+                            if (err) {
+                                fs.rm(tempPath, { force: true }, () => callback(err));
+                                return;
+                            }
+                            fs.readdirSync(ctx.backupDir).filter(name => BACKUP_FILE_REGEX.test(name)).sort().reverse()
+                                .slice(ctx.backupKeep)
+                                .forEach(name => fs.rmSync(path.join(ctx.backupDir, name), { force: true }));
+                            callback(null, filePath);
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+function runScheduledBackup(ctx) {
+    saveBackupFile(ctx, '', (err, filePath) => {
+        if (err) {
+            console.error('自动备份失败:', err);
+            return;
+        }
+        console.log(`已自动备份书库: ${filePath}`);
+    });
+}
+
+// 解析并校验备份，返回 { manifest, books, files: Map(文件名 → Buffer), errors }
+// 不是 ZIP 或缺少清单时抛出错误；文件缺失、校验和不符、书籍信息不合法等问题放在 errors 中
+function parseBackup(ctx, buffer) {
+    const entries = readZip(buffer, ctx.backupUploadMaxBytes);
+    const manifestData = entries.get('manifest.json');
+    if (!manifestData) {
+        throw new Error('缺少 manifest.json，不是本系统的备份文件');
+    }
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestData.toString('utf8'));
+    } catch (error) {
+        throw new Error('manifest.json 格式错误');
+    }
+    if (!manifest || manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+        throw new Error('不是本系统的备份文件');
+    }
+    if (manifest.version > BACKUP_VERSION) {
+        throw new Error(`备份版本 ${manifest.version} 比当前程序支持的版本新，请先升级`);
+    }
+
+    const errors = [];
+    const files = new Map();
+    manifest.files.forEach(file => {
+        const data = entries.get(file.name);
+        if (!data) {
+            errors.push(`缺少文件 ${file.name}`);
+        } else if (data.length !== file.size || sha256(data) !== file.sha256) {
+            errors.push(`文件 ${file.name} 校验和不符，备份可能已损坏`);
+        } else {
+            files.set(file.name, data);
+        }
+    });
+    entries.forEach((data, name) => {
+        if (name !== 'manifest.json' && !manifest.files.some(file => file.name === name)) {
+            errors.push(`清单中没有记录的文件 ${name}`);
+        }
+    });
+
+    let books = [];
+    try {
+        books = JSON.parse((files.get('book.json') || '').toString('utf8'));
+        if (!Array.isArray(books)) {
+            throw new Error();
+        }
+    } catch (error) {
+        errors.push('book.json 不是有效的书籍数组');
+        books = [];
+    }
+
+    const ids = new Set();
+    books.forEach((book, i) => {
+        const label = `第 ${i + 1} 本《${book && book.book}》`;
+        if (!book || typeof book !== 'object' || !BOOK_ID_REGEX.test(book.id)) {
+            errors.push(`${label}的 id 无效`);
+            return;
+        }
+        if (ids.has(book.id)) {
+            errors.push(`${label}的 id 重复: ${book.id}`);
+        }
+        ids.add(book.id);
+        const fields = {};
+        Object.keys(book).filter(key => !SERVER_BOOK_FIELDS.includes(key)).forEach(key => {
+            fields[key] = book[key];
+        });
+        validateBookData(fields).forEach(error => errors.push(`${label}: ${error}`));
+        if (book.cover) {
+            const type = COVER_TYPES.find(item => item.type === book.cover.type);
+            const data = type && files.get(`covers/${book.id}${type.extension}`);
+            if (!data || sniffImageType(data) !== type) {
+                errors.push(`${label}的封面文件缺失或格式不符`);
+            }
+        }
+    });
+
+    files.forEach((data, name) => {
+        if (name === 'book.json') return;
+        const match = BACKUP_ENTRY_REGEX.exec(name);
+        const bookId = match && (match[1] || match[2] || match[4]);
+        if (!match || !ids.has(bookId)) {
+            errors.push(`无法识别的文件 ${name}`);
+        }
+    });
+
+    return { manifest, books, files, errors };
+}
+
+// 计算恢复计划，返回逐本报告 [{ id, book, action }]
+// action: create 新增 | replace 覆盖现有 | skip 已存在而跳过 | remove 移入回收站（只有 replace 方式）
+function planRestore(currentBooks, backupBooks, mode) {
+    const backupIds = new Set(backupBooks.map(book => book.id));
+    const report = backupBooks.map(book => {
+        const exists = findBookIndex(currentBooks, book.id) !== -1;
+        return { id: book.id, book: book.book, action: !exists ? 'create' : mode === 'replace' ? 'replace' : 'skip' };
+    });
+    if (mode === 'replace') {
+        currentBooks.filter(book => !backupIds.has(book.id)).forEach(book => {
+            report.push({ id: book.id, book: book.book, action: 'remove' });
+        });
+    }
+    return report;
+}
+
+// 按计划写入一本书的内容、封面和阅读记录
+function restoreBookFiles(ctx, book, files) {
+    const content = files.get(`content/${book.id}.txt`) || Buffer.alloc(0);
+    writeFileAtomicSync(getBookFilePath(ctx, book.id), content);
+    ctx.pageCheckpoints.delete(book.id);
+    indexBookContent(ctx, book.id, content.toString('utf8'));
+
+    removeCoverFiles(ctx, book.id);
+    if (book.cover) {
+        fs.mkdirSync(ctx.coverDir, { recursive: true });
+        writeFileAtomicSync(getCoverPath(ctx, book.id, book.cover), files.get(`covers/${path.basename(getCoverPath(ctx, book.id, book.cover))}`));
+    }
+
+    removeReadingData(ctx, book.id);
+    const prefix = `reading/${book.id}/`;
+    files.forEach((data, name) => {
+        if (name.startsWith(prefix)) {
+            fs.mkdirSync(path.join(ctx.readingDir, book.id), { recursive: true });
+            writeFileAtomicSync(path.join(ctx.readingDir, book.id, name.slice(prefix.length)), data);
+        }
+    });
+}
+
+// 书库完整性检查与修复
+// node main.js check [--repair] [--json]，或 GET /api/admin/integrity（POST /api/admin/integrity/repair 修复）
+// 检查 book.json 的每个条目是否符合字段定义、id 是否有效且不重复、是否有同名同作者的重复条目、
+// 内容文件是否缺失、是否为 UTF-8 编码，以及 ./书籍/ 中没有对应书籍的孤立文件
+// 每个问题带有修复方式 fix，需要人工处理的（字段不合法、同名重复）为 null：
+//   assign-id    没有有效 id 或 id 与前面的书重复时分配新 id，重复时复制一份原来的内容
+//   relink       缺少内容时关联按旧的位置命名（book_<序号>.txt）的孤立文件
+//   placeholder  缺少内容又没有可关联的文件时建立空的内容文件
+//   convert      识别编码后转成 UTF-8，原文件放入隔离区
+//   quarantine   孤立文件移到 ./隔离区/<时间>/，不直接删除
+const INTEGRITY_ISSUE_NAMES = {
+    'invalid-entry': '条目无效',
+    'schema': '字段不合法',
+    'invalid-id': 'id 无效',
+    'duplicate-id': 'id 重复',
+    'duplicate-book': '重复条目',
+    'missing-content': '缺少内容',
+    'not-utf8': '非 UTF-8',
+    'orphan-file': '孤立文件'
+};
+// 修复一轮后可能出现新的可修复问题（例如关联的旧文件是 GBK 编码），最多重复几轮
+const INTEGRITY_REPAIR_PASSES = 3;
+
+// 按 UTF-8 严格分块解码，不把整个文件读进内存，callback(err, isUtf8)
+// 异步读取，检查大书库时不会长时间占住事件循环
+function isUtf8File(filePath, callback) {
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    const stream = fs.createReadStream(filePath, { highWaterMark: 64 * 1024 });
+    let finished = false;
+    const finish = (err, isUtf8) => {
+        if (finished) return;
+        finished = true;
+        stream.destroy();
+        if (err && err.code === 'ERR_ENCODING_INVALID_ENCODED_DATA') {
+            callback(null, false);
+            return;
+        }
+        callback(err, isUtf8);
+    };
+    stream.on('data', (chunk) => {
+        try {
+            decoder.decode(chunk, { stream: true });
+        } catch (error) {
+            finish(error);
+        }
+    });
+    stream.on('end', () => {
+        try {
+            decoder.decode();
+            finish(null, true);
+        } catch (error) {
+            finish(error);
+        }
+    });
+    stream.on('error', finish);
+}
+
+// 检查书库，只读不改，callback(err, { checkedAt, books, files, issues })
+// issue: { type, index（book.json 中的位置）, bookId, book（书名）, file, message, fix }
+// 条目本身的检查在内存中完成，内容文件的编码检查逐个异步读取
+// writeFileAtomic 写到一半的临时文件（*.tmp）和正在新建的书（ctx.creatingBookIds）的内容文件不算孤立文件，
+// 否则修复时会把正在写入的内容移走
+function checkIntegrity(ctx, callback) {
+    let books;
+    try {
+        books = readBooks(ctx);
+    } catch (error) {
+        callback(error);
+        return;
+    }
+    fs.readdir(ctx.bookDir, { withFileTypes: true }, (err, entries) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        const creatingFiles = new Set(Array.from(ctx.creatingBookIds, id => path.basename(getBookFilePath(ctx, id))));
+        const files = entries.filter(entry => entry.isFile() && !entry.name.endsWith('.tmp') && !creatingFiles.has(entry.name))
+            .map(entry => entry.name);
+        const fileSet = new Set(files);
+        const usedFiles = new Set();
+        const seenIds = new Set();
+        const seenTitles = new Map();
+        const issues = [];
+        // 需要检查编码的内容文件：{ entry, fileName }
+        const encodingChecks = [];
+
+        books.forEach((book, index) => {
+            if (!book || typeof book !== 'object' || Array.isArray(book)) {
+                issues.push({ type: 'invalid-entry', index, bookId: null, book: '', file: null, message: '条目不是对象', fix: null });
+                return;
+            }
+            const { id, cover, ...fields } = book;
+            const entry = { index, bookId: id || null, book: typeof fields.book === 'string' ? fields.book : '' };
+
+            const errors = validateBookData(fields);
+            if (errors.length > 0) {
+                issues.push({ type: 'schema', ...entry, file: null, message: errors.join('；'), fix: null });
+            }
+
+            const titleKey = JSON.stringify([entry.book, [].concat(fields.author || [])]);
+            if (entry.book && seenTitles.has(titleKey)) {
+                issues.push({ type: 'duplicate-book', ...entry, file: null, message: `与第 ${seenTitles.get(titleKey) + 1} 本书的书名和作者相同`, fix: null });
+            } else if (entry.book) {
+                seenTitles.set(titleKey, index);
+            }
+
+            // id 重复的书修复时复制第一本书的内容，不算缺少内容
+            if (typeof id === 'string' && BOOK_ID_REGEX.test(id) && seenIds.has(id)) {
+                issues.push({ type: 'duplicate-id', ...entry, file: null, message: 'id 与前面的书重复', fix: 'assign-id' });
+                return;
+            }
+            const validId = typeof id === 'string' && BOOK_ID_REGEX.test(id);
+            if (validId) {
+                seenIds.add(id);
+            } else {
+                issues.push({ type: 'invalid-id', ...entry, file: null, message: 'id 缺失或格式不对', fix: 'assign-id' });
+            }
+
+            const fileName = validId ? path.basename(getBookFilePath(ctx, id)) : null;
+            if (fileName && fileSet.has(fileName)) {
+                usedFiles.add(fileName);
+                encodingChecks.push({ entry, fileName });
+                return;
+            }
+            const legacyName = `book_${index + 1}.txt`;
+            if (fileSet.has(legacyName) && !usedFiles.has(legacyName)) {
+                usedFiles.add(legacyName);
+                issues.push({ type: 'missing-content', ...entry, file: legacyName, message: `缺少内容文件，可以关联旧文件 ${legacyName}`, fix: 'relink' });
+            } else {
+                issues.push({ type: 'missing-content', ...entry, file: null, message: '缺少内容文件', fix: 'placeholder' });
+            }
+        });
+
+        files.filter(name => !usedFiles.has(name)).forEach(name => {
+            issues.push({ type: 'orphan-file', index: null, bookId: null, book: '', file: name, message: '没有对应的书籍', fix: 'quarantine' });
+        });
+
+        const next = (i) => {
+            if (i >= encodingChecks.length) {
+                // 编码问题是后补的，按书籍顺序排回去（孤立文件在最后）
+                const order = (issue) => (issue.index === null ? Infinity : issue.index);
+                issues.sort((a, b) => order(a) - order(b));
+                callback(null, { checkedAt: new Date().toISOString(), books: books.length, files: files.length, issues });
+                return;
+            }
+            const { entry, fileName } = encodingChecks[i];
+            const filePath = path.join(ctx.bookDir, fileName);
+            isUtf8File(filePath, (err, isUtf8) => {
+                // 检查期间被删除的文件跳过
+                if (err && err.code === 'ENOENT') {
+                    next(i + 1);
+                    return;
+                }
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                if (isUtf8) {
+                    next(i + 1);
+                    return;
+                }
+                fs.readFile(filePath, (err, data) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    const decoded = decodeText(data);
+                    issues.push({
+                        ...entry,
+                        type: 'not-utf8',
+                        file: fileName,
+                        message: decoded ? `内容文件是 ${decoded.encoding} 编码` : '内容文件不是 UTF-8 编码，也无法识别编码',
+                        fix: decoded ? 'convert' : null
+                    });
+                    next(i + 1);
+                });
+            });
+        };
+        next(0);
+    });
+}
+
+// 按检查结果修复，callback(err, { actions, report: 修复后重新检查的结果 })
+// action: { action（即 fix）, bookId, book, file, message }
+// 和 migrateBookIds 一样先复制文件、再写 book.json、最后删除旧文件，中途失败不会丢内容
+function repairIntegrity(ctx, callback) {
+    const actions = [];
+    const quarantineDir = path.join(ctx.quarantineDir, new Date().toISOString().replace(/[:.]/g, '-'));
+    const quarantine = (fileName) => {
+        fs.mkdirSync(quarantineDir, { recursive: true });
+        const target = path.join(quarantineDir, fileName);
+        fs.copyFileSync(path.join(ctx.bookDir, fileName), target);
+        return path.relative(ctx.dataDir, target);
+    };
+
+    // 每一轮先重新检查，没有可修复的问题或达到轮数上限后返回最后一次检查的结果
+    const runPass = (pass) => {
+        checkIntegrity(ctx, (err, report) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            const issues = report.issues.filter(issue => issue.fix);
+            if (issues.length === 0 || pass >= INTEGRITY_REPAIR_PASSES) {
+                callback(null, { actions, report });
+                return;
+            }
+            try {
+                const books = readBooks(ctx);
+                const relinkedFiles = [];
+                let booksChanged = false;
+
+                issues.forEach(issue => {
+                    const book = issue.index === null ? null : books[issue.index];
+                    switch (issue.fix) {
+                        case 'assign-id': {
+                            const { id: oldId, ...fields } = book;
+                            const id = generateBookId();
+                            books[issue.index] = { id, ...fields };
+                            booksChanged = true;
+                            if (issue.type === 'duplicate-id' && fs.existsSync(getBookFilePath(ctx, oldId))) {
+                                fs.copyFileSync(getBookFilePath(ctx, oldId), getBookFilePath(ctx, id));
+                            }
+                            actions.push({ action: 'assign-id', bookId: id, book: issue.book, file: null, message: oldId ? `id ${oldId} 改为 ${id}` : `分配 id ${id}` });
+                            break;
+                        }
+                        case 'relink': {
+                            const id = books[issue.index].id;
+                            fs.copyFileSync(path.join(ctx.bookDir, issue.file), getBookFilePath(ctx, id));
+                            relinkedFiles.push(issue.file);
+                            actions.push({ action: 'relink', bookId: id, book: issue.book, file: issue.file, message: `关联 ${issue.file}，改名为 ${path.basename(getBookFilePath(ctx, id))}` });
+                            break;
+                        }
+                        case 'placeholder': {
+                            const id = books[issue.index].id;
+                            writeFileAtomicSync(getBookFilePath(ctx, id), '');
+                            actions.push({ action: 'placeholder', bookId: id, book: issue.book, file: null, message: `建立空的内容文件 ${path.basename(getBookFilePath(ctx, id))}` });
+                            break;
+                        }
+                        case 'convert': {
+                            const filePath = path.join(ctx.bookDir, issue.file);
+                            const decoded = decodeText(fs.readFileSync(filePath));
+                            const saved = quarantine(issue.file);
+                            writeFileAtomicSync(filePath, decoded.text);
+                            actions.push({ action: 'convert', bookId: issue.bookId, book: issue.book, file: issue.file, message: `从 ${decoded.encoding} 转成 UTF-8，原文件保存为 ${saved}` });
+                            break;
+                        }
+                        case 'quarantine': {
+                            const saved = quarantine(issue.file);
+                            fs.rmSync(path.join(ctx.bookDir, issue.file), { force: true });
+                            actions.push({ action: 'quarantine', bookId: null, book: '', file: issue.file, message: `移到 ${saved}` });
+                            break;
+                        }
+                    }
+                });
+
+                if (booksChanged && !writeBooks(ctx, books)) {
+                    throw new Error('无法写入 book.json');
+                }
+                relinkedFiles.forEach(fileName => fs.rmSync(path.join(ctx.bookDir, fileName), { force: true }));
+            } catch (error) {
+                callback(error);
+                return;
+            }
+            runPass(pass + 1);
+        });
+    };
+    runPass(0);
+}
+
+// 命令行检查或修复，callback(进程退出码)：没有问题为 0，有问题为 1，检查失败为 2
+function runIntegrityCommand(ctx, args, callback) {
+    const repair = args.includes('--repair');
+    const done = (err, result) => {
+        if (err) {
+            console.error(`检查失败: ${err.message}`);
+            callback(2);
+            return;
+        }
+        callback(printIntegrityResult(args, result));
+    };
+    if (repair) {
+        repairIntegrity(ctx, done);
+    } else {
+        checkIntegrity(ctx, (err, report) => done(err, { actions: null, report }));
+    }
+}
+
+// 输出检查结果，返回进程退出码
+function printIntegrityResult(args, result) {
+    const repair = args.includes('--repair');
+    const { actions, report } = result;
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(repair ? { actions, ...report } : report, null, 4));
+        return report.issues.length > 0 ? 1 : 0;
+    }
+
+    const describe = (item) => [
+        item.index === null || item.index === undefined ? '' : `第 ${item.index + 1} 本`,
+        item.book ? `《${item.book}》` : '',
+        item.file || ''
+    ].filter(Boolean).join(' ');
+    if (actions) {
+        console.log(actions.length > 0 ? `已执行 ${actions.length} 项修复：` : '没有可以自动修复的问题');
+        actions.forEach(item => console.log(`  [${item.action}] ${describe(item)}：${item.message}`));
+        console.log('');
+    }
+    console.log(`书库完整性检查：book.json 中 ${report.books} 本书，./书籍/ 中 ${report.files} 个文件`);
+    if (report.issues.length === 0) {
+        console.log('没有发现问题');
+        return 0;
+    }
+    console.log(`发现 ${report.issues.length} 个问题：`);
+    report.issues.forEach(issue => {
+        console.log(`  [${INTEGRITY_ISSUE_NAMES[issue.type]}] ${describe(issue)}：${issue.message}（${issue.fix ? `修复方式 ${issue.fix}` : '需要人工处理'}）`);
+    });
+    if (!repair && report.issues.some(issue => issue.fix)) {
+        console.log('运行 node main.js check --repair 自动修复（修复前请先停止服务）');
+    }
+    return 1;
+}
+
+// 回收站
+// 删除书籍时不立即删除文件，而是移到 ./回收站/<书籍id>/ 下：
+//   book.json    书籍信息，附加 deletedAt（删除时间）和 deletedBy（删除人）
+//   content.txt  书籍内容
+//   cover        封面图片（有封面时）
+// 历史版本保留在原处，恢复后可以继续使用；彻底删除时才一起删除
+// 超过 ctx.trashRetentionDays（TRASH_RETENTION_DAYS，默认 30）天的书籍会被自动清除
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function getTrashDir(ctx, id) {
+    return path.join(ctx.trashDir, id);
+}
+
+function getTrashExpiry(ctx, deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + ctx.trashRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// 读取回收站中的一本书，不存在或已损坏时返回 null
+function readTrashItem(ctx, id) {
+    if (!BOOK_ID_REGEX.test(id)) {
+        return null;
+    }
+    try {
+        const item = JSON.parse(fs.readFileSync(path.join(getTrashDir(ctx, id), 'book.json'), 'utf8'));
+        return { ...item, expiresAt: getTrashExpiry(ctx, item.deletedAt) };
+    } catch (error) {
+        return null;
+    }
+}
+
+// 回收站列表，最近删除的在前
+function listTrash(ctx) {
+    let names;
+    try {
+        names = fs.readdirSync(ctx.trashDir);
+    } catch (error) {
+        return [];
+    }
+    return names.map(id => readTrashItem(ctx, id))
+        .filter(Boolean)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// 把书籍移入回收站：先把信息和内容写进回收站，再从 book.json 中移除，最后删除原内容文件
+// 中途失败时书籍仍然完整地留在原处
+function moveToTrash(ctx, books, index, user) {
+    const book = books[index];
+    const item = stageTrashItem(ctx, book, user);
+    books.splice(index, 1);
+    if (!writeBooks(ctx, books)) {
+        fs.rmSync(getTrashDir(ctx, book.id), { recursive: true, force: true });
+        return null;
+    }
+    finishTrashItem(ctx, book);
+    return item;
+}
+
+// 把书籍信息、内容和封面复制到回收站，返回回收站记录；从 book.json 中移除由调用方完成
+function stageTrashItem(ctx, book, user) {
+    const trashDir = getTrashDir(ctx, book.id);
+    fs.mkdirSync(trashDir, { recursive: true });
+    const bookFilePath = getBookFilePath(ctx, book.id);
+    if (fs.existsSync(bookFilePath)) {
+        fs.copyFileSync(bookFilePath, path.join(trashDir, 'content.txt'));
+    }
+    if (book.cover && fs.existsSync(getCoverPath(ctx, book.id, book.cover))) {
+        fs.copyFileSync(getCoverPath(ctx, book.id, book.cover), path.join(trashDir, 'cover'));
+    }
+    const item = { ...book, deletedAt: new Date().toISOString(), deletedBy: user ? user.username : null };
+    writeFileAtomicSync(path.join(trashDir, 'book.json'), JSON.stringify(item, null, 4));
+    return item;
+}
+
+// book.json 写入成功后删除原来的内容、封面和索引
+function finishTrashItem(ctx, book) {
+    fs.rmSync(getBookFilePath(ctx, book.id), { force: true });
+    removeCoverFiles(ctx, book.id);
+    removeFromSearchIndex(ctx, book.id);
+    ctx.pageCheckpoints.delete(book.id);
+}
+
+// 从回收站恢复，返回恢复后的书籍；书籍 id 已存在时返回 null
+function restoreFromTrash(ctx, id) {
+    const item = readTrashItem(ctx, id);
+    const books = readBooks(ctx);
+    if (findBookIndex(books, id) !== -1) {
+        return null;
+    }
+    const { deletedAt, deletedBy, expiresAt, ...book } = item;
+    const trashCoverPath = path.join(getTrashDir(ctx, id), 'cover');
+    if (book.cover && fs.existsSync(trashCoverPath)) {
+        fs.mkdirSync(ctx.coverDir, { recursive: true });
+        fs.copyFileSync(trashCoverPath, getCoverPath(ctx, id, book.cover));
+    } else {
+        delete book.cover;
+    }
+    let content = '';
+    try {
+        content = fs.readFileSync(path.join(getTrashDir(ctx, id), 'content.txt'), 'utf8');
+    } catch (error) {
+        // 删除时没有内容文件，恢复为空内容
+    }
+    writeFileAtomicSync(getBookFilePath(ctx, id), content);
+    books.push(book);
+    if (!writeBooks(ctx, books)) {
+        throw new Error('写入书籍数据失败');
+    }
+    indexBookContent(ctx, id, content);
+    fs.rmSync(getTrashDir(ctx, id), { recursive: true, force: true });
+    return book;
+}
+
+// 彻底删除
+function purgeTrashItem(ctx, id) {
+    fs.rmSync(getTrashDir(ctx, id), { recursive: true, force: true });
+    removeRevisions(ctx, id);
+    removeReadingData(ctx, id);
+}
+
+// 清除超过保留天数的书籍，返回清除的数量
+function purgeExpiredTrash(ctx) {
+    const now = new Date().toISOString();
+    const expired = listTrash(ctx).filter(item => item.expiresAt <= now);
+    expired.forEach(item => {
+        purgeTrashItem(ctx, item.id);
+        appendAudit(ctx, { ip: null, user: null, action: 'purge', bookId: item.id, title: item.book, before: item, after: null, detail: { via: 'expired' } });
+    });
+    if (expired.length > 0) {
+        console.log(`已自动清除回收站中超过 ${ctx.trashRetentionDays} 天的书籍 ${expired.length} 本`);
+    }
+    return expired.length;
+}
+
+// 批量操作
+// 列表多选后一次提交多项操作，按 id 指定书籍，不受删除后下标前移的影响：
+//   { id, action: 'update', fields: { 字段: 值 } }   只修改给出的字段，值为空时清除该字段
+//   { id, action: 'setTags', tags }                  设置标签（逗号分隔的文字或数组，空值表示清空）
+//   { id, action: 'setAuthor', author }              设置作者
+//   { id, action: 'delete' }                         移入回收站（仅管理员）
+// 每项可以带 etag（GET 返回的 ETag），与当前版本不一致时该项失败
+// 全部校验通过后才执行，所有修改和删除一次写入 book.json；有一项不通过就都不执行
+const BATCH_MAX_OPERATIONS = 200;
+const BATCH_ACTIONS = ['update', 'setTags', 'setAuthor', 'delete'];
+
+// 逐项校验，返回 { books, results, updated, deleted }
+// books 为执行后的书籍列表；results 与 operations 一一对应 { index, id, action, success, errors, conflict }
+// updated: [{ oldBook, book }]，deleted: [book]
+function planBatchOperations(books, operations) {
+    const nextBooks = books.slice();
+    const seen = new Set();
+    const updated = [];
+    const deleted = [];
+    const results = operations.map((operation, index) => {
+        const isObject = operation && typeof operation === 'object' && !Array.isArray(operation);
+        const result = {
+            index,
+            id: isObject && typeof operation.id === 'string' ? operation.id : null,
+            action: isObject ? operation.action : null,
+            success: false,
+            errors: []
+        };
+        if (!isObject) {
+            result.errors.push('每一项操作必须是对象');
+            return result;
+        }
+        if (!BATCH_ACTIONS.includes(operation.action)) {
+            result.errors.push(`action 只能是 ${BATCH_ACTIONS.join(' / ')} 之一`);
+            return result;
+        }
+        const bookIndex = findBookIndex(nextBooks, operation.id);
+        if (bookIndex === -1) {
+            result.errors.push('书籍不存在');
+            return result;
+        }
+        if (seen.has(operation.id)) {
+            result.errors.push('同一本书在一次批量操作中只能出现一次');
+            return result;
+        }
+        seen.add(operation.id);
+
+        const oldBook = nextBooks[bookIndex];
+        if (operation.etag !== undefined && operation.etag !== getBookETag(oldBook)) {
+            result.conflict = true;
+            result.errors.push('书籍已被其他人修改');
+            return result;
+        }
+        if (operation.action === 'delete') {
+            deleted.push(oldBook);
+            result.success = true;
+            return result;
+        }
+
+        let changes;
+        if (operation.action === 'update') {
+            changes = operation.fields;
+            if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+                result.errors.push('fields 必须是对象');
+                return result;
+            }
+            if (SERVER_BOOK_FIELDS.some(name => name in changes)) {
+                result.errors.push('id 和封面不能通过这里修改');
+                return result;
+            }
+        } else if (operation.action === 'setTags') {
+            changes = { tags: operation.tags };
+        } else {
+            changes = { author: operation.author };
+        }
+        const data = { ...oldBook, ...changes };
+        result.errors = validateBookData(data);
+        if (result.errors.length > 0) {
+            return result;
+        }
+        const book = withServerFields({ id: oldBook.id, ...normalizeBookData(data) }, oldBook);
+        nextBooks[bookIndex] = book;
+        updated.push({ oldBook, book });
+        result.success = true;
+        result.book = book;
+        result.etag = getBookETag(book);
+        return result;
+    });
+
+    const deletedIds = new Set(deleted.map(book => book.id));
+    return { books: nextBooks.filter(book => !deletedIds.has(book.id)), results, updated, deleted };
+}
+
+// 执行校验通过的批量操作：先把要删除的书复制到回收站，再一次写入 book.json，成功后删除原文件
+// 返回回收站记录列表，book.json 写入失败时撤销回收站中的副本并返回 null
+function applyBatchPlan(ctx, plan, user) {
+    const staged = [];
+    const unstage = () => staged.forEach(item => fs.rmSync(getTrashDir(ctx, item.id), { recursive: true, force: true }));
+    try {
+        plan.deleted.forEach(book => staged.push(stageTrashItem(ctx, book, user)));
+    } catch (error) {
+        unstage();
+        throw error;
+    }
+    if (!writeBooks(ctx, plan.books)) {
+        unstage();
+        return null;
+    }
+    plan.deleted.forEach(book => finishTrashItem(ctx, book));
+    plan.updated.forEach(({ oldBook, book }) => recordMetaRevision(ctx, oldBook, book));
+    return staged;
+}
+
+// 阅读记录：每个用户在每本书上的阅读进度、书签和笔记
+// 保存在 ./阅读记录/<书籍 id>/<用户 id>.json，换一台设备登录也能接着读
+// { progress: { offset, percent, updatedAt } | null, bookmarks: [...], notes: [...] }
+// 位置都是全文的字符偏移，和分页读取（mode=page）的 offset 一致；修改内容后位置可能会偏移
+const READING_ITEM_LIMIT = 500;
+const BOOKMARK_NAME_MAX_LENGTH = 50;
+const NOTE_QUOTE_MAX_LENGTH = 1000;
+const NOTE_TEXT_MAX_LENGTH = 2000;
+const NOTE_COLORS = ['yellow', 'green', 'blue', 'pink'];
+// 书签和笔记可以提交的字段，修改时位置不能变
+const READING_ITEM_FIELDS = {
+    bookmarks: { create: ['offset', 'name'], update: ['name'] },
+    notes: { create: ['offset', 'length', 'quote', 'note', 'color'], update: ['note', 'color'] }
+};
+
+function getReadingPath(ctx, bookId, userId) {
+    return path.join(ctx.readingDir, bookId, `${userId}.json`);
+}
+
+// 读取阅读记录，还没有记录时返回空记录
+function readReading(ctx, bookId, userId) {
+    try {
+        return JSON.parse(fs.readFileSync(getReadingPath(ctx, bookId, userId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { progress: null, bookmarks: [], notes: [] };
+        }
+        throw error;
+    }
+}
+
+function writeReading(ctx, bookId, userId, reading) {
+    try {
+        fs.mkdirSync(path.join(ctx.readingDir, bookId), { recursive: true });
+        writeFileAtomicSync(getReadingPath(ctx, bookId, userId), JSON.stringify(reading, null, 4));
+        return true;
+    } catch (error) {
+        console.error('写入阅读记录失败:', error);
+        return false;
+    }
+}
+
+// 书籍彻底删除时删除所有用户的阅读记录
+function removeReadingData(ctx, bookId) {
+    fs.rmSync(path.join(ctx.readingDir, bookId), { recursive: true, force: true });
+}
+
+// 用户删除时删除他在所有书上的阅读记录
+function removeUserReadingData(ctx, userId) {
+    let bookIds;
+    try {
+        bookIds = fs.readdirSync(ctx.readingDir);
+    } catch (error) {
+        return;
+    }
+    bookIds.forEach(bookId => fs.rmSync(getReadingPath(ctx, bookId, userId), { force: true }));
+}
+
+function isTextOffset(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// 校验阅读进度 { offset, percent }，返回错误数组
+function validateProgress(data) {
+    const errors = [];
+    if (!isTextOffset(data.offset)) {
+        errors.push('阅读位置必须是非负整数');
+    }
+    if (data.percent !== undefined && (typeof data.percent !== 'number' || !(data.percent >= 0 && data.percent <= 100))) {
+        errors.push('阅读百分比必须是 0 到 100 之间的数字');
+    }
+    return errors;
+}
+
+// 校验书签或笔记，返回错误数组；isNew 为 false 时只校验可以修改的字段
+function validateReadingItem(kind, data, isNew) {
+    const errors = [];
+    const fields = READING_ITEM_FIELDS[kind][isNew ? 'create' : 'update'];
+    Object.keys(data).forEach(name => {
+        if (!fields.includes(name)) {
+            errors.push(`不支持的字段: ${name}`);
+        }
+    });
+    if (isNew && !isTextOffset(data.offset)) {
+        errors.push('位置必须是非负整数');
+    }
+    if (kind === 'bookmarks') {
+        if (data.name !== undefined && (typeof data.name !== 'string' || data.name.length > BOOKMARK_NAME_MAX_LENGTH)) {
+            errors.push(`书签名称必须是不超过 ${BOOKMARK_NAME_MAX_LENGTH} 个字符的文字`);
+        }
+        return errors;
+    }
+    if (isNew && !(Number.isInteger(data.length) && data.length > 0 && data.length <= NOTE_QUOTE_MAX_LENGTH)) {
+        errors.push(`划线长度必须是 1 到 ${NOTE_QUOTE_MAX_LENGTH} 之间的整数`);
+    }
+    if (data.quote !== undefined && (typeof data.quote !== 'string' || data.quote.length > NOTE_QUOTE_MAX_LENGTH)) {
+        errors.push(`划线内容必须是不超过 ${NOTE_QUOTE_MAX_LENGTH} 个字符的文字`);
+    }
+    if (data.note !== undefined && (typeof data.note !== 'string' || data.note.length > NOTE_TEXT_MAX_LENGTH)) {
+        errors.push(`笔记必须是不超过 ${NOTE_TEXT_MAX_LENGTH} 个字符的文字`);
+    }
+    if (data.color !== undefined && !NOTE_COLORS.includes(data.color)) {
+        errors.push(`颜色必须是 ${NOTE_COLORS.join('、')} 之一`);
+    }
+    return errors;
+}
+
+// 新建书签或笔记，列表按位置排序
+function createReadingItem(kind, data) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const now = new Date().toISOString();
+    if (kind === 'bookmarks') {
+        return { id, offset: data.offset, name: (data.name || '').trim(), createdAt: now };
+    }
+    return {
+        id,
+        offset: data.offset,
+        length: data.length,
+        quote: data.quote || '',
+        note: data.note || '',
+        color: data.color || NOTE_COLORS[0],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// 按行比较两段文字（Myers 差分算法），返回变化块
+// [{ type: 'equal' | 'add' | 'remove' | 'skip', oldStart, newStart, lines, count }]
+// 相同的部分只保留前后 context 行，中间折叠成 skip
+// 计算量约为 改动区域行数 × 改动行数，整本书大改时会卡住服务，
+// 所以去掉相同的开头结尾后超过 DIFF_MAX_LINES 行，或改动超过 DIFF_MAX_EDITS 行时不逐行对比，返回 null
+const DIFF_MAX_LINES = 20000;
+const DIFF_MAX_EDITS = 2000;
+
+function diffLines(oldText, newText, context) {
+    const a = oldText.split(/\r\n|\r|\n/);
+    const b = newText.split(/\r\n|\r|\n/);
+
+    // 去掉相同的开头和结尾，减少计算量
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
+    const A = a.slice(prefix, a.length - suffix);
+    const B = b.slice(prefix, b.length - suffix);
+    if (A.length + B.length > DIFF_MAX_LINES) {
+        return null;
+    }
+    const edits = myersDiff(A, B);
+    if (!edits) {
+        return null;
+    }
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) ops.push(['equal', a[i]]);
+    ops.push(...edits);
+    for (let i = a.length - suffix; i < a.length; i++) ops.push(['equal', a[i]]);
+
+    // 合并成块并记录行号
+    const blocks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    ops.forEach(([type, line]) => {
+        const last = blocks[blocks.length - 1];
+        if (last && last.type === type) {
+            last.lines.push(line);
+        } else {
+            blocks.push({ type, oldStart: oldLine, newStart: newLine, lines: [line] });
+        }
+        if (type !== 'add') oldLine++;
+        if (type !== 'remove') newLine++;
+    });
+
+    // 折叠未改动的长段落
+    const result = [];
+    blocks.forEach((block, i) => {
+        const keepBefore = i > 0 ? context : 0;
+        const keepAfter = i < blocks.length - 1 ? context : 0;
+        if (block.type !== 'equal' || block.lines.length <= keepBefore + keepAfter) {
+            result.push(block);
+            return;
+        }
+        if (keepBefore > 0) {
+            result.push({ ...block, lines: block.lines.slice(0, keepBefore) });
+        }
+        const count = block.lines.length - keepBefore - keepAfter;
+        result.push({ type: 'skip', oldStart: block.oldStart + keepBefore, newStart: block.newStart + keepBefore, count });
+        if (keepAfter > 0) {
+            result.push({
+                type: 'equal',
+                oldStart: block.oldStart + block.lines.length - keepAfter,
+                newStart: block.newStart + block.lines.length - keepAfter,
+                lines: block.lines.slice(-keepAfter)
+            });
+        }
+    });
+    return result;
+}
+
+// Myers 算法求最短编辑序列，改动超过 DIFF_MAX_EDITS 时返回 null
+function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, DIFF_MAX_EDITS);
+    const offset = max + 1;
+    let v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    if (!found) {
+        return null;
+    }
+
+    // 回溯得到编辑序列
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const prev = trace[d];
+        // trace[d] 保存的是 k ∈ [-d-1, d+1] 的部分
+        const at = k => prev[k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push(['equal', a[--x]]);
+            y--;
+        }
+        if (x === prevX) {
+            ops.push(['add', b[--y]]);
+        } else {
+            ops.push(['remove', a[--x]]);
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push(['equal', a[--x]]);
+        y--;
+    }
+    return ops.reverse();
+}
+
+// 用户、会话与权限
+// 角色从低到高：reader 只能读取；editor 还能添加、修改书籍和写入内容；admin 还能删除书籍和管理用户
+// 用户保存在 users.json，密码只保存 scrypt 哈希（"scrypt$盐$哈希"），每个用户的盐随机生成
+// 登录后发放随机的会话 id，放在 HttpOnly Cookie 里；会话保存在内存中，服务重启后需要重新登录
+const ROLES = ['reader', 'editor', 'admin'];
+const USERNAME_REGEX = /^[A-Za-z0-9_.-]{3,32}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+const SESSION_COOKIE = 'sid';
+// 允许跨域访问（并携带 Cookie）的来源，逗号分隔；同源访问始终允许
+function getCorsOrigins(port) {
+    return (process.env.CORS_ORIGINS || `http://localhost:${port},http://127.0.0.1:${port}`)
+        .split(',').map(origin => origin.trim()).filter(Boolean);
+}
+// ctx.sessions: sid → { userId, expiresAt }
+
+// 读取用户数据，文件不存在时视为没有用户
+function readUsers(ctx) {
+    try {
+        return JSON.parse(fs.readFileSync(ctx.usersJsonPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+function writeUsers(ctx, users) {
+    try {
+        writeFileAtomicSync(ctx.usersJsonPath, JSON.stringify(users, null, 4));
+        return true;
+    } catch (error) {
+        console.error('写入用户数据失败:', error);
+        return false;
+    }
+}
+
+// 返回给前端的用户信息，不包含密码哈希
+function publicUser(user) {
+    return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+function formatPasswordHash(salt, key) {
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+function hashPassword(password, callback) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => {
+        callback(err, err ? null : formatPasswordHash(salt, key));
+    });
+}
+
+// 用户不存在时也照常计算一次哈希，避免通过响应时间判断用户名是否存在
+const DUMMY_PASSWORD_HASH = formatPasswordHash('0'.repeat(32), Buffer.alloc(SCRYPT_KEY_LENGTH));
+
+function verifyPassword(password, stored, callback) {
+    const [scheme, salt, hash] = String(stored || DUMMY_PASSWORD_HASH).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        callback(false);
+        return;
+    }
+    crypto.scrypt(String(password), salt, SCRYPT_KEY_LENGTH, (err, key) => {
+        const expected = Buffer.from(hash, 'hex');
+        callback(!err && stored !== undefined && expected.length === key.length && crypto.timingSafeEqual(key, expected));
+    });
+}
+
+// 校验用户数据，isNew 为 false 时各字段都可以省略
+function validateUserData(data, isNew) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['请求体必须是对象'];
+    }
+    if (isNew && (typeof data.username !== 'string' || !USERNAME_REGEX.test(data.username))) {
+        errors.push('用户名必须是 3 到 32 位的字母、数字、下划线、点或短横线');
+    }
+    if ((isNew || data.password !== undefined) &&
+        (typeof data.password !== 'string' || data.password.length < PASSWORD_MIN_LENGTH)) {
+        errors.push(`密码至少 ${PASSWORD_MIN_LENGTH} 位`);
+    }
+    if ((isNew || data.role !== undefined) && !ROLES.includes(data.role)) {
+        errors.push(`角色必须是 ${ROLES.join(' / ')} 之一`);
+    }
+    return errors;
+}
+
+// 第一次启动时创建管理员账号，密码取环境变量 ADMIN_PASSWORD，没有设置时随机生成并打印一次
+function ensureAdminUser(ctx) {
+    if (readUsers(ctx).length > 0) {
+        return;
+    }
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    writeUsers(ctx, [{
+        id: crypto.randomUUID(),
+        username: 'admin',
+        role: 'admin',
+        password: formatPasswordHash(salt, key),
+        createdAt: new Date().toISOString()
+    }]);
+    console.log(process.env.ADMIN_PASSWORD
+        ? '已创建管理员账号 admin，密码为环境变量 ADMIN_PASSWORD 的值'
+        : `已创建管理员账号 admin，初始密码：${password}（只显示这一次，请登录后修改）`);
+}
+
+// 登录失败退避
+// 同一 IP 或同一用户名连续失败 LOGIN_FAILURE_FREE 次后，每次失败都要等一段时间才能再试，等待时间逐次翻倍，最长 LOGIN_BACKOFF_MAX_MS
+// IP 的等待在验证密码前检查，期间的请求直接返回 429，不再验证密码；
+// 用户名的等待只在密码错误后检查（返回 429 而不是 401），正确的密码总能登录，别人无法靠故意输错把某个用户锁在外面
+// 登录成功清除该用户名的计数，超过 LOGIN_FAILURE_TTL_MS 没有新的失败时计数重新开始；网页登录和 OPDS 的 Basic 认证共用这些计数
+const LOGIN_FAILURE_FREE = 5;
+const LOGIN_BACKOFF_BASE_MS = 1000;
+const LOGIN_BACKOFF_MAX_MS = 15 * 60 * 1000;
+const LOGIN_FAILURE_TTL_MS = 60 * 60 * 1000;
+const LOGIN_FAILURE_MAX_KEYS = 10000;
+// ctx.loginFailures: 'ip:<地址>' 或 'user:<用户名>' → { count, blockedUntil, lastFailedAt }，按最后失败时间从旧到新排列
+
+// [IP 的 key, 用户名的 key]，没有用户名时只有 IP
+function loginFailureKeys(req, username) {
+    const keys = [`ip:${req.socket.remoteAddress}`];
+    if (typeof username === 'string' && username) {
+        keys.push(`user:${username}`);
+    }
+    return keys;
+}
+
+// 还要等待的毫秒数，0 表示现在可以尝试
+function getLoginDelay(ctx, keys) {
+    const now = Date.now();
+    return keys.reduce((delay, key) => {
+        const entry = ctx.loginFailures.get(key);
+        return entry ? Math.max(delay, entry.blockedUntil - now) : delay;
+    }, 0);
+}
+
+// 验证密码前的检查，只看 IP
+function getLoginIpDelay(ctx, keys) {
+    return getLoginDelay(ctx, keys.slice(0, 1));
+}
+
+// 记录一次失败，返回 IP 和用户名中较长的等待时间
+function recordLoginFailure(ctx, keys) {
+    const now = Date.now();
+    keys.forEach(key => {
+        const entry = ctx.loginFailures.get(key);
+        const count = entry && now - entry.lastFailedAt < LOGIN_FAILURE_TTL_MS ? entry.count + 1 : 1;
+        const delay = count < LOGIN_FAILURE_FREE ? 0 : Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (count - LOGIN_FAILURE_FREE), LOGIN_BACKOFF_MAX_MS);
+        // 删除后重新插入，保持 Map 按最后失败时间排列
+        ctx.loginFailures.delete(key);
+        ctx.loginFailures.set(key, { count, blockedUntil: now + delay, lastFailedAt: now });
+    });
+    // 从最旧的开始清除过期的计数，数量超过上限时也清除最旧的
+    for (const [key, entry] of ctx.loginFailures) {
+        if (ctx.loginFailures.size <= LOGIN_FAILURE_MAX_KEYS && now - entry.lastFailedAt < LOGIN_FAILURE_TTL_MS) {
+            break;
+        }
+        ctx.loginFailures.delete(key);
+    }
+    return getLoginDelay(ctx, keys);
+}
+
+function clearLoginFailures(ctx, username) {
+    ctx.loginFailures.delete(`user:${username}`);
+}
+
+// 等待期间返回的提示
+function loginDelayMessage(delay) {
+    return `登录失败次数过多，请 ${Math.ceil(delay / 1000)} 秒后再试`;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+function sessionCookie(sid, maxAgeMs) {
+    return `${SESSION_COOKIE}=${sid}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}`;
+}
+
+function createSession(ctx, user) {
+    const sid = crypto.randomBytes(32).toString('base64url');
+    ctx.sessions.set(sid, { userId: user.id, expiresAt: Date.now() + ctx.sessionTtlMs });
+    return sid;
+}
+
+// 取出请求对应的会话和用户，过期或用户已删除时返回 null；每次访问都会顺延有效期
+// 角色每次都从 users.json 读取，管理员修改角色后立即生效
+function getSession(ctx, req) {
+    const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sid && ctx.sessions.get(sid);
+    if (!session) {
+        return null;
+    }
+    const user = session.expiresAt > Date.now() && readUsers(ctx).find(u => u.id === session.userId);
+    if (!user) {
+        ctx.sessions.delete(sid);
+        return null;
+    }
+    session.expiresAt = Date.now() + ctx.sessionTtlMs;
+    return { sid, user };
+}
+
+// 删除用户或重置密码后让该用户的所有会话失效，OPDS 缓存的 Basic 认证也一起清除
+function destroyUserSessions(ctx, userId) {
+    ctx.sessions.forEach((session, sid) => {
+        if (session.userId === userId) {
+            ctx.sessions.delete(sid);
+        }
+    });
+    ctx.opdsAuthCache.forEach((item, key) => {
+        if (item.userId === userId) {
+            ctx.opdsAuthCache.delete(key);
+        }
+    });
+}
+
+function hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// 接口需要的最低角色，null 表示不需要登录
+function requiredRole(method, pathname) {
+    if (pathname.startsWith('/api/auth/')) {
+        return null;
+    }
+    if (pathname === '/api/users' || pathname.startsWith('/api/users/') ||
+        pathname === '/api/trash' || pathname.startsWith('/api/trash/') ||
+        pathname === '/api/audit' || pathname === '/api/backup' || pathname === '/api/restore' ||
+        pathname.startsWith('/api/admin/')) {
+        return 'admin';
+    }
+    if (method === 'DELETE' && /^\/api\/books\/[^/]+$/.test(pathname)) {
+        return 'admin';
+    }
+    // 阅读进度、书签和笔记只属于自己，读者也可以修改
+    if (/^\/api\/books\/[^/]+\/(progress|bookmarks|notes)(\/[^/]+)?$/.test(pathname)) {
+        return 'reader';
+    }
+    if (method === 'GET' || method === 'HEAD') {
+        return 'reader';
+    }
+    return 'editor';
+}
+
+// 同源请求，或来源在 CORS_ORIGINS 白名单中
+function isAllowedOrigin(ctx, origin, req) {
+    return ctx.corsOrigins.includes(origin) || origin === `http://${req.headers.host}`;
+}
+
+// 实时通知（Server-Sent Events）
+// 打开的页面通过 GET /api/events 保持一个长连接，书籍增删改和内容写入后服务端向所有连接推送事件：
+//   book-created     { id, book }          新建、上传、导入或从回收站恢复
+//   book-updated     { id, book, etag }    修改信息、更换封面、恢复历史版本
+//   book-deleted     { id }                移入回收站
+//   content-updated  { id, etag }          写入内容、上传替换、修改章节、恢复历史版本
+// 每个事件还带上 by（操作人）、source（发起请求的页面标识，取自 X-Client-Id 请求头）和 at（时间）
+// 页面据此识别自己发起的修改，只提醒别人做的修改
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const CLIENT_ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+// 每个会话最多保持的连接数（每个打开的页面一个），超出时关闭最早的连接
+const EVENT_MAX_CLIENTS_PER_SESSION = 8;
+// ctx.eventClients: 当前连接 { res, sid }，按建立的先后排列
+
+// 会话过期或退出登录后关闭对应的连接
+function isEventClientAlive(ctx, client) {
+    const session = ctx.sessions.get(client.sid);
+    if (session && session.expiresAt > Date.now()) {
+        return true;
+    }
+    client.res.end();
+    ctx.eventClients.delete(client);
+    return false;
+}
+
+// 加入新连接前，关闭同一会话中超出数量的最早的连接
+function addEventClient(ctx, client) {
+    const sameSession = Array.from(ctx.eventClients).filter(item => item.sid === client.sid);
+    sameSession.slice(0, Math.max(0, sameSession.length - EVENT_MAX_CLIENTS_PER_SESSION + 1)).forEach(item => {
+        item.res.end();
+        ctx.eventClients.delete(item);
+    });
+    ctx.eventClients.add(client);
+}
+
+function broadcastEvent(ctx, type, data) {
+    const message = `event: ${type}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`;
+    ctx.eventClients.forEach(client => {
+        if (isEventClientAlive(ctx, client)) {
+            client.res.write(message);
+        }
+    });
+}
+
+// 定时发送注释行，防止代理或浏览器因长时间没有数据断开连接
+function sendEventHeartbeat(ctx) {
+    ctx.eventClients.forEach(client => {
+        if (isEventClientAlive(ctx, client)) {
+            client.res.write(': ping\n\n');
+        }
+    });
+}
+
+// 操作日志：每次添加、修改、删除书籍和写入内容都追加一行 JSON 到 ./操作日志/audit.log，只追加不修改
+// { time, ip, user, action, bookId, title, before, after, detail }
+//   action   create 添加 | update 修改信息 | delete 移入回收站 | restore 从回收站恢复 | purge 彻底删除 | content 写入内容
+//   before / after   修改前后的书籍信息；content 记录前后的内容大小（字节）
+//   detail   补充说明，例如内容写入的方式（write / upload / chapters / revision）
+// 文件超过 AUDIT_MAX_MB（ctx.auditMaxBytes，默认 5MB）后改名为 audit-<时间>.log 另起新文件，
+// 只保留最近 AUDIT_KEEP_FILES（ctx.auditKeepFiles，默认 10）个旧文件
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'content'];
+const AUDIT_ROTATED_REGEX = /^audit-[\dTZ-]+\.log$/;
+
+// 当前文件写满后轮转，删除超出保留数量的旧文件
+function rotateAuditLog(ctx, incomingBytes) {
+    let size;
+    try {
+        size = fs.statSync(ctx.auditLogPath).size;
+    } catch (error) {
+        return;
+    }
+    if (size + incomingBytes <= ctx.auditMaxBytes) {
+        return;
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.renameSync(ctx.auditLogPath, path.join(ctx.auditDir, `audit-${stamp}.log`));
+    listAuditFiles(ctx).filter(name => name !== 'audit.log').slice(ctx.auditKeepFiles)
+        .forEach(name => fs.rmSync(path.join(ctx.auditDir, name), { force: true }));
+}
+
+// 日志文件名，最新的在前（当前文件 audit.log 排第一）
+function listAuditFiles(ctx) {
+    let names;
+    try {
+        names = fs.readdirSync(ctx.auditDir);
+    } catch (error) {
+        return [];
+    }
+    const rotated = names.filter(name => AUDIT_ROTATED_REGEX.test(name)).sort().reverse();
+    return names.includes('audit.log') ? ['audit.log', ...rotated] : rotated;
+}
+
+// 追加一条日志；写日志失败不影响已经完成的修改，只在控制台报错
+function appendAudit(ctx, entry) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+    try {
+        fs.mkdirSync(ctx.auditDir, { recursive: true });
+        rotateAuditLog(ctx, Buffer.byteLength(line));
+        fs.appendFileSync(ctx.auditLogPath, line);
+    } catch (error) {
+        console.error('写入操作日志失败:', error);
+    }
+}
+
+// 日志里记录书名，方便书籍删除后仍能看出是哪本书
+function getBookTitle(ctx, id) {
+    try {
+        const book = readBooks(ctx).find(item => item.id === id);
+        return book ? book.book : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 内容文件大小，用于记录内容写入前后的变化
+function getContentSize(ctx, id) {
+    try {
+        return fs.statSync(getBookFilePath(ctx, id)).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// 校验日志查询参数，返回错误数组
+function validateAuditQuery(query) {
+    const errors = [];
+    if (query.action !== undefined && !AUDIT_ACTIONS.includes(query.action)) {
+        errors.push(`操作类型必须是 ${AUDIT_ACTIONS.join('、')} 之一`);
+    }
+    ['from', 'to'].forEach(name => {
+        if (query[name] !== undefined && query[name] !== '' && !isValidDate(query[name])) {
+            errors.push(`${name === 'from' ? '开始' : '结束'}日期格式必须是 YYYY-MM-DD`);
+        }
+    });
+    if (query.page !== undefined && !/^[1-9]\d*$/.test(query.page)) {
+        errors.push('页码必须是正整数');
+    }
+    if (query.pageSize !== undefined &&
+        (!/^[1-9]\d*$/.test(query.pageSize) || parseInt(query.pageSize) > MAX_PAGE_SIZE)) {
+        errors.push(`每页数量必须是 1 到 ${MAX_PAGE_SIZE} 之间的整数`);
+    }
+    return errors;
+}
+
+// 按条件查询日志，最新的在前；日期按 UTC 比较，包含 from 和 to 当天
+// 依次异步读取各个日志文件，不阻塞其他请求，callback(err, { items, total, page, pageSize })
+function queryAudit(ctx, query, callback) {
+    const matches = (entry) => (!query.bookId || entry.bookId === query.bookId) &&
+        (!query.action || entry.action === query.action) &&
+        (!query.user || entry.user === query.user) &&
+        (!query.from || entry.time.slice(0, 10) >= query.from) &&
+        (!query.to || entry.time.slice(0, 10) <= query.to);
+    const files = listAuditFiles(ctx);
+    const results = [];
+
+    const readNext = (i) => {
+        if (i >= files.length) {
+            const page = parseInt(query.page) || 1;
+            const pageSize = parseInt(query.pageSize) || 20;
+            callback(null, { items: results.slice((page - 1) * pageSize, page * pageSize), total: results.length, page, pageSize });
+            return;
+        }
+        fs.readFile(path.join(ctx.auditDir, files[i]), 'utf8', (err, text) => {
+            if (err && err.code !== 'ENOENT') {
+                callback(err);
+                return;
+            }
+            // 同一文件内越往后越新
+            (text || '').split('\n').filter(Boolean).reverse().forEach(line => {
+                try {
+                    const entry = JSON.parse(line);
+                    if (matches(entry)) {
+                        results.push(entry);
+                    }
+                } catch (error) {
+                    // 跳过写了一半的行（例如写入时断电）
+                }
+            });
+            readNext(i + 1);
+        });
+    };
+    readNext(0);
+}
+
+// OPDS 书目（OPDS 1.2，Atom 格式），供手机和电子书阅读器中的 OPDS 客户端浏览、下载
+//   /opds                      导航：全部书籍、最新添加、按作者
+//   /opds/books?page=          全部书籍（book.json 中的顺序）
+//   /opds/new?page=            最新添加的在前
+//   /opds/authors              作者列表，/opds/authors/<作者> 该作者的书
+//   /opds/search?q=&page=      按书名、作者搜索，/opds/opensearch.xml 为 OpenSearch 描述
+//   /opds/books/<id>/download  下载内容（纯文本），/opds/books/<id>/cover 封面
+// 阅读器 App 一般不支持 Cookie 登录，除了网页的登录状态，这些地址也接受 HTTP Basic 认证（任意角色）
+const OPDS_PAGE_SIZE = 50;
+const OPDS_AUTH_TTL_MS = 10 * 60 * 1000;
+const OPDS_NAVIGATION_TYPE = 'application/atom+xml;profile=opds-catalog;kind=navigation';
+const OPDS_ACQUISITION_TYPE = 'application/atom+xml;profile=opds-catalog;kind=acquisition';
+// ctx.opdsAuthCache: 验证通过的 Authorization 头（取摘要）→ { userId, expiresAt }，避免每个请求都计算一次密码哈希
+
+// 取出请求对应的用户：先看网页登录的会话，再看 Basic 认证，callback(user | null, delay)
+// Basic 认证失败次数过多时 user 为 null，delay 为还要等待的毫秒数（见登录失败退避）
+function authenticateOpds(ctx, req, callback) {
+    const session = getSession(ctx, req);
+    if (session) {
+        callback(session.user);
+        return;
+    }
+    const match = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+        callback(null);
+        return;
+    }
+    const key = crypto.createHash('sha256').update(match[1]).digest('hex');
+    const cached = ctx.opdsAuthCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        callback(readUsers(ctx).find(u => u.id === cached.userId) || null);
+        return;
+    }
+    ctx.opdsAuthCache.delete(key);
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    const username = separator === -1 ? credentials : credentials.slice(0, separator);
+    const failureKeys = loginFailureKeys(req, username);
+    const delay = getLoginIpDelay(ctx, failureKeys);
+    if (delay > 0) {
+        callback(null, delay);
+        return;
+    }
+    const user = readUsers(ctx).find(u => u.username === username);
+    verifyPassword(separator === -1 ? '' : credentials.slice(separator + 1), user ? user.password : undefined, (ok) => {
+        if (!ok) {
+            callback(null, recordLoginFailure(ctx, failureKeys));
+            return;
+        }
+        clearLoginFailures(ctx, username);
+        ctx.opdsAuthCache.set(key, { userId: user.id, expiresAt: Date.now() + OPDS_AUTH_TTL_MS });
+        callback(user);
+    });
+}
+
+function opdsLink(rel, href, type, title) {
+    return `<link rel="${rel}" href="${escapeXml(href)}" type="${type}"${title ? ` title="${escapeXml(title)}"` : ''}/>`;
+}
+
+// 生成一个 feed；pagination 为 { page, total, href } 时加上翻页链接和 OpenSearch 的结果数
+function opdsFeed({ id, title, kind, href, entries, updated, pagination }) {
+    const type = kind === 'navigation' ? OPDS_NAVIGATION_TYPE : OPDS_ACQUISITION_TYPE;
+    const links = [
+        opdsLink('self', href, type),
+        opdsLink('start', '/opds', OPDS_NAVIGATION_TYPE, '书库'),
+        opdsLink('up', '/opds', OPDS_NAVIGATION_TYPE, '书库'),
+        opdsLink('search', '/opds/opensearch.xml', 'application/opensearchdescription+xml', '搜索')
+    ];
+    let totals = '';
+    if (pagination) {
+        const pageHref = (page) => `${pagination.href}${pagination.href.includes('?') ? '&' : '?'}page=${page}`;
+        const lastPage = Math.max(1, Math.ceil(pagination.total / OPDS_PAGE_SIZE));
+        if (pagination.page > 1) {
+            links.push(opdsLink('first', pageHref(1), type), opdsLink('previous', pageHref(pagination.page - 1), type));
+        }
+        if (pagination.page < lastPage) {
+            links.push(opdsLink('next', pageHref(pagination.page + 1), type), opdsLink('last', pageHref(lastPage), type));
+        }
+        totals = `
+  <opensearch:totalResults>${pagination.total}</opensearch:totalResults>
+  <opensearch:itemsPerPage>${OPDS_PAGE_SIZE}</opensearch:itemsPerPage>
+  <opensearch:startIndex>${(pagination.page - 1) * OPDS_PAGE_SIZE + 1}</opensearch:startIndex>`;
+    }
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/" xmlns:opds="http://opds-spec.org/2010/catalog" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+  <id>${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${updated || new Date().toISOString()}</updated>
+  <author><name>书籍管理系统</name></author>${totals}
+  ${links.join('\n  ')}
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function opdsNavigationEntry(id, title, href, text, kind) {
+    return `  <entry>
+    <id>${escapeXml(id)}</id>
+    <title>${escapeXml(title)}</title>
+    <updated>${new Date().toISOString()}</updated>
+    <content type="text">${escapeXml(text)}</content>
+    ${opdsLink('subsection', href, kind === 'navigation' ? OPDS_NAVIGATION_TYPE : OPDS_ACQUISITION_TYPE)}
+  </entry>`;
+}
+
+// 一本书的条目，更新时间取内容修改和历史版本中最新的时间
+function opdsBookEntry(ctx, book) {
+    let stats = null;
+    try {
+        stats = fs.statSync(getBookFilePath(ctx, book.id));
+    } catch (error) {
+        // 还没有内容
+    }
+    const changedAt = stats ? getLastChangedTime(ctx, book.id, stats) : 0;
+    const lines = [
+        `<id>urn:uuid:${book.id}</id>`,
+        `<title>${escapeXml(book.book)}</title>`,
+        `<updated>${new Date(changedAt || Date.now()).toISOString()}</updated>`,
+        ...[].concat(book.author || []).map(name => `<author><name>${escapeXml(name)}</name></author>`),
+        ...[].concat(book.tags || [], book.category || []).map(tag => `<category term="${escapeXml(tag)}" label="${escapeXml(tag)}"/>`)
+    ];
+    if (book.language) lines.push(`<dc:language>${escapeXml(book.language)}</dc:language>`);
+    if (book.subDate) lines.push(`<dc:issued>${book.subDate}</dc:issued>`);
+    if (book.isbn) lines.push(`<dc:identifier>urn:isbn:${escapeXml(book.isbn)}</dc:identifier>`);
+    if (book.summary) lines.push(`<summary type="text">${escapeXml(book.summary)}</summary>`);
+    if (book.cover) {
+        const href = `/opds/books/${book.id}/cover?v=${book.cover.version}`;
+        lines.push(opdsLink('http://opds-spec.org/image', href, book.cover.type), opdsLink('http://opds-spec.org/image/thumbnail', href, book.cover.type));
+    }
+    if (stats) {
+        lines.push(opdsLink('http://opds-spec.org/acquisition', `/opds/books/${book.id}/download`, 'text/plain', 'TXT'));
+    }
+    return `  <entry>\n    ${lines.join('\n    ')}\n  </entry>`;
+}
+
+// 书名、作者包含关键字（不区分大小写）
+function matchesOpdsSearch(book, q) {
+    const keyword = q.toLowerCase();
+    return [book.book, ...[].concat(book.author || [])].some(value => String(value).toLowerCase().includes(keyword));
+}
+
+// 作者及其书籍数量，书多的在前
+function listOpdsAuthors(books) {
+    const counts = new Map();
+    books.forEach(book => [].concat(book.author || []).forEach(name => counts.set(name, (counts.get(name) || 0) + 1)));
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'zh'));
+}
+
+function sendOpds(res, status, type, body) {
+    res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Cache-Control': 'private, no-cache' });
+    res.end(body);
+}
+
+function sendOpdsError(res, status, message, headers) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+    res.end(message);
+}
+
+// 处理 /opds 下的请求
+function handleOpdsRequest(ctx, req, res, pathname, query) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendOpdsError(res, 405, '只支持 GET 请求', { 'Allow': 'GET, HEAD' });
+        return;
+    }
+    authenticateOpds(ctx, req, (user, delay) => {
+        if (delay) {
+            sendOpdsError(res, 429, loginDelayMessage(delay), { 'Retry-After': String(Math.ceil(delay / 1000)) });
+            return;
+        }
+        if (!user) {
+            sendOpdsError(res, 401, '请先登录', { 'WWW-Authenticate': 'Basic realm="books", charset="UTF-8"' });
+            return;
+        }
+        // 已经在异步回调里，外层的 try/catch 接不住 book.json 损坏时抛出的错误
+        const books = readBooksOrFail(ctx, res);
+        if (!books) return;
+        const page = /^[1-9]\d*$/.test(query.page || '') ? parseInt(query.page) : 1;
+        const acquisitionFeed = (id, title, href, list) => sendOpds(res, 200, OPDS_ACQUISITION_TYPE, opdsFeed({
+            id,
+            title,
+            kind: 'acquisition',
+            href: page > 1 ? `${href}${href.includes('?') ? '&' : '?'}page=${page}` : href,
+            entries: list.slice((page - 1) * OPDS_PAGE_SIZE, page * OPDS_PAGE_SIZE).map(book => opdsBookEntry(ctx, book)),
+            pagination: { page, total: list.length, href }
+        }));
+
+        if (pathname === '/opds' || pathname === '/opds/') {
+            sendOpds(res, 200, OPDS_NAVIGATION_TYPE, opdsFeed({
+                id: 'urn:booksmanage:root',
+                title: '书库',
+                kind: 'navigation',
+                href: '/opds',
+                entries: [
+                    opdsNavigationEntry('urn:booksmanage:books', '全部书籍', '/opds/books', `共 ${books.length} 本`, 'acquisition'),
+                    opdsNavigationEntry('urn:booksmanage:new', '最新添加', '/opds/new', '最近添加的书在前', 'acquisition'),
+                    opdsNavigationEntry('urn:booksmanage:authors', '按作者', '/opds/authors', `共 ${listOpdsAuthors(books).length} 位作者`, 'navigation')
+                ]
+            }));
+            return;
+        }
+        if (pathname === '/opds/books') {
+            acquisitionFeed('urn:booksmanage:books', '全部书籍', '/opds/books', books);
+            return;
+        }
+        // 新书追加在 book.json 末尾
+        if (pathname === '/opds/new') {
+            acquisitionFeed('urn:booksmanage:new', '最新添加', '/opds/new', books.slice().reverse());
+            return;
+        }
+        if (pathname === '/opds/authors') {
+            sendOpds(res, 200, OPDS_NAVIGATION_TYPE, opdsFeed({
+                id: 'urn:booksmanage:authors',
+                title: '按作者',
+                kind: 'navigation',
+                href: '/opds/authors',
+                entries: listOpdsAuthors(books).map(({ name, count }) => opdsNavigationEntry(
+                    `urn:booksmanage:author:${encodeURIComponent(name)}`, name, `/opds/authors/${encodeURIComponent(name)}`, `${count} 本`, 'acquisition'))
+            }));
+            return;
+        }
+        const authorMatch = pathname.match(/^\/opds\/authors\/([^/]+)$/);
+        if (authorMatch) {
+            let name;
+            try {
+                name = decodeURIComponent(authorMatch[1]);
+            } catch (error) {
+                sendOpdsError(res, 400, '作者名称无效');
+                return;
+            }
+            acquisitionFeed(`urn:booksmanage:author:${encodeURIComponent(name)}`, name, `/opds/authors/${encodeURIComponent(name)}`,
+                books.filter(book => [].concat(book.author || []).includes(name)));
+            return;
+        }
+        if (pathname === '/opds/search') {
+            const q = String(query.q || '').trim();
+            acquisitionFeed(`urn:booksmanage:search:${encodeURIComponent(q)}`, `搜索：${q}`, `/opds/search?q=${encodeURIComponent(q)}`,
+                q ? books.filter(book => matchesOpdsSearch(book, q)) : []);
+            return;
+        }
+        // 模板用完整地址，部分客户端不会按相对地址解析
+        if (pathname === '/opds/opensearch.xml') {
+            sendOpds(res, 200, 'application/opensearchdescription+xml', `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>书库</ShortName>
+  <Description>按书名、作者搜索</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <OutputEncoding>UTF-8</OutputEncoding>
+  <Url type="${OPDS_ACQUISITION_TYPE}" template="${escapeXml(`http://${req.headers.host}/opds/search?q={searchTerms}`)}"/>
+</OpenSearchDescription>
+`);
+            return;
+        }
+
+        const fileMatch = pathname.match(/^\/opds\/books\/([^/]+)\/(download|cover)$/);
+        const book = fileMatch && books[findBookIndex(books, fileMatch[1])];
+        if (!book) {
+            sendOpdsError(res, 404, fileMatch ? '书籍不存在' : '页面不存在');
+            return;
+        }
+        let filePath;
+        let headers;
+        if (fileMatch[2] === 'download') {
+            filePath = getBookFilePath(ctx, book.id);
+            headers = {
+                'Content-Type': 'text/plain; charset=utf-8',
+                'Content-Disposition': `attachment; filename="book.txt"; filename*=UTF-8''${encodeURIComponent(`${book.book}.txt`)}`
+            };
+        } else if (book.cover) {
+            filePath = getCoverPath(ctx, book.id, book.cover);
+            headers = { 'Content-Type': book.cover.type, 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'private, max-age=31536000, immutable' };
+        } else {
+            sendOpdsError(res, 404, '这本书还没有封面');
+            return;
+        }
+        fs.stat(filePath, (err, stats) => {
+            if (err) {
+                sendOpdsError(res, 404, '文件不存在');
+                return;
+            }
+            res.writeHead(200, { ...headers, 'Content-Length': stats.size });
+            if (req.method === 'HEAD') {
+                res.end();
+                return;
+            }
+            fs.createReadStream(filePath).on('error', () => res.destroy()).pipe(res);
+        });
+    });
+}
+
+// 静态文件
+// 只提供 public/ 下的文件：路径先解码（..%2f 这样编码过的形式也会还原）再解析成绝对路径，
+// 解码失败、含空字节、含以点开头的路径段，或解析后不在 public/ 内的请求一律拒绝
+// 带 ETag 和 Last-Modified，条件请求命中时返回 304
+// 文本类文件按 Accept-Encoding 返回 br 或 gzip，压缩结果缓存在内存中，文件修改后重新压缩
+// 页面、脚本和样式的地址不带版本号，每次都要验证（no-cache，没变化时只返回 304）；图片等可以缓存一天
+const STATIC_TYPES = {
+    '.html': { type: 'text/html; charset=utf-8', compress: true, revalidate: true },
+    '.css': { type: 'text/css; charset=utf-8', compress: true, revalidate: true },
+    '.js': { type: 'text/javascript; charset=utf-8', compress: true, revalidate: true },
+    '.json': { type: 'application/json; charset=utf-8', compress: true, revalidate: true },
+    '.txt': { type: 'text/plain; charset=utf-8', compress: true, revalidate: true },
+    '.svg': { type: 'image/svg+xml', compress: true },
+    '.png': { type: 'image/png' },
+    '.jpg': { type: 'image/jpeg' },
+    '.jpeg': { type: 'image/jpeg' },
+    '.gif': { type: 'image/gif' },
+    '.webp': { type: 'image/webp' },
+    '.ico': { type: 'image/x-icon' },
+    '.woff2': { type: 'font/woff2' }
+};
+const STATIC_MAX_AGE_SECONDS = 24 * 60 * 60;
+// 超过这个大小的文件不压缩，直接按原样流式返回
+const STATIC_COMPRESS_MAX_BYTES = 5 * 1024 * 1024;
+// HTML 的安全响应头；页面里有 onclick 等内联事件和 style 属性，脚本和样式需要允许 'unsafe-inline'
+// 前端按 API_BASE 访问接口和封面，CORS_ORIGINS 中的来源也要允许
+function getStaticHtmlHeaders(ctx) {
+    return {
+        'Content-Security-Policy': [
+            "default-src 'self'",
+            `connect-src 'self' ${ctx.corsOrigins.join(' ')}`,
+            `img-src 'self' data: ${ctx.corsOrigins.join(' ')}`,
+            "script-src 'self' 'unsafe-inline'",
+            "style-src 'self' 'unsafe-inline'",
+            "object-src 'none'",
+            "base-uri 'self'",
+            "form-action 'self'",
+            "frame-ancestors 'none'"
+        ].join('; '),
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'same-origin'
+    };
+}
+// 文件路径 → { version, br, gzip }，version 由文件大小和修改时间生成
+const staticCompressCache = new Map();
+
+// 按 Accept-Encoding 选择压缩方式，br 优先；q=0 表示不接受
+function negotiateEncoding(header) {
+    const accepted = new Map();
+    String(header || '').split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        accepted.set(name, q ? parseFloat(q.slice(2)) : 1);
+    });
+    return ['br', 'gzip'].find(encoding => (accepted.has(encoding) ? accepted.get(encoding) : accepted.get('*') || 0) > 0) || null;
+}
+
+// 取得压缩后的内容，callback(err, buffer)
+function getCompressedFile(filePath, version, encoding, callback) {
+    let entry = staticCompressCache.get(filePath);
+    if (!entry || entry.version !== version) {
+        entry = { version };
+        staticCompressCache.set(filePath, entry);
+    }
+    if (entry[encoding]) {
+        callback(null, entry[encoding]);
+        return;
+    }
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        const compress = encoding === 'br' ? zlib.brotliCompress : zlib.gzip;
+        compress(data, (err, compressed) => {
+            if (!err) {
+                entry[encoding] = compressed;
+            }
+            callback(err, compressed);
+        });
+    });
+}
+
+function serveStaticFile(ctx, req, res, pathname) {
+    const fail = (status, message, headers) => {
+        res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+        res.end(message);
+    };
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        fail(405, '不支持的请求方法', { 'Allow': 'GET, HEAD' });
+        return;
+    }
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        fail(400, '无效的路径');
+        return;
+    }
+    if (decoded.includes('\0')) {
+        fail(400, '无效的路径');
+        return;
+    }
+    const filePath = path.resolve(ctx.publicDir, '.' + (decoded === '/' ? '/index.html' : decoded));
+    if (!filePath.startsWith(ctx.publicDir + path.sep) ||
+        path.relative(ctx.publicDir, filePath).split(path.sep).some(segment => segment.startsWith('.'))) {
+        fail(403, '禁止访问');
+        return;
+    }
+
+    fs.stat(filePath, (err, stats) => {
+        if (err || !stats.isFile()) {
+            if (err && err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+                fail(500, '服务器错误');
+            } else {
+                fail(404, '文件未找到');
+            }
+            return;
+        }
+
+        const extname = path.extname(filePath).toLowerCase();
+        const info = STATIC_TYPES[extname] || { type: 'application/octet-stream' };
+        const version = `${stats.size.toString(16)}-${Math.round(stats.mtimeMs).toString(16)}`;
+        const encoding = info.compress && stats.size <= STATIC_COMPRESS_MAX_BYTES
+            ? negotiateEncoding(req.headers['accept-encoding'])
+            : null;
+        // 不同压缩方式是不同的表示，ETag 也要不同
+        const etag = `"${version}${encoding ? `-${encoding}` : ''}"`;
+        const headers = {
+            'Content-Type': info.type,
+            'ETag': etag,
+            'Last-Modified': stats.mtime.toUTCString(),
+            'Cache-Control': info.revalidate ? 'no-cache' : `public, max-age=${STATIC_MAX_AGE_SECONDS}`,
+            'X-Content-Type-Options': 'nosniff',
+            ...(info.compress ? { 'Vary': 'Origin, Accept-Encoding' } : {}),
+            ...(encoding ? { 'Content-Encoding': encoding } : {}),
+            ...(extname === '.html' ? getStaticHtmlHeaders(ctx) : {})
+        };
+
+        // 有 If-None-Match 时忽略 If-Modified-Since；Last-Modified 只精确到秒
+        const ifNoneMatch = req.headers['if-none-match'];
+        const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+        const notModified = ifNoneMatch
+            ? ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag)
+            : !isNaN(ifModifiedSince) && Math.floor(stats.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+        if (notModified) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        if (encoding) {
+            getCompressedFile(filePath, version, encoding, (err, data) => {
+                if (err) {
+                    fail(500, '服务器错误');
+                    return;
+                }
+                res.writeHead(200, { ...headers, 'Content-Length': data.length });
+                res.end(req.method === 'HEAD' ? undefined : data);
+            });
+            return;
+        }
+        res.writeHead(200, { ...headers, 'Content-Length': stats.size });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).on('error', () => res.destroy()).pipe(res);
+    });
+}
+
+// 路由表
+// 按顺序匹配路径，固定的路径要写在同样长度、带参数的路径前面（/api/books/upload 在 /api/books/:id 前）
+// :name 是路径参数，格式由 ROUTE_PARAM_TYPES 定义：格式不对返回 400，路径匹配但方法不在 methods 中返回 405，
+// 都不匹配返回 404；maxBody 为请求体上限，省略时用书库配置的 maxBodyBytes
+// 其余字段（如 kind）原样交给处理代码
+const ROUTE_PARAM_TYPES = {
+    id: { regex: BOOK_ID_REGEX, message: '书籍 id 格式不正确' },
+    userId: { regex: BOOK_ID_REGEX, message: '用户 id 格式不正确' },
+    itemId: { regex: /^[0-9a-f]{16}$/, message: '书签或笔记 id 格式不正确' },
+    n: { regex: /^\d+$/, message: '章节序号必须是非负整数' },
+    rev: { regex: REVISION_ID_REGEX, message: '版本 id 格式不正确' }
+};
+const ROUTES = [
+    { name: 'auth/login', path: '/api/auth/login', methods: ['POST'] },
+    { name: 'auth/logout', path: '/api/auth/logout', methods: ['POST'] },
+    { name: 'auth/me', path: '/api/auth/me', methods: ['GET'] },
+    { name: 'events', path: '/api/events', methods: ['GET'] },
+    { name: 'users', path: '/api/users', methods: ['GET', 'POST'] },
+    { name: 'user', path: '/api/users/:userId', methods: ['PUT', 'DELETE'] },
+    { name: 'books', path: '/api/books', methods: ['GET', 'POST'] },
+    { name: 'books/upload', path: '/api/books/upload', methods: ['POST'], maxBody: UPLOAD_MAX_BYTES },
+    { name: 'books/export', path: '/api/books/export', methods: ['GET'] },
+    { name: 'books/batch', path: '/api/books/batch', methods: ['POST'] },
+    { name: 'books/import', path: '/api/books/import', methods: ['POST'], maxBody: UPLOAD_MAX_BYTES },
+    { name: 'books/import/epub', path: '/api/books/import/epub', methods: ['POST'], maxBody: UPLOAD_MAX_BYTES },
+    { name: 'book', path: '/api/books/:id', methods: ['GET', 'PUT', 'DELETE'] },
+    { name: 'book/upload', path: '/api/books/:id/upload', methods: ['POST'], maxBody: UPLOAD_MAX_BYTES },
+    { name: 'book/cover', path: '/api/books/:id/cover', methods: ['GET', 'PUT', 'DELETE'], maxBody: COVER_MAX_BYTES },
+    { name: 'reading', path: '/api/books/:id/progress', methods: ['GET', 'PUT'], kind: 'progress' },
+    { name: 'reading', path: '/api/books/:id/bookmarks', methods: ['GET', 'POST'], kind: 'bookmarks' },
+    { name: 'reading', path: '/api/books/:id/bookmarks/:itemId', methods: ['PUT', 'DELETE'], kind: 'bookmarks' },
+    { name: 'reading', path: '/api/books/:id/notes', methods: ['GET', 'POST'], kind: 'notes' },
+    { name: 'reading', path: '/api/books/:id/notes/:itemId', methods: ['PUT', 'DELETE'], kind: 'notes' },
+    { name: 'book/export', path: '/api/books/:id/export', methods: ['GET'] },
+    { name: 'book/content', path: '/api/books/:id/content', methods: ['GET', 'POST'], maxBody: UPLOAD_MAX_BYTES },
+    { name: 'book/chapters', path: '/api/books/:id/chapters', methods: ['GET', 'POST', 'PUT'], maxBody: UPLOAD_MAX_BYTES },
+    { name: 'book/chapter', path: '/api/books/:id/chapters/:n', methods: ['GET', 'PUT', 'DELETE'], maxBody: UPLOAD_MAX_BYTES },
+    { name: 'book/revisions', path: '/api/books/:id/revisions', methods: ['GET'] },
+    { name: 'book/revisions/diff', path: '/api/books/:id/revisions/diff', methods: ['GET'] },
+    { name: 'book/revision', path: '/api/books/:id/revisions/:rev', methods: ['GET'] },
+    { name: 'book/revision/restore', path: '/api/books/:id/revisions/:rev/restore', methods: ['POST'] },
+    { name: 'schema', path: '/api/schema/book', methods: ['GET'] },
+    { name: 'trash', path: '/api/trash', methods: ['GET', 'DELETE'] },
+    { name: 'trash/item', path: '/api/trash/:id', methods: ['DELETE'] },
+    { name: 'trash/restore', path: '/api/trash/:id/restore', methods: ['POST'] },
+    { name: 'admin/integrity', path: '/api/admin/integrity', methods: ['GET'] },
+    { name: 'admin/integrity/repair', path: '/api/admin/integrity/repair', methods: ['POST'] },
+    { name: 'backup', path: '/api/backup', methods: ['GET'] },
+    { name: 'restore', path: '/api/restore', methods: ['POST'], maxBody: ctx => ctx.backupUploadMaxBytes },
+    { name: 'stats', path: '/api/stats', methods: ['GET'] },
+    { name: 'audit', path: '/api/audit', methods: ['GET'] },
+    { name: 'search', path: '/api/search', methods: ['GET'] }
+].map(route => ({ ...route, segments: route.path.split('/').slice(1) }));
+
+// 匹配路由，返回 { route, params } 或 { route, error }（参数格式不对），没有匹配的路由返回 null
+function matchRoute(pathname) {
+    const segments = pathname.split('/').slice(1);
+    const route = ROUTES.find(item => item.segments.length === segments.length &&
+        item.segments.every((segment, i) => segment.startsWith(':') ? segments[i] !== '' : segment === segments[i]));
+    if (!route) {
+        return null;
+    }
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+        if (route.segments[i].startsWith(':')) {
+            const name = route.segments[i].slice(1);
+            let value;
+            try {
+                value = decodeURIComponent(segments[i]);
+            } catch (error) {
+                value = null;
+            }
+            if (value === null || !ROUTE_PARAM_TYPES[name].regex.test(value)) {
+                return { route, error: ROUTE_PARAM_TYPES[name].message };
+            }
+            params[name] = value;
+        }
+    }
+    return { route, params };
+}
+
+// 读取文本请求体，超过上限时返回 413；按字节收齐后再解码，多字节字符跨数据块时不会出现乱码
+function readTextBody(req, res, limit, callback) {
+    readRawBody(req, limit, (err, buffer) => {
+        if (err) {
+            const tooLarge = err.code === 'LIMIT_EXCEEDED';
+            res.writeHead(tooLarge ? 413 : 400, { 'Content-Type': 'application/json; charset=utf-8', 'Connection': 'close' });
+            res.end(JSON.stringify({ success: false, message: tooLarge ? `请求体过大，最多 ${Math.floor(limit / 1024)} KB` : '读取请求体失败' }));
+            return;
+        }
+        callback(buffer.toString('utf8'));
+    });
+}
+
+// 请求处理
+function handleRequest(ctx, req, res) {
+    const parsedUrl = url.parse(req.url, true);
+    const pathname = parsedUrl.pathname;
+    const query = parsedUrl.query;
+    
+    // 设置跨域头，只对白名单中的来源开放，并允许携带登录 Cookie
+    const origin = req.headers.origin;
+    const originAllowed = !origin || isAllowedOrigin(ctx, origin, req);
+    res.setHeader('Vary', 'Origin');
+    if (origin && originAllowed) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, X-Client-Id');
+        res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    }
+    
+    if (req.method === 'OPTIONS') {
+      //返回200状态码，不在白名单中的来源返回403
+        res.writeHead(originAllowed ? 200 : 403);
+        res.end();
+        return;
+    }
+    
+    // OPDS 书目
+    if (pathname === '/opds' || pathname.startsWith('/opds/')) {
+        handleOpdsRequest(ctx, req, res, pathname, query);
+        return;
+    }
+    
+    // 静态文件托管
+    if (!pathname.startsWith('/api/')) {
+        serveStaticFile(ctx, req, res, pathname);
+        return;
+    }
+    
+    // API路由
+    // 写操作必须来自同源或白名单中的来源，防止其他网站借用户的 Cookie 发起请求
+    if (!originAllowed && req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '不允许的请求来源' }));
+        return;
+    }
+    
+    // 匹配路由：路径参数格式不对返回 400，方法不支持返回 405，声明的请求体超过上限返回 413
+    const matched = matchRoute(pathname);
+    if (!matched) {
+        res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '接口不存在' }));
+        return;
+    }
+    const route = matched.route;
+    const params = matched.params;
+    if (matched.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: matched.error }));
+        return;
+    }
+    if (!route.methods.includes(req.method)) {
+        res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8', 'Allow': route.methods.join(', ') });
+        res.end(JSON.stringify({ success: false, message: '不支持的请求方法' }));
+        return;
+    }
+    const bodyLimit = (typeof route.maxBody === 'function' ? route.maxBody(ctx) : route.maxBody) || ctx.maxBodyBytes;
+    if (parseInt(req.headers['content-length'], 10) > bodyLimit) {
+        res.writeHead(413, { 'Content-Type': 'application/json; charset=utf-8', 'Connection': 'close' });
+        res.end(JSON.stringify({ success: false, message: `请求体过大，最多 ${Math.floor(bodyLimit / 1024)} KB` }));
+        return;
+    }
+    
+    // 登录与权限检查
+    const session = getSession(ctx, req);
+    const currentUser = session ? session.user : null;
+    const role = requiredRole(req.method, pathname);
+    if (role && !currentUser) {
+        res.writeHead(401, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '请先登录' }));
+        return;
+    }
+    if (role && !hasRole(currentUser, role)) {
+        res.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '没有权限执行此操作' }));
+        return;
+    }
+    
+    // 推送实时通知，带上操作人和发起请求的页面
+    const clientId = req.headers['x-client-id'];
+    const notify = (type, data) => broadcastEvent(ctx, type, {
+        ...data,
+        by: currentUser ? currentUser.username : null,
+        source: CLIENT_ID_REGEX.test(clientId || '') ? clientId : null
+    });
+    // 记录操作日志，before / after 为修改前后的书籍信息或内容大小
+    const audit = (action, bookId, before, after, detail) => appendAudit(ctx, {
+        ip: req.socket.remoteAddress,
+        user: currentUser ? currentUser.username : null,
+        action,
+        bookId,
+        title: (after && after.book) || (before && before.book) || getBookTitle(ctx, bookId),
+        before: before || null,
+        after: after || null,
+        detail: detail || null
+    });
+    
+    // 登录  POST /api/auth/login  { username, password }
+    if (route.name === 'auth/login') {
+        readTextBody(req, res, bodyLimit, (body) => {
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+                return;
+            }
+            const failureKeys = loginFailureKeys(req, data && data.username);
+            const tooMany = (delay) => {
+                res.writeHead(429, { 'Content-Type': 'application/json; charset=utf-8', 'Retry-After': String(Math.ceil(delay / 1000)) });
+                res.end(JSON.stringify({ success: false, message: loginDelayMessage(delay) }));
+            };
+            const delay = getLoginIpDelay(ctx, failureKeys);
+            if (delay > 0) {
+                tooMany(delay);
+                return;
+            }
+            const user = data && readUsers(ctx).find(u => u.username === data.username);
+            verifyPassword(data && data.password, user ? user.password : undefined, (ok) => {
+                if (!ok) {
+                    const failedDelay = recordLoginFailure(ctx, failureKeys);
+                    if (failedDelay > 0) {
+                        tooMany(failedDelay);
+                        return;
+                    }
+                    res.writeHead(401, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '用户名或密码错误' }));
+                    return;
+                }
+                clearLoginFailures(ctx, user.username);
+                if (session) {
+                    ctx.sessions.delete(session.sid);
+                }
+                const sid = createSession(ctx, user);
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Set-Cookie': sessionCookie(sid, ctx.sessionTtlMs) });
+                res.end(JSON.stringify({ success: true, message: '登录成功', data: publicUser(user) }));
+            });
+        });
+        return;
+    }
+    
+    // 退出登录  POST /api/auth/logout
+    if (route.name === 'auth/logout') {
+        if (session) {
+            ctx.sessions.delete(session.sid);
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Set-Cookie': sessionCookie('', 0) });
+        res.end(JSON.stringify({ success: true, message: '已退出登录' }));
+        return;
+    }
+    
+    // 当前登录用户  GET /api/auth/me
+    if (route.name === 'auth/me') {
+        if (!currentUser) {
+            res.writeHead(401, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '请先登录' }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: true, data: publicUser(currentUser) }));
+        return;
+    }
+    
+    // 实时通知  GET /api/events（text/event-stream）
+    if (route.name === 'events') {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        // 断线后浏览器 3 秒后自动重连
+        res.write('retry: 3000\n\n');
+        const client = { res, sid: session.sid };
+        addEventClient(ctx, client);
+        req.on('close', () => {
+            ctx.eventClients.delete(client);
+        });
+        return;
+    }
+    
+    // 用户管理（仅管理员）
+    // GET /api/users  POST /api/users  PUT /api/users/:id  DELETE /api/users/:id
+    if (route.name === 'users' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: true, data: readUsers(ctx).map(publicUser) }));
+        return;
+    }
+    
+    if ((route.name === 'users' && req.method === 'POST') || (route.name === 'user' && req.method === 'PUT')) {
+        const isNew = route.name === 'users';
+        readTextBody(req, res, bodyLimit, (body) => {
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+                return;
+            }
+            const errors = validateUserData(data, isNew);
+            if (errors.length > 0) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, errors }));
+                return;
+            }
+            
+            // 先计算哈希（异步），再同步地读-改-写 users.json
+            const withHash = (callback) => {
+                if (data.password === undefined) {
+                    callback(null, null);
+                } else {
+                    hashPassword(data.password, callback);
+                }
+            };
+            withHash((err, passwordHash) => {
+                if (err) {
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '密码处理失败' }));
+                    return;
+                }
+                const users = readUsers(ctx);
+                let user;
+                if (isNew) {
+                    if (users.some(u => u.username.toLowerCase() === data.username.toLowerCase())) {
+                        res.writeHead(409, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: false, message: '用户名已存在' }));
+                        return;
+                    }
+                    user = { id: crypto.randomUUID(), username: data.username, role: data.role, password: passwordHash, createdAt: new Date().toISOString() };
+                    users.push(user);
+                } else {
+                    user = users.find(u => u.id === params.userId);
+                    if (!user) {
+                        res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: false, message: '用户不存在' }));
+                        return;
+                    }
+                    // 至少保留一个管理员，否则再也无法管理用户
+                    if (data.role !== undefined && data.role !== 'admin' && user.role === 'admin' &&
+                        users.filter(u => u.role === 'admin').length === 1) {
+                        res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: false, message: '不能取消最后一个管理员的权限' }));
+                        return;
+                    }
+                    if (data.role !== undefined) {
+                        user.role = data.role;
+                    }
+                    if (passwordHash) {
+                        user.password = passwordHash;
+                    }
+                }
+                
+                if (!writeUsers(ctx, users)) {
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '保存失败' }));
+                    return;
+                }
+                if (passwordHash && !isNew) {
+                    destroyUserSessions(ctx, user.id);
+                }
+                res.writeHead(isNew ? 201 : 200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: isNew ? '用户创建成功' : '用户更新成功', data: publicUser(user) }));
+            });
+        });
+        return;
+    }
+    
+    if (route.name === 'user' && req.method === 'DELETE') {
+        const users = readUsers(ctx);
+        const index = users.findIndex(u => u.id === params.userId);
+        if (index === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '用户不存在' }));
+            return;
+        }
+        if (users[index].id === currentUser.id) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '不能删除当前登录的账号' }));
+            return;
+        }
+        const deletedUser = users.splice(index, 1)[0];
+        if (!writeUsers(ctx, users)) {
+            res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '删除失败' }));
+            return;
+        }
+        destroyUserSessions(ctx, deletedUser.id);
+        removeUserReadingData(ctx, deletedUser.id);
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: true, message: '用户删除成功', data: publicUser(deletedUser) }));
+        return;
+    }
+    
+    // 增————添加书籍  POST /api/books
+    if (route.name === 'books' && req.method === 'POST') {
+        readTextBody(req, res, bodyLimit, (body) => {
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+                return;
+            }
+            const errors = validateBookData(data);
+            
+            if (errors.length > 0) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, errors }));
+                return;
+            }
+            
+            // id 由服务端分配，忽略客户端传来的 id
+            const newBook = { id: generateBookId(), ...normalizeBookData(data) };
+            createBookWithContent(ctx, newBook, `This is book ${newBook.book}`, (err) => {
+                if (err) {
+                    console.error('添加书籍失败:', err);
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '保存失败' }));
+                    return;
+                }
+                notify('book-created', { id: newBook.id, book: newBook });
+                audit('create', newBook.id, null, newBook);
+                
+                res.writeHead(201, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: '书籍添加成功', data: newBook }));
+            });
+        });
+        return;
+    }
+    // 上传文件创建书籍  POST /api/books/upload
+    // 表单字段（书籍信息定义中的字段）可选，书名/作者/简介/发布日期缺省时用文件名、佚名、正文开头、今天
+    if (route.name === 'books/upload') {
+        readUpload(req, query, (err, upload) => {
+            if (err) {
+                res.writeHead(err.status, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: err.message }));
+                return;
+            }
+
+            const data = fillBookDefaults(upload.fields, upload.filename, upload.text);
+            const errors = validateBookData(data);
+
+            if (errors.length > 0) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, errors }));
+                return;
+            }
+
+            const newBook = { id: generateBookId(), ...normalizeBookData(data) };
+            createBookWithContent(ctx, newBook, upload.text, (err) => {
+                if (err) {
+                    console.error('添加书籍失败:', err);
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '保存失败' }));
+                    return;
+                }
+                notify('book-created', { id: newBook.id, book: newBook });
+                audit('create', newBook.id, null, newBook, { via: 'upload' });
+                res.writeHead(201, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: '书籍添加成功', data: newBook, detected: upload.detected }));
+            });
+        });
+        return;
+    }
+
+    // 上传文件替换内容  POST /api/books/:id/upload
+    if (route.name === 'book/upload') {
+        const id = params.id;
+
+        if (findBookIndex(readBooks(ctx), id) === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+
+        readUpload(req, query, (err, upload) => {
+            if (err) {
+                res.writeHead(err.status, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: err.message }));
+                return;
+            }
+
+            withLock(`content:${id}`, (release) => {
+                const oldSize = getContentSize(ctx, id);
+                writeBookContent(ctx, id, upload.text, (err) => {
+                    release();
+                    if (err) {
+                        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: false, message: '写入失败' }));
+                    } else {
+                        const etag = readContentETag(ctx, id);
+                        notify('content-updated', { id, etag });
+                        audit('content', id, { size: oldSize }, { size: getContentSize(ctx, id) }, { via: 'upload' });
+                        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': etag });
+                        res.end(JSON.stringify({ success: true, message: '文件上传成功', detected: upload.detected }));
+                    }
+                });
+            });
+        });
+        return;
+    }
+
+    // 封面  GET / PUT / DELETE /api/books/:id/cover
+    // PUT 用 multipart 的 file 字段或直接把图片作为请求体上传
+    if (route.name === 'book/cover') {
+        const id = params.id;
+        const books = readBooks(ctx);
+        const index = findBookIndex(books, id);
+        if (index === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+        const cover = books[index].cover;
+        
+        if (req.method === 'GET') {
+            if (!cover) {
+                res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '这本书还没有封面' }));
+                return;
+            }
+            const etag = `"${cover.version}"`;
+            const headers = {
+                'Content-Type': cover.type,
+                'ETag': etag,
+                'X-Content-Type-Options': 'nosniff',
+                // 需要登录才能访问，只允许浏览器缓存；带版本号的地址内容不会再变
+                'Cache-Control': query.v === cover.version ? 'private, max-age=31536000, immutable' : 'private, no-cache'
+            };
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304, headers);
+                res.end();
+                return;
+            }
+            const stream = fs.createReadStream(getCoverPath(ctx, id, cover));
+            stream.on('open', () => {
+                res.writeHead(200, { ...headers, 'Content-Length': cover.size });
+                stream.pipe(res);
+            });
+            stream.on('error', () => {
+                res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '封面文件不存在' }));
+            });
+            return;
+        }
+        
+        if (req.method === 'PUT') {
+            readUploadFile(req, query, null, COVER_MAX_BYTES, (err, upload) => {
+                if (err) {
+                    res.writeHead(err.status, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: err.message }));
+                    return;
+                }
+                const imageType = sniffImageType(upload.data);
+                if (!imageType) {
+                    res.writeHead(415, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '只支持 PNG、JPEG、GIF、WebP 格式的图片' }));
+                    return;
+                }
+                
+                // 上传期间书籍可能已被修改或删除，重新读取
+                const latestBooks = readBooksOrFail(ctx, res);
+                if (!latestBooks) return;
+                const latestIndex = findBookIndex(latestBooks, id);
+                if (latestIndex === -1) {
+                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+                    return;
+                }
+                const oldBook = latestBooks[latestIndex];
+                // 已经在异步回调里，写文件失败要自己接住，否则会让进程退出
+                let saved;
+                try {
+                    saved = saveCoverFile(ctx, id, upload.data, imageType);
+                } catch (error) {
+                    console.error('保存封面失败:', error);
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '保存失败' }));
+                    return;
+                }
+                latestBooks[latestIndex] = { ...oldBook, cover: saved.cover };
+                
+                if (writeBooks(ctx, latestBooks)) {
+                    // 换成其他格式时删除旧文件，删不掉只影响磁盘占用
+                    try {
+                        removeCoverFiles(ctx, id, saved.cover);
+                    } catch (error) {
+                        console.error('删除旧封面失败:', error);
+                    }
+                    const etag = getBookETag(latestBooks[latestIndex]);
+                    notify('book-updated', { id, book: latestBooks[latestIndex], etag });
+                    audit('update', id, oldBook, latestBooks[latestIndex], { via: 'cover' });
+                    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': etag });
+                    res.end(JSON.stringify({ success: true, message: '封面上传成功', data: latestBooks[latestIndex] }));
+                } else {
+                    try {
+                        saved.undo();
+                    } catch (error) {
+                        console.error('撤销封面文件失败:', error);
+                    }
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '保存失败' }));
+                }
+            });
+            return;
+        }
+        
+        if (req.method === 'DELETE') {
+            if (!cover) {
+                res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '这本书还没有封面' }));
+                return;
+            }
+            const oldBook = books[index];
+            const { cover: removedCover, ...book } = oldBook;
+            books[index] = book;
+            if (writeBooks(ctx, books)) {
+                removeCoverFiles(ctx, id);
+                notify('book-updated', { id, book, etag: getBookETag(book) });
+                audit('update', id, oldBook, book, { via: 'cover' });
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': getBookETag(book) });
+                res.end(JSON.stringify({ success: true, message: '封面已移除', data: book }));
+            } else {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '移除失败' }));
+            }
+            return;
+        }
+        
+        res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '不支持的请求方法' }));
+        return;
+    }
+
+    // 阅读记录（只读写当前用户自己的）
+    // GET / PUT /api/books/:id/progress                     阅读进度 { offset, percent }
+    // GET / POST /api/books/:id/bookmarks                   书签列表 / 添加书签 { offset, name }
+    // PUT / DELETE /api/books/:id/bookmarks/:itemId         重命名 / 删除书签
+    // GET / POST /api/books/:id/notes                       笔记列表 / 添加划线笔记 { offset, length, quote, note, color }
+    // PUT / DELETE /api/books/:id/notes/:itemId             修改 / 删除笔记
+    if (route.name === 'reading') {
+        const id = params.id;
+        const kind = route.kind;
+        const itemId = params.itemId;
+        if (findBookIndex(readBooks(ctx), id) === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+        const reading = readReading(ctx, id, currentUser.id);
+        const itemIndex = itemId ? reading[kind].findIndex(item => item.id === itemId) : -1;
+        if (itemId && itemIndex === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: kind === 'bookmarks' ? '书签不存在' : '笔记不存在' }));
+            return;
+        }
+        
+        if (req.method === 'GET' && !itemId) {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, data: reading[kind] }));
+            return;
+        }
+        
+        if (req.method === 'DELETE' && itemId) {
+            const removed = reading[kind].splice(itemIndex, 1)[0];
+            if (writeReading(ctx, id, currentUser.id, reading)) {
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: kind === 'bookmarks' ? '书签已删除' : '笔记已删除', data: removed }));
+            } else {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '删除失败' }));
+            }
+            return;
+        }
+        
+        const isNew = req.method === 'POST' && !itemId && kind !== 'progress';
+        if (!isNew && !(req.method === 'PUT' && (kind === 'progress' || itemId))) {
+            res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '不支持的请求方法' }));
+            return;
+        }
+        
+        readTextBody(req, res, bodyLimit, (body) => {
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+                return;
+            }
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '请求数据必须是 JSON 对象' }));
+                return;
+            }
+            const errors = kind === 'progress' ? validateProgress(data) : validateReadingItem(kind, data, isNew);
+            if (isNew && reading[kind].length >= READING_ITEM_LIMIT) {
+                errors.push(`每本书最多保存 ${READING_ITEM_LIMIT} 条`);
+            }
+            if (errors.length > 0) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '数据验证失败', errors }));
+                return;
+            }
+            
+            // 请求体读取期间可能有其他设备写入，重新读取后再修改
+            const latest = readReading(ctx, id, currentUser.id);
+            let result;
+            if (kind === 'progress') {
+                result = { offset: data.offset, percent: data.percent === undefined ? null : data.percent, updatedAt: new Date().toISOString() };
+                latest.progress = result;
+            } else if (isNew) {
+                result = createReadingItem(kind, data);
+                latest[kind].push(result);
+                latest[kind].sort((a, b) => a.offset - b.offset);
+            } else {
+                const latestIndex = latest[kind].findIndex(item => item.id === itemId);
+                if (latestIndex === -1) {
+                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: kind === 'bookmarks' ? '书签不存在' : '笔记不存在' }));
+                    return;
+                }
+                result = { ...latest[kind][latestIndex] };
+                READING_ITEM_FIELDS[kind].update.forEach(name => {
+                    if (data[name] !== undefined) {
+                        result[name] = name === 'name' ? data[name].trim() : data[name];
+                    }
+                });
+                if (kind === 'notes') {
+                    result.updatedAt = new Date().toISOString();
+                }
+                latest[kind][latestIndex] = result;
+            }
+            
+            if (writeReading(ctx, id, currentUser.id, latest)) {
+                res.writeHead(isNew ? 201 : 200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: '保存成功', data: result }));
+            } else {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '保存失败' }));
+            }
+        });
+        return;
+    }
+
+    // 导出书籍  GET /api/books/:id/export?format=epub|txt
+    if (route.name === 'book/export') {
+        const id = params.id;
+        const format = query.format || 'epub';
+        const books = readBooks(ctx);
+        const index = findBookIndex(books, id);
+        const regex = compileChapterPattern(ctx, query.pattern);
+
+        if (index === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+        if (!['epub', 'txt'].includes(format) || !regex) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: !regex ? CHAPTER_PATTERN_ERROR : '导出格式只支持 epub 或 txt' }));
+            return;
+        }
+
+        const book = books[index];
+        fs.readFile(getBookFilePath(ctx, id), 'utf8', (err, text) => {
+            if (err) {
+                res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '书籍文件不存在或读取失败' }));
+                return;
+            }
+
+            // 中文文件名按 RFC 5987 编码
+            const filename = encodeURIComponent(`${book.book}.${format}`);
+            const data = format === 'epub' ? buildEpub(book, text, regex) : Buffer.from(text, 'utf8');
+            res.writeHead(200, {
+                'Content-Type': format === 'epub' ? 'application/epub+zip' : 'text/plain; charset=utf-8',
+                'Content-Length': data.length,
+                'Content-Disposition': `attachment; filename="book.${format}"; filename*=UTF-8''${filename}`
+            });
+            res.end(data);
+        });
+        return;
+    }
+
+    // 导入 EPUB  POST /api/books/import/epub
+    // 表单字段（书籍信息定义中的字段）可覆盖 EPUB 中的元数据
+    if (route.name === 'books/import/epub') {
+        readUploadFile(req, query, '.epub', UPLOAD_MAX_BYTES, (err, upload) => {
+            if (err) {
+                res.writeHead(err.status, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: err.message }));
+                return;
+            }
+
+            let epub;
+            try {
+                epub = parseEpub(upload.data);
+            } catch (error) {
+                res.writeHead(415, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: 'EPUB 解析失败: ' + error.message }));
+                return;
+            }
+
+            const fields = {};
+            BOOK_FIELD_NAMES.forEach(key => {
+                fields[key] = isEmptyValue(upload.fields[key]) ? epub.metadata[key] : upload.fields[key];
+            });
+            const data = fillBookDefaults(fields, upload.filename, epub.text);
+            const errors = validateBookData(data);
+
+            if (errors.length > 0) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, errors }));
+                return;
+            }
+
+            const newBook = { id: generateBookId(), ...normalizeBookData(data) };
+            createBookWithContent(ctx, newBook, epub.text, (err) => {
+                if (err) {
+                    console.error('添加书籍失败:', err);
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '保存失败' }));
+                    return;
+                }
+                notify('book-created', { id: newBook.id, book: newBook });
+                audit('create', newBook.id, null, newBook, { via: 'epub' });
+                res.writeHead(201, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: 'EPUB 导入成功', data: newBook }));
+            });
+        });
+        return;
+    }
+
+    // 导出书目  GET /api/books/export?format=csv|json
+    if (route.name === 'books/export') {
+        const format = query.format || 'csv';
+
+        if (!['csv', 'json'].includes(format)) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '导出格式只支持 csv 或 json' }));
+            return;
+        }
+
+        const books = readBooks(ctx);
+        const data = format === 'csv' ? buildCsv(books) : JSON.stringify(books, null, 4);
+        res.writeHead(200, {
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="books.${format}"`
+        });
+        res.end(data);
+        return;
+    }
+
+    // 导入书目  POST /api/books/import?format=csv|json&dryRun=1
+    // 可以直接以请求体上传，也可以用 multipart 的 file 字段；不传 format 时按文件扩展名判断
+    // dryRun 时只校验并返回逐行报告，不写入；否则写入所有校验通过的行，跳过的行在报告中列出
+    if (route.name === 'books/import') {
+        const dryRun = query.dryRun === '1' || query.dryRun === 'true';
+
+        readRawBody(req, UPLOAD_MAX_BYTES, (err, body) => {
+            if (err) {
+                const tooLarge = err.code === 'LIMIT_EXCEEDED';
+                res.writeHead(tooLarge ? 413 : 400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: tooLarge ? `文件不能超过 ${UPLOAD_MAX_BYTES / 1024 / 1024} MB` : '上传失败' }));
+                return;
+            }
+
+            const contentType = req.headers['content-type'] || '';
+            let filename = typeof query.filename === 'string' ? query.filename : '';
+            if (/^multipart\/form-data/i.test(contentType)) {
+                const form = parseMultipart(body, contentType);
+                const file = form && form.files.find(item => item.name === 'file');
+                if (!file) {
+                    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '请通过 file 字段上传文件' }));
+                    return;
+                }
+                body = file.data;
+                filename = file.filename;
+            }
+
+            const format = query.format || (/\.json$/i.test(filename) || /json/i.test(contentType) ? 'json' : 'csv');
+            let records;
+            try {
+                records = parseCatalogFile(body, format);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '文件解析失败: ' + error.message }));
+                return;
+            }
+
+            const oldBooks = readBooksOrFail(ctx, res);
+            if (!oldBooks) return;
+            const { books, report } = mergeCatalog(oldBooks, records);
+            const summary = summarizeCatalogReport(report);
+
+            if (dryRun || summary.created + summary.updated === 0) {
+                // 没有真正写入，新建行的 id 还不存在
+                const preview = report.map(({ id, ...item }) => item.action === 'create' ? item : { id, ...item });
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, dryRun: true, message: dryRun ? '预检完成，未写入' : '没有可导入的有效行', summary, data: preview }));
+                return;
+            }
+
+            if (!saveMergedCatalog(ctx, oldBooks, books, report)) {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '保存失败' }));
+                return;
+            }
+            report.filter(item => item.action !== 'skip').forEach(item => {
+                const book = books[findBookIndex(books, item.id)];
+                if (item.action === 'create') {
+                    notify('book-created', { id: item.id, book });
+                    audit('create', item.id, null, book, { via: 'import' });
+                } else {
+                    notify('book-updated', { id: item.id, book, etag: getBookETag(book) });
+                    audit('update', item.id, oldBooks[findBookIndex(oldBooks, item.id)], book, { via: 'import' });
+                }
+            });
+
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, dryRun: false, message: '导入完成', summary, data: report }));
+        });
+        return;
+    }
+
+    // 批量操作  POST /api/books/batch  { operations: [{ id, action, fields | tags | author, etag }] }
+    // 有任何一项不通过时都不执行，返回 400（有版本冲突时 412）和每一项的结果
+    if (route.name === 'books/batch') {
+        readTextBody(req, res, bodyLimit, (body) => {
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+                return;
+            }
+            const operations = data && data.operations;
+            if (!Array.isArray(operations) || operations.length === 0 || operations.length > BATCH_MAX_OPERATIONS) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: `operations 必须是 1 到 ${BATCH_MAX_OPERATIONS} 项操作的数组` }));
+                return;
+            }
+            // 删除书籍和 DELETE /api/books/:id 一样只允许管理员
+            if (operations.some(operation => operation && operation.action === 'delete') && !hasRole(currentUser, 'admin')) {
+                res.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '只有管理员可以删除书籍' }));
+                return;
+            }
+
+            // 和单本删除一样持有涉及书籍的内容锁，拿到锁后再读取最新的书籍列表校验
+            const ids = operations.filter(operation => operation && BOOK_ID_REGEX.test(operation.id)).map(operation => operation.id);
+            withLocks(ids.map(id => `content:${id}`), (release) => {
+                let plan;
+                let trashItems;
+                try {
+                    plan = planBatchOperations(readBooks(ctx), operations);
+                    trashItems = plan.results.every(result => result.success) ? applyBatchPlan(ctx, plan, currentUser) : undefined;
+                } catch (error) {
+                    release();
+                    console.error('批量操作失败:', error);
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '批量操作失败' }));
+                    return;
+                }
+                release();
+
+                const failed = plan.results.filter(result => !result.success);
+                if (failed.length > 0) {
+                    const status = failed.some(result => result.conflict) ? 412 : 400;
+                    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({
+                        success: false,
+                        message: `批量操作未执行：${failed.length} 项没有通过校验`,
+                        errors: failed.map(result => `第 ${result.index + 1} 项：${result.errors.join('，')}`),
+                        // 整批没有执行，不返回修改后的书籍
+                        data: plan.results.map(({ book, etag, ...result }) => result)
+                    }));
+                    return;
+                }
+                if (!trashItems) {
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '保存失败' }));
+                    return;
+                }
+
+                plan.updated.forEach(({ oldBook, book }) => {
+                    notify('book-updated', { id: book.id, book, etag: getBookETag(book) });
+                    audit('update', book.id, oldBook, book, { via: 'batch' });
+                });
+                trashItems.forEach(item => {
+                    notify('book-deleted', { id: item.id });
+                    audit('delete', item.id, item, null, { via: 'batch' });
+                });
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({
+                    success: true,
+                    message: `批量操作完成：修改 ${plan.updated.length} 本，删除 ${trashItems.length} 本`,
+                    data: plan.results
+                }));
+            });
+        });
+        return;
+    }
+
+    // 删————删除书籍  DELETE /api/books/:id
+    if (route.name === 'book' && req.method === 'DELETE') {
+        const id = params.id;
+        const books = readBooks(ctx);
+        const index = findBookIndex(books, id);
+        
+        if (index === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+        
+        // If-Match 与当前版本不一致，说明页面上的数据已过期
+        const currentETag = getBookETag(books[index]);
+        if (!matchesIfMatch(req.headers['if-match'], currentETag)) {
+            res.writeHead(412, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': currentETag });
+            res.end(JSON.stringify({ success: false, message: '书籍已被其他人修改，请刷新后再确认删除', data: books[index] }));
+            return;
+        }
+        
+        // 移入回收站，和内容写入使用同一把锁，避免删除时还有写入在进行
+        // 排队等锁期间书籍可能已被修改或删除，拿到锁后重新读取
+        withLock(`content:${id}`, (release) => {
+            let deletedBook;
+            try {
+                const latestBooks = readBooks(ctx);
+                const latestIndex = findBookIndex(latestBooks, id);
+                deletedBook = latestIndex === -1 ? undefined : moveToTrash(ctx, latestBooks, latestIndex, currentUser);
+            } catch (error) {
+                console.error('移入回收站失败:', error);
+                deletedBook = null;
+            }
+            release();
+            
+            if (deletedBook === undefined) {
+                res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            } else if (deletedBook) {
+                notify('book-deleted', { id });
+                audit('delete', id, deletedBook, null);
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: '书籍已移入回收站', data: deletedBook }));
+            } else {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '删除失败' }));
+            }
+        });
+        return;
+    }
+    
+    // 改————更新书籍  PUT /api/books/:id
+    if (route.name === 'book' && req.method === 'PUT') {
+        const id = params.id;
+        readTextBody(req, res, bodyLimit, (body) => {
+            try {
+                const data = JSON.parse(body);
+                const errors = validateBookData(data);
+                
+                if (errors.length > 0) {
+                    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, errors }));
+                    return;
+                }
+                
+                const books = readBooksOrFail(ctx, res);
+                if (!books) return;
+                const index = findBookIndex(books, id);
+                
+                if (index === -1) {
+                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+                    return;
+                }
+                
+                // If-Match 与当前版本不一致时返回当前数据，由用户决定是否覆盖
+                const currentETag = getBookETag(books[index]);
+                if (!matchesIfMatch(req.headers['if-match'], currentETag)) {
+                    res.writeHead(412, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': currentETag });
+                    res.end(JSON.stringify({ success: false, message: '书籍已被其他人修改', data: books[index] }));
+                    return;
+                }
+                
+                // id 不允许修改，封面不通过这里修改
+                const oldBook = books[index];
+                const updatedBook = withServerFields({ id, ...normalizeBookData(data) }, oldBook);
+                books[index] = updatedBook;
+                
+                if (writeBooks(ctx, books)) {
+                    recordMetaRevision(ctx, oldBook, updatedBook);
+                    notify('book-updated', { id, book: updatedBook, etag: getBookETag(updatedBook) });
+                    audit('update', id, oldBook, updatedBook);
+                    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': getBookETag(updatedBook) });
+                    res.end(JSON.stringify({ success: true, message: '书籍更新成功', data: updatedBook }));
+                } else {
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '更新失败' }));
+                }
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+            }
+        });
+        return;
+    }
+    // 查————获取书籍列表  GET /api/books?q=&author=&dateFrom=&dateTo=&sort=&order=&page=&pageSize=
+    if (route.name === 'books' && req.method === 'GET') {
+        const errors = validateBookQuery(query);
+
+        if (errors.length > 0) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, errors }));
+            return;
+        }
+
+        const { items, total, page, pageSize } = queryBooks(readBooks(ctx), query);
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: true, data: items, total, page, pageSize }));
+        return;
+    }
+
+    // 查————获取单本书籍  GET /api/books/:id
+    if (route.name === 'book' && req.method === 'GET') {
+        const books = readBooks(ctx);
+        const index = findBookIndex(books, params.id);
+
+        if (index === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': getBookETag(books[index]) });
+        res.end(JSON.stringify({ success: true, data: books[index] }));
+        return;
+    }
+    
+    // 同/异步读取  GET /api/books/:id/content?mode=sync / async
+    // 流式读取    GET /api/books/:id/content?mode=stream  纯文本，支持 Range 断点/分段下载
+    // 分页读取    GET /api/books/:id/content?mode=page&offset=&length=  按字符分页的 JSON
+    // 使用正则表达式匹配路径
+    if (route.name === 'book/content' && req.method === 'GET') {
+        const id = params.id;
+        const mode = query.mode || 'async';
+
+        // 先确认书籍存在，再拼接文件路径
+        if (findBookIndex(readBooks(ctx), id) === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+        const bookFilePath = getBookFilePath(ctx, id);
+        
+        if (mode === 'stream') {
+            // 流式读取，不把整个文件读进内存
+            fs.stat(bookFilePath, (err, stats) => {
+                if (err) {
+                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '书籍文件不存在' }));
+                    return;
+                }
+                
+                const range = parseRangeHeader(req.headers.range, stats.size);
+                if (range === 'unsatisfiable') {
+                    res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+                    res.end();
+                    return;
+                }
+                
+                const headers = {
+                    'Content-Type': 'text/plain; charset=utf-8',
+                    'Accept-Ranges': 'bytes',
+                    'ETag': getContentETag(stats)
+                };
+                let streamOptions = {};
+                if (range) {
+                    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stats.size}`;
+                    headers['Content-Length'] = range.end - range.start + 1;
+                    streamOptions = range;
+                    res.writeHead(206, headers);
+                } else {
+                    headers['Content-Length'] = stats.size;
+                    res.writeHead(200, headers);
+                }
+                
+                const stream = fs.createReadStream(bookFilePath, streamOptions);
+                stream.on('error', () => res.destroy());
+                // 客户端中途断开时停止读取
+                res.on('close', () => stream.destroy());
+                stream.pipe(res);
+            });
+        } else if (mode === 'page') {
+            // 分页读取，offset 和 length 以字符计
+            const offset = query.offset === undefined ? 0 : Number(query.offset);
+            const length = query.length === undefined ? PAGE_DEFAULT_LENGTH : Number(query.length);
+            
+            if (!Number.isInteger(offset) || offset < 0 ||
+                !Number.isInteger(length) || length < 1 || length > PAGE_MAX_LENGTH) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: `offset 必须是非负整数，length 必须是 1 到 ${PAGE_MAX_LENGTH} 之间的整数` }));
+                return;
+            }
+            
+            readTextPage(ctx, id, offset, length, (err, page) => {
+                if (err) {
+                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '书籍文件不存在或读取失败' }));
+                } else {
+                    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': readContentETag(ctx, id) });
+                    res.end(JSON.stringify({ success: true, mode: 'page', ...page }));
+                }
+            });
+        } else if (mode === 'sync') {
+            // 同步读取
+            try {
+                if (!fs.existsSync(bookFilePath)) {
+                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '书籍文件不存在' }));
+                    return;
+                }
+                const content = fs.readFileSync(bookFilePath, 'utf8');
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': readContentETag(ctx, id) });
+                res.end(JSON.stringify({ success: true, mode: 'sync', content }));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '读取失败' }));
+            }
+        } else {
+            // 异步读取
+            fs.readFile(bookFilePath, 'utf8', (err, data) => {
+                if (err) {
+                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '书籍文件不存在或读取失败' }));
+                } else {
+                    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': readContentETag(ctx, id) });
+                    res.end(JSON.stringify({ success: true, mode: 'async', content: data }));
+                }
+            });
+        }
+        return;
+    }
+    
+    // 写入内容  POST /api/books/:id/content
+    if (route.name === 'book/content' && req.method === 'POST') {
+        const id = params.id;
+
+        if (findBookIndex(readBooks(ctx), id) === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+        
+        readTextBody(req, res, bodyLimit, (body) => {
+            try {
+                const { content } = JSON.parse(body);
+                
+                if (!content) {
+                    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '内容不能为空' }));
+                    return;
+                }
+                
+                // 检查 If-Match 到写入完成之间持有内容锁，避免两个请求都通过检查后互相覆盖
+                withLock(`content:${id}`, (release) => {
+                    const currentETag = readContentETag(ctx, id);
+                    if (!matchesIfMatch(req.headers['if-match'], currentETag)) {
+                        release();
+                        res.writeHead(412, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': currentETag });
+                        res.end(JSON.stringify({ success: false, message: '内容已被其他人修改，请重新读取后再写入', data: getContentVersion(ctx, id) }));
+                        return;
+                    }
+                    const oldSize = getContentSize(ctx, id);
+                    writeBookContent(ctx, id, content, (err) => {
+                        release();
+                        if (err) {
+                            res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                            res.end(JSON.stringify({ success: false, message: '写入失败' }));
+                        } else {
+                            const etag = readContentETag(ctx, id);
+                            notify('content-updated', { id, etag });
+                            audit('content', id, { size: oldSize }, { size: getContentSize(ctx, id) }, { via: 'write' });
+                            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': etag });
+                            res.end(JSON.stringify({ success: true, message: '内容写入成功' }));
+                        }
+                    });
+                });
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+            }
+        });
+        return;
+    }
+    
+    // 章节  /api/books/:id/chapters 和 /api/books/:id/chapters/:n
+    if (route.name === 'book/chapters' || route.name === 'book/chapter') {
+        const id = params.id;
+        const n = route.name === 'book/chapter' ? params.n : null;
+        const regex = compileChapterPattern(ctx, query.pattern);
+
+        if (findBookIndex(readBooks(ctx), id) === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+        if (!regex) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: CHAPTER_PATTERN_ERROR }));
+            return;
+        }
+        const chapterNo = n === null ? null : parseInt(n);
+
+        // 读取请求体（GET/DELETE 没有请求体）
+        readTextBody(req, res, bodyLimit, (body) => {
+            let data = {};
+            if (req.method === 'POST' || req.method === 'PUT') {
+                try {
+                    data = JSON.parse(body);
+                } catch (error) {
+                    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '无效的JSON格式' }));
+                    return;
+                }
+            }
+
+            // 读取、修改、写回全文期间持有内容锁，响应结束时释放
+            withLock(`content:${id}`, (release) => {
+                res.on('close', release);
+                fs.readFile(getBookFilePath(ctx, id), 'utf8', (err, text) => {
+                    if (err) {
+                        res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: false, message: '书籍文件不存在或读取失败' }));
+                        return;
+                    }
+
+                    const parsed = parseChapters(text, regex);
+                    const total = parsed.chapters.length;
+                    const hasPreface = parsed.preface.trim() !== '';
+
+                    // 修改后写回全文并返回新的目录
+                    const save = (message) => {
+                        const content = assembleChapters(parsed.preface, parsed.chapters);
+                        writeBookContent(ctx, id, content, (err) => {
+                            if (err) {
+                                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                                res.end(JSON.stringify({ success: false, message: '写入失败' }));
+                                return;
+                            }
+                            const updated = parseChapters(content, regex);
+                            const etag = readContentETag(ctx, id);
+                            notify('content-updated', { id, etag });
+                            audit('content', id, { size: Buffer.byteLength(text) }, { size: Buffer.byteLength(content) }, { via: 'chapters', message });
+                            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': etag });
+                            res.end(JSON.stringify({ success: true, message, data: chapterSummaries(updated) }));
+                        });
+                    };
+
+                    // 章节序号越界
+                    const notFound = () => {
+                        res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: false, message: '章节不存在' }));
+                    };
+
+                    // 新标题必须仍能被识别为章节标题，否则下次读取时章节会消失
+                    const invalidTitle = (title) => {
+                        if (typeof title !== 'string' || !isChapterTitle(title, regex) || /[\r\n]/.test(title)) {
+                            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                            res.end(JSON.stringify({ success: false, message: '章节标题不符合章节格式，例如：第一章 标题' }));
+                            return true;
+                        }
+                        return false;
+                    };
+
+                    // 章节目录  GET /api/books/:id/chapters
+                    if (route.name === 'book/chapters' && req.method === 'GET') {
+                        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({
+                            success: true,
+                            data: chapterSummaries(parsed),
+                            preface: hasPreface ? { n: 0, title: '前言', offset: 0, length: parsed.preface.length } : null
+                        }));
+                        return;
+                    }
+
+                    // 添加章节  POST /api/books/:id/chapters  { title, content, position }
+                    // position 为新章节的序号，默认追加到末尾
+                    if (route.name === 'book/chapters' && req.method === 'POST') {
+                        if (invalidTitle(data.title)) return;
+                        const position = data.position === undefined ? total + 1 : data.position;
+                        if (!Number.isInteger(position) || position < 1 || position > total + 1) {
+                            notFound();
+                            return;
+                        }
+                        const content = typeof data.content === 'string' ? data.content : '';
+                        parsed.chapters.splice(position - 1, 0, {
+                            title: data.title.trim(),
+                            heading: buildHeading(data.title.trim()),
+                            body: content === '' || /[\r\n]$/.test(content) ? content : content + '\n'
+                        });
+                        save('章节添加成功');
+                        return;
+                    }
+
+                    // 调整章节顺序  PUT /api/books/:id/chapters  { order: [3, 1, 2] }
+                    if (route.name === 'book/chapters' && req.method === 'PUT') {
+                        const order = data.order;
+                        const isPermutation = Array.isArray(order) && order.length === total &&
+                            order.every(no => Number.isInteger(no) && no >= 1 && no <= total) &&
+                            new Set(order).size === total;
+                        if (!isPermutation) {
+                            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                            res.end(JSON.stringify({ success: false, message: `order 必须是 1 到 ${total} 的一个排列` }));
+                            return;
+                        }
+                        parsed.chapters = order.map(no => parsed.chapters[no - 1]);
+                        save('章节顺序已更新');
+                        return;
+                    }
+
+                    // 读取单个章节  GET /api/books/:id/chapters/:n
+                    if (route.name === 'book/chapter' && req.method === 'GET') {
+                        if (chapterNo === 0) {
+                            if (!hasPreface) {
+                                notFound();
+                                return;
+                            }
+                            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                            res.end(JSON.stringify({ success: true, data: {
+                                n: 0, title: '前言', offset: 0, length: parsed.preface.length,
+                                content: parsed.preface, total, prev: null, next: total > 0 ? 1 : null
+                            } }));
+                            return;
+                        }
+                        const chapter = parsed.chapters[chapterNo - 1];
+                        if (!chapter) {
+                            notFound();
+                            return;
+                        }
+                        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: true, data: {
+                            n: chapterNo,
+                            title: chapter.title,
+                            offset: chapter.offset,
+                            length: chapter.length,
+                            content: chapter.body,
+                            total,
+                            prev: chapterNo > 1 ? chapterNo - 1 : (hasPreface ? 0 : null),
+                            next: chapterNo < total ? chapterNo + 1 : null
+                        } }));
+                        return;
+                    }
+
+                    // 重命名 / 修改章节正文  PUT /api/books/:id/chapters/:n  { title, content }
+                    if (route.name === 'book/chapter' && req.method === 'PUT') {
+                        if (data.title === undefined && data.content === undefined) {
+                            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                            res.end(JSON.stringify({ success: false, message: '请提供 title 或 content' }));
+                            return;
+                        }
+                        if (data.content !== undefined && typeof data.content !== 'string') {
+                            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                            res.end(JSON.stringify({ success: false, message: '章节内容必须是字符串' }));
+                            return;
+                        }
+                        if (chapterNo === 0) {
+                            // 前言没有标题，只能改正文
+                            if (data.title !== undefined) {
+                                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                                res.end(JSON.stringify({ success: false, message: '前言不能设置标题' }));
+                                return;
+                            }
+                            parsed.preface = data.content;
+                            save('前言已更新');
+                            return;
+                        }
+                        const chapter = parsed.chapters[chapterNo - 1];
+                        if (!chapter) {
+                            notFound();
+                            return;
+                        }
+                        if (data.title !== undefined) {
+                            if (invalidTitle(data.title)) return;
+                            chapter.title = data.title.trim();
+                            chapter.heading = buildHeading(chapter.title, chapter.heading);
+                        }
+                        if (data.content !== undefined) {
+                            chapter.body = data.content;
+                        }
+                        save('章节已更新');
+                        return;
+                    }
+
+                    // 删除章节  DELETE /api/books/:id/chapters/:n
+                    if (route.name === 'book/chapter' && req.method === 'DELETE') {
+                        if (chapterNo === 0 ? !hasPreface : !parsed.chapters[chapterNo - 1]) {
+                            notFound();
+                            return;
+                        }
+                        if (chapterNo === 0) {
+                            parsed.preface = '';
+                        } else {
+                            parsed.chapters.splice(chapterNo - 1, 1);
+                        }
+                        save('章节删除成功');
+                        return;
+                    }
+
+                    res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '不支持的请求方法' }));
+                });
+            });
+        });
+        return;
+    }
+
+    // 历史版本  /api/books/:id/revisions
+    if (route.name.startsWith('book/revision')) {
+        const id = params.id;
+        const revId = route.name === 'book/revisions/diff' ? 'diff' : params.rev;
+        const isRestore = route.name === 'book/revision/restore';
+        const books = readBooks(ctx);
+        const index = findBookIndex(books, id);
+
+        if (index === -1) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '书籍不存在' }));
+            return;
+        }
+
+        // 版本列表  GET /api/books/:id/revisions?type=content|meta
+        if (!revId && req.method === 'GET') {
+            const type = ['content', 'meta'].includes(query.type) ? query.type : undefined;
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, data: listRevisions(ctx, id, type), limit: ctx.revisionLimit }));
+            return;
+        }
+
+        // 版本对比  GET /api/books/:id/revisions/diff?from=<版本id>&to=<版本id|current>&context=3
+        if (revId === 'diff' && !isRestore && req.method === 'GET') {
+            const from = readRevision(ctx, id, String(query.from));
+            const toCurrent = !query.to || query.to === 'current';
+            const to = toCurrent ? null : readRevision(ctx, id, String(query.to));
+            const context = Math.min(Math.max(parseInt(query.context) || 3, 0), 50);
+
+            if (!from || (!toCurrent && !to)) {
+                res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '版本不存在' }));
+                return;
+            }
+
+            // 与当前状态对比时，按 from 的类型取当前内容或当前书籍信息
+            const readTarget = (callback) => {
+                if (to) {
+                    callback(null, to.data);
+                } else if (from.type === 'meta') {
+                    callback(null, JSON.stringify(books[index], null, 4));
+                } else {
+                    fs.readFile(getBookFilePath(ctx, id), 'utf8', callback);
+                }
+            };
+            readTarget((err, target) => {
+                if (err) {
+                    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '书籍文件不存在或读取失败' }));
+                    return;
+                }
+                // 改动太大时只告诉客户端两个版本不同，data 为 null
+                const blocks = diffLines(from.data, target, context);
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({
+                    success: true,
+                    from: from.id,
+                    to: to ? to.id : 'current',
+                    tooLarge: blocks === null,
+                    message: blocks === null ? '两个版本差别太大，不逐行对比' : undefined,
+                    data: blocks
+                }));
+            });
+            return;
+        }
+
+        const revision = revId ? readRevision(ctx, id, revId) : null;
+        if (revId && !revision) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '版本不存在' }));
+            return;
+        }
+
+        // 查看版本  GET /api/books/:id/revisions/:rev
+        if (revision && !isRestore && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({
+                success: true,
+                data: {
+                    id: revision.id,
+                    type: revision.type,
+                    createdAt: new Date(parseInt(revision.id)).toISOString(),
+                    content: revision.data
+                }
+            }));
+            return;
+        }
+
+        // 恢复版本  POST /api/books/:id/revisions/:rev/restore
+        // 恢复本身也会产生一个新版本，可以再撤销
+        if (revision && isRestore && req.method === 'POST') {
+            if (revision.type === 'content') {
+                withLock(`content:${id}`, (release) => {
+                    const oldSize = getContentSize(ctx, id);
+                    writeBookContent(ctx, id, revision.data, (err) => {
+                        release();
+                        if (err) {
+                            res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                            res.end(JSON.stringify({ success: false, message: '恢复失败' }));
+                        } else {
+                            const etag = readContentETag(ctx, id);
+                            notify('content-updated', { id, etag });
+                            audit('content', id, { size: oldSize }, { size: getContentSize(ctx, id) }, { via: 'revision', revision: revision.id });
+                            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'ETag': etag });
+                            res.end(JSON.stringify({ success: true, message: '内容已恢复' }));
+                        }
+                    });
+                });
+                return;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(revision.data);
+            } catch (error) {
+                data = {};
+            }
+            const errors = validateBookData(data);
+            if (errors.length > 0) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, errors }));
+                return;
+            }
+
+            const oldBook = books[index];
+            const restoredBook = withServerFields({ id, ...normalizeBookData(data) }, oldBook);
+            books[index] = restoredBook;
+
+            if (writeBooks(ctx, books)) {
+                recordMetaRevision(ctx, oldBook, restoredBook);
+                notify('book-updated', { id, book: restoredBook, etag: getBookETag(restoredBook) });
+                audit('update', id, oldBook, restoredBook, { via: 'revision', revision: revision.id });
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: '书籍信息已恢复', data: restoredBook }));
+            } else {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '恢复失败' }));
+            }
+            return;
+        }
+
+        res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '不支持的请求方法' }));
+        return;
+    }
+
+    // 书籍信息字段定义  GET /api/schema/book，前端据此生成表单
+    if (route.name === 'schema') {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: true, data: BOOK_SCHEMA }));
+        return;
+    }
+    
+    // 回收站（仅管理员）
+    // GET /api/trash  列表        DELETE /api/trash  清空
+    // POST /api/trash/:id/restore  恢复        DELETE /api/trash/:id  彻底删除
+    if (route.name.startsWith('trash')) {
+        const id = params.id;
+        const isRestore = route.name === 'trash/restore';
+        
+        if (!id && !isRestore && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, data: listTrash(ctx), retentionDays: ctx.trashRetentionDays }));
+            return;
+        }
+        
+        if (!id && !isRestore && req.method === 'DELETE') {
+            const items = listTrash(ctx);
+            items.forEach(item => {
+                purgeTrashItem(ctx, item.id);
+                audit('purge', item.id, item, null);
+            });
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, message: `已清空回收站，共删除 ${items.length} 本书` }));
+            return;
+        }
+        
+        if (id && !readTrashItem(ctx, id)) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '回收站中没有这本书' }));
+            return;
+        }
+        
+        if (id && isRestore && req.method === 'POST') {
+            withLock(`content:${id}`, (release) => {
+                let book;
+                try {
+                    book = restoreFromTrash(ctx, id);
+                } catch (error) {
+                    console.error('恢复书籍失败:', error);
+                    release();
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '恢复失败' }));
+                    return;
+                }
+                release();
+                if (!book) {
+                    res.writeHead(409, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '书籍列表中已有相同 id 的书籍' }));
+                    return;
+                }
+                notify('book-created', { id, book });
+                audit('restore', id, null, book);
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, message: '书籍已恢复', data: book }));
+            });
+            return;
+        }
+        
+        if (id && !isRestore && req.method === 'DELETE') {
+            const item = readTrashItem(ctx, id);
+            purgeTrashItem(ctx, id);
+            audit('purge', id, item, null);
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, message: '书籍已彻底删除', data: item }));
+            return;
+        }
+        
+        res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '不支持的请求方法' }));
+        return;
+    }
+    
+    // 书库完整性检查（仅管理员）  GET /api/admin/integrity
+    if (route.name === 'admin/integrity') {
+        checkIntegrity(ctx, (err, report) => {
+            if (err) {
+                console.error('书库完整性检查失败:', err);
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '检查失败: ' + err.message }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, data: report }));
+        });
+        return;
+    }
+    
+    // 按检查结果修复（仅管理员）  POST /api/admin/integrity/repair
+    // 修复期间锁住所有书籍的内容，返回执行的每项修复和修复后重新检查的结果
+    if (route.name === 'admin/integrity/repair') {
+        const books = readBooksOrFail(ctx, res);
+        if (!books) return;
+        const ids = books.filter(book => book && BOOK_ID_REGEX.test(book.id)).map(book => book.id);
+        withLocks(ids.map(id => `content:${id}`), (release) => {
+            const sizesBefore = new Map(ids.map(id => [id, getContentSize(ctx, id)]));
+            repairIntegrity(ctx, (err, result) => {
+                if (err) {
+                    release();
+                    console.error('修复书库失败:', err);
+                    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                    res.end(JSON.stringify({ success: false, message: '修复失败: ' + err.message }));
+                    return;
+                }
+                
+                // 内容有变化的书重新建立分页检查点和索引
+                const changedIds = new Set(result.actions.filter(item => item.bookId).map(item => item.bookId));
+                changedIds.forEach(id => {
+                    ctx.pageCheckpoints.delete(id);
+                    try {
+                        indexBookContent(ctx, id, fs.readFileSync(getBookFilePath(ctx, id), 'utf8'));
+                    } catch (error) {
+                        removeFromSearchIndex(ctx, id);
+                    }
+                    notify('content-updated', { id, etag: readContentETag(ctx, id) });
+                });
+                result.actions.filter(item => item.bookId).forEach(item => {
+                    const detail = { via: 'integrity', fix: item.action, message: item.message };
+                    if (item.action === 'assign-id') {
+                        notify('book-created', { id: item.bookId });
+                        audit('update', item.bookId, null, null, detail);
+                    } else {
+                        audit('content', item.bookId, { size: sizesBefore.get(item.bookId) || 0 }, { size: getContentSize(ctx, item.bookId) }, detail);
+                    }
+                });
+                release();
+                
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({
+                    success: true,
+                    message: `已执行 ${result.actions.length} 项修复，剩余 ${result.report.issues.length} 个问题`,
+                    data: result
+                }));
+            });
+        });
+        return;
+    }
+    
+    // 整库备份（仅管理员）  GET /api/backup  下载 ZIP
+    // 边生成边发送，事先不知道总长度，用分块传输；中途出错只能断开连接，客户端会收到不完整的文件
+    if (route.name === 'backup') {
+        prepareBackup(ctx, (err, plan) => {
+            if (err) {
+                console.error('生成备份失败:', err);
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: err.code === 'BACKUP_TOO_LARGE' ? err.message : '生成备份失败' }));
+                return;
+            }
+            res.writeHead(200, {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${getBackupFileName()}"`
+            });
+            writeBackup(ctx, plan, res, (err) => {
+                // 客户端中途断开不算出错
+                if (err && !res.destroyed) {
+                    console.error('生成备份失败:', err);
+                    res.destroy();
+                }
+            });
+        });
+        return;
+    }
+    
+    // 从备份恢复（仅管理员）  POST /api/restore?mode=replace|merge&dryRun=1
+    // 请求体为备份 ZIP（或 multipart 的 file 字段）；先校验清单和校验和，dryRun 时只返回恢复计划
+    if (route.name === 'restore') {
+        const mode = query.mode || 'merge';
+        const dryRun = query.dryRun === '1' || query.dryRun === 'true';
+        if (!RESTORE_MODES.includes(mode)) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: `恢复方式只支持 ${RESTORE_MODES.join('、')}` }));
+            return;
+        }
+        
+        readUploadFile(req, query, '.zip', ctx.backupUploadMaxBytes, (err, upload) => {
+            if (err) {
+                res.writeHead(err.status, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: err.message }));
+                return;
+            }
+            
+            let backup;
+            try {
+                backup = parseBackup(ctx, upload.data);
+            } catch (error) {
+                res.writeHead(415, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '备份解析失败: ' + error.message }));
+                return;
+            }
+            if (backup.errors.length > 0) {
+                res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '备份校验失败', errors: backup.errors }));
+                return;
+            }
+            
+            const currentBooks = readBooksOrFail(ctx, res);
+            if (!currentBooks) return;
+            const summarize = (report) => ({
+                total: report.length,
+                created: report.filter(item => item.action === 'create').length,
+                replaced: report.filter(item => item.action === 'replace').length,
+                skipped: report.filter(item => item.action === 'skip').length,
+                removed: report.filter(item => item.action === 'remove').length
+            });
+            const backupInfo = { createdAt: backup.manifest.createdAt, books: backup.books.length };
+            const report = planRestore(currentBooks, backup.books, mode);
+            if (dryRun) {
+                res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: true, dryRun: true, message: '预检完成，未写入', summary: summarize(report), backup: backupInfo, data: report }));
+                return;
+            }
+            
+            // 涉及的书籍全部加锁，恢复期间不会有内容写入插进来
+            const changedIds = report.filter(item => item.action !== 'skip').map(item => item.id);
+            withLocks(changedIds.map(id => `content:${id}`), (release) => {
+                const applyRestore = (safetyBackup) => {
+                    try {
+                        // 等锁期间书库可能有变化，按最新的书库重新计划
+                        const latestBooks = readBooks(ctx);
+                        const plan = planRestore(latestBooks, backup.books, mode);
+                    
+                        plan.filter(item => item.action === 'remove').forEach(item => {
+                            const books = readBooks(ctx);
+                            const deletedBook = moveToTrash(ctx, books, findBookIndex(books, item.id), currentUser);
+                            if (deletedBook) {
+                                notify('book-deleted', { id: item.id });
+                                audit('delete', item.id, deletedBook, null, { via: 'restore' });
+                            }
+                        });
+                    
+                        const restored = plan.filter(item => item.action === 'create' || item.action === 'replace');
+                        const restoredIds = new Set(restored.map(item => item.id));
+                        backup.books.filter(book => restoredIds.has(book.id)).forEach(book => restoreBookFiles(ctx, book, backup.files));
+                    
+                        const finalBooks = mode === 'replace'
+                            ? backup.books
+                            : [...readBooks(ctx), ...backup.books.filter(book => restoredIds.has(book.id))];
+                        if (!writeBooks(ctx, finalBooks)) {
+                            throw new Error('写入书籍数据失败');
+                        }
+                    
+                        restored.forEach(item => {
+                            const book = finalBooks[findBookIndex(finalBooks, item.id)];
+                            if (item.action === 'create') {
+                                notify('book-created', { id: item.id, book });
+                                audit('create', item.id, null, book, { via: 'restore' });
+                            } else {
+                                notify('book-updated', { id: item.id, book, etag: getBookETag(book) });
+                                notify('content-updated', { id: item.id, etag: readContentETag(ctx, item.id) });
+                                audit('update', item.id, latestBooks[findBookIndex(latestBooks, item.id)], book, { via: 'restore' });
+                            }
+                        });
+                        release();
+                    
+                        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: true, dryRun: false, message: '恢复完成', summary: summarize(plan), backup: backupInfo, safetyBackup, data: plan }));
+                    } catch (error) {
+                        release();
+                        console.error('从备份恢复失败:', error);
+                        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({
+                            success: false,
+                            message: safetyBackup ? `恢复失败，可以用恢复前的自动备份 ${safetyBackup} 还原` : '恢复失败',
+                            safetyBackup
+                        }));
+                    }
+                };
+                if (mode !== 'replace') {
+                    applyRestore(null);
+                    return;
+                }
+                saveBackupFile(ctx, '-before-restore', (err, filePath) => {
+                    if (err) {
+                        release();
+                        console.error('恢复前自动备份失败:', err);
+                        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                        res.end(JSON.stringify({ success: false, message: `恢复前自动备份失败，书库没有改动: ${err.message}` }));
+                        return;
+                    }
+                    applyRestore(path.basename(filePath));
+                });
+            });
+        });
+        return;
+    }
+    
+    // 藏书统计  GET /api/stats
+    if (route.name === 'stats') {
+        computeLibraryStats(ctx, (err, stats) => {
+            if (err) {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '统计失败' }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, data: stats }));
+        });
+        return;
+    }
+    
+    // 操作日志（仅管理员）  GET /api/audit?bookId=&action=&user=&from=&to=&page=&pageSize=
+    if (route.name === 'audit') {
+        const errors = validateAuditQuery(query);
+        if (errors.length > 0) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, errors }));
+            return;
+        }
+        queryAudit(ctx, query, (err, result) => {
+            if (err) {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '读取操作日志失败' }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, data: result.items, total: result.total, page: result.page, pageSize: result.pageSize }));
+        });
+        return;
+    }
+    
+    // 全文检索  GET /api/search?q=&limit=
+    if (route.name === 'search') {
+        const q = typeof query.q === 'string' ? query.q.trim() : '';
+        const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), SEARCH_MAX_LIMIT);
+
+        if (!q) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: false, message: '搜索关键词不能为空' }));
+            return;
+        }
+
+        searchBooks(ctx, q, limit, (err, { total, results }) => {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ success: true, data: results, total, indexing: !ctx.searchIndex.ready }));
+        });
+        return;
+    }
+
+    // 404
+    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ success: false, message: '接口不存在' }));
+}
+
+// 命令行管理工具
+// node main.js <命令> [参数] [选项]，直接读写 book.json 和 ./书籍/，不需要启动服务
+// 校验规则和接口相同（validateBookData），修改同样记录历史版本和操作日志（detail.via 为 cli）
+// 加上 --json 时输出 JSON 方便脚本处理；出错时错误信息写到标准错误，退出码为 1
+// 服务运行时也可以使用，但全文索引要等服务重启后才会包含命令行写入的内容
+const CLI_BOOLEAN_FLAGS = ['json', 'dry-run'];
+const CLI_QUERY_FLAGS = ['author', 'tag', 'category', 'language', 'dateFrom', 'dateTo', 'sort', 'order'];
+const CLI_TEXT_COLUMNS = 30;
+
+// 终端里中文等全角字符占两列
+const WIDE_CHAR_REGEX = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA960-\uA97F\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}]/u;
+
+function displayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+        width += WIDE_CHAR_REGEX.test(char) ? 2 : 1;
+    }
+    return width;
+}
+
+// 超过 maxWidth 列时截断并加省略号
+function truncateText(text, maxWidth) {
+    if (!maxWidth || displayWidth(text) <= maxWidth) {
+        return text;
+    }
+    let result = '';
+    let width = 0;
+    for (const char of text) {
+        const charWidth = WIDE_CHAR_REGEX.test(char) ? 2 : 1;
+        if (width + charWidth > maxWidth - 1) {
+            break;
+        }
+        result += char;
+        width += charWidth;
+    }
+    return result + '…';
+}
+
+// 按列对齐输出表格，columns: [{ label, value(row), maxWidth }]
+function printTable(columns, rows) {
+    const cells = rows.map(row => columns.map(column => {
+        const value = column.value(row);
+        const text = value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ');
+        return truncateText(text, column.maxWidth);
+    }));
+    const widths = columns.map((column, i) => Math.max(displayWidth(column.label), ...cells.map(row => displayWidth(row[i]))));
+    const line = (values) => values.map((value, i) => value + ' '.repeat(widths[i] - displayWidth(value))).join('  ').trimEnd();
+    console.log(line(columns.map(column => column.label)));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    cells.forEach(row => console.log(line(row)));
+}
+
+const BOOK_TABLE_COLUMNS = [
+    { label: 'id', value: book => book.id },
+    { label: '书名', value: book => book.book, maxWidth: CLI_TEXT_COLUMNS },
+    { label: '作者', value: book => joinList(book.author), maxWidth: 20 },
+    { label: '发布日期', value: book => book.subDate },
+    { label: '标签', value: book => joinList(book.tags), maxWidth: 20 }
+];
+
+// 把命令参数拆成位置参数和选项，选项写成 --name 值 或 --name=值
+function parseCommandArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            positional.push(args[i]);
+            continue;
+        }
+        const eq = args[i].indexOf('=');
+        const name = eq === -1 ? args[i].slice(2) : args[i].slice(2, eq);
+        if (CLI_BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+            continue;
+        }
+        const value = eq === -1 ? args[++i] : args[i].slice(eq + 1);
+        if (value === undefined) {
+            throw new Error(`--${name} 缺少参数值`);
+        }
+        flags[name] = value;
+    }
+    return { positional, flags };
+}
+
+function printCliError(message, errors) {
+    console.error(message);
+    (errors || []).forEach(error => console.error(`  - ${error}`));
+}
+
+function printCliResult(flags, data, printText) {
+    if (flags.json) {
+        console.log(JSON.stringify(data, null, 4));
+    } else {
+        printText();
+    }
+}
+
+function cliAudit(ctx, action, bookId, before, after) {
+    appendAudit(ctx, {
+        ip: null,
+        user: null,
+        action,
+        bookId,
+        title: (after && after.book) || (before && before.book) || getBookTitle(ctx, bookId),
+        before: before || null,
+        after: after || null,
+        detail: { via: 'cli' }
+    });
+}
+
+// 读取本地 TXT 文件，和上传一样识别编码，返回 { text, detected }
+function readLocalTextFile(file) {
+    const data = fs.readFileSync(file);
+    const decoded = decodeText(data);
+    if (!decoded || !looksLikeText(decoded.text)) {
+        throw new Error(`无法识别文件编码，或文件不是文本文件: ${file}`);
+    }
+    return {
+        text: decoded.text,
+        detected: { encoding: decoded.encoding, bom: decoded.bom, bytes: data.length, characters: decoded.text.length }
+    };
+}
+
+// 命令行中给出的书籍字段
+function pickBookFields(flags) {
+    const data = {};
+    BOOK_FIELD_NAMES.forEach(name => {
+        if (flags[name] !== undefined) {
+            data[name] = flags[name];
+        }
+    });
+    return data;
+}
+
+function listBooksCommand(ctx, query, flags, done) {
+    const errors = validateBookQuery(query);
+    if (errors.length > 0) {
+        printCliError('查询参数不正确', errors);
+        done(1);
+        return;
+    }
+    const { items, total } = queryBooks(readBooks(ctx), query);
+    printCliResult(flags, items, () => {
+        if (total === 0) {
+            console.log('没有找到书籍');
+            return;
+        }
+        printTable(BOOK_TABLE_COLUMNS, items);
+        console.log(`共 ${total} 本`);
+    });
+    done(0);
+}
+
+// 找到命令中指定的书，找不到时输出错误并返回 -1
+function findCliBook(books, id) {
+    const index = id ? findBookIndex(books, id) : -1;
+    if (index === -1) {
+        printCliError(id ? `书籍不存在: ${id}` : '请指定书籍 id');
+    }
+    return index;
+}
+
+// 命令表：usage 为帮助中显示的用法，flags 为允许的选项（--json 总是允许）
+const ADMIN_COMMANDS = {
+    list: {
+        usage: 'list [--q 关键字] [--author 作者] [--tag 标签] [--category 分类] [--language 语言] [--sort 字段] [--order asc|desc]',
+        description: '列出书籍，可按条件筛选和排序',
+        flags: ['q', ...CLI_QUERY_FLAGS],
+        run(ctx, positional, flags, done) {
+            listBooksCommand(ctx, flags, flags, done);
+        }
+    },
+    search: {
+        usage: 'search <关键字> [与 list 相同的筛选选项]',
+        description: '按书名、作者、简介、标签、丛书、ISBN 查找书籍',
+        flags: CLI_QUERY_FLAGS,
+        run(ctx, positional, flags, done) {
+            if (positional.length === 0) {
+                printCliError('请指定关键字');
+                done(1);
+                return;
+            }
+            listBooksCommand(ctx, { ...flags, q: positional.join(' ') }, flags, done);
+        }
+    },
+    show: {
+        usage: 'show <id>',
+        description: '查看一本书的全部信息',
+        flags: [],
+        run(ctx, positional, flags, done) {
+            const books = readBooks(ctx);
+            const index = findCliBook(books, positional[0]);
+            if (index === -1) {
+                done(1);
+                return;
+            }
+            const book = books[index];
+            const size = getContentSize(ctx, book.id);
+            printCliResult(flags, { ...book, contentBytes: size }, () => {
+                console.log(`id: ${book.id}`);
+                BOOK_SCHEMA.forEach(field => {
+                    if (!isEmptyValue(book[field.name])) {
+                        console.log(`${field.label}: ${Array.isArray(book[field.name]) ? joinList(book[field.name]) : book[field.name]}`);
+                    }
+                });
+                console.log(`内容: ${size} 字节${book.cover ? '，有封面' : ''}`);
+            });
+            done(0);
+        }
+    },
+    add: {
+        usage: 'add --book 书名 --author 作者 --summary 简介 --subDate YYYY-MM-DD [--<字段> 值 ...] [--content 文件]',
+        description: '添加书籍，可以同时用本地 TXT 文件作为内容',
+        flags: [...BOOK_FIELD_NAMES, 'content'],
+        run(ctx, positional, flags, done) {
+            const data = pickBookFields(flags);
+            const errors = validateBookData(data);
+            if (errors.length > 0) {
+                printCliError('书籍信息校验失败', errors);
+                done(1);
+                return;
+            }
+            const upload = flags.content ? readLocalTextFile(flags.content) : null;
+
+            const newBook = { id: generateBookId(), ...normalizeBookData(data) };
+            // 和接口一样先写内容再写记录，失败时不留下没有内容的书
+            createBookWithContent(ctx, newBook, upload ? upload.text : `This is book ${newBook.book}`, (err) => {
+                if (err) {
+                    printCliError(`保存失败: ${err.message}`);
+                    done(1);
+                    return;
+                }
+                cliAudit(ctx, 'create', newBook.id, null, newBook);
+                printCliResult(flags, newBook, () => console.log(`已添加《${newBook.book}》，id: ${newBook.id}`));
+                done(0);
+            });
+        }
+    },
+    edit: {
+        usage: 'edit <id> --<字段> 值 ...',
+        description: '修改书籍信息，只改给出的字段，值为空字符串时清除该字段',
+        flags: BOOK_FIELD_NAMES,
+        run(ctx, positional, flags, done) {
+            const books = readBooks(ctx);
+            const index = findCliBook(books, positional[0]);
+            if (index === -1) {
+                done(1);
+                return;
+            }
+            const changes = pickBookFields(flags);
+            if (Object.keys(changes).length === 0) {
+                printCliError(`请指定要修改的字段，可用字段: ${BOOK_FIELD_NAMES.join(', ')}`);
+                done(1);
+                return;
+            }
+            const oldBook = books[index];
+            const data = { ...oldBook, ...changes };
+            const errors = validateBookData(data);
+            if (errors.length > 0) {
+                printCliError('书籍信息校验失败', errors);
+                done(1);
+                return;
+            }
+            const updatedBook = withServerFields({ id: oldBook.id, ...normalizeBookData(data) }, oldBook);
+            books[index] = updatedBook;
+            if (!writeBooks(ctx, books)) {
+                printCliError('保存失败');
+                done(1);
+                return;
+            }
+            recordMetaRevision(ctx, oldBook, updatedBook);
+            cliAudit(ctx, 'update', updatedBook.id, oldBook, updatedBook);
+            printCliResult(flags, updatedBook, () => console.log(`已更新《${updatedBook.book}》`));
+            done(0);
+        }
+    },
+    delete: {
+        usage: 'delete <id>',
+        description: '删除书籍（移入回收站）',
+        flags: [],
+        run(ctx, positional, flags, done) {
+            const books = readBooks(ctx);
+            const index = findCliBook(books, positional[0]);
+            if (index === -1) {
+                done(1);
+                return;
+            }
+            const deletedBook = moveToTrash(ctx, books, index, null);
+            if (!deletedBook) {
+                printCliError('删除失败');
+                done(1);
+                return;
+            }
+            cliAudit(ctx, 'delete', deletedBook.id, deletedBook, null);
+            printCliResult(flags, deletedBook, () => console.log(`已把《${deletedBook.book}》移入回收站，${ctx.trashRetentionDays} 天内可以恢复`));
+            done(0);
+        }
+    },
+    attach: {
+        usage: 'attach <id> <文件>',
+        description: '用本地 TXT 文件替换书籍内容（自动识别 GBK/GB18030/UTF-16）',
+        flags: [],
+        run(ctx, positional, flags, done) {
+            const books = readBooks(ctx);
+            const index = findCliBook(books, positional[0]);
+            if (index === -1) {
+                done(1);
+                return;
+            }
+            if (!positional[1]) {
+                printCliError('请指定内容文件');
+                done(1);
+                return;
+            }
+            const id = books[index].id;
+            const upload = readLocalTextFile(positional[1]);
+            const oldSize = getContentSize(ctx, id);
+            writeBookContent(ctx, id, upload.text, (err) => {
+                if (err) {
+                    printCliError(`写入失败: ${err.message}`);
+                    done(1);
+                    return;
+                }
+                cliAudit(ctx, 'content', id, { size: oldSize }, { size: getContentSize(ctx, id) });
+                printCliResult(flags, { id, detected: upload.detected }, () => {
+                    console.log(`已写入《${books[index].book}》的内容：${upload.detected.characters} 字，原文件编码 ${upload.detected.encoding}`);
+                });
+                done(0);
+            });
+        }
+    },
+    import: {
+        usage: 'import <文件> [--format csv|json] [--dry-run]',
+        description: '导入书目，id 已存在的行更新，其余新建；--dry-run 只预检不写入',
+        flags: ['format', 'dry-run'],
+        run(ctx, positional, flags, done) {
+            if (!positional[0]) {
+                printCliError('请指定要导入的文件');
+                done(1);
+                return;
+            }
+            const format = flags.format || (/\.json$/i.test(positional[0]) ? 'json' : 'csv');
+            let records;
+            try {
+                records = parseCatalogFile(fs.readFileSync(positional[0]), format);
+            } catch (error) {
+                printCliError(`文件解析失败: ${error.message}`);
+                done(1);
+                return;
+            }
+
+            const oldBooks = readBooks(ctx);
+            const { books, report } = mergeCatalog(oldBooks, records);
+            const summary = summarizeCatalogReport(report);
+            const dryRun = flags['dry-run'] || summary.created + summary.updated === 0;
+            if (!dryRun) {
+                if (!saveMergedCatalog(ctx, oldBooks, books, report)) {
+                    printCliError('保存失败');
+                    done(1);
+                    return;
+                }
+                report.filter(item => item.action !== 'skip').forEach(item => {
+                    const book = books[findBookIndex(books, item.id)];
+                    const oldBook = item.action === 'update' ? oldBooks[findBookIndex(oldBooks, item.id)] : null;
+                    cliAudit(ctx, item.action, item.id, oldBook, book);
+                });
+            }
+
+            const actionNames = { create: '新建', update: '更新', skip: '跳过' };
+            printCliResult(flags, { dryRun, summary, data: report }, () => {
+                printTable([
+                    { label: '行', value: item => item.row },
+                    { label: '操作', value: item => actionNames[item.action] },
+                    { label: '书名', value: item => item.book, maxWidth: CLI_TEXT_COLUMNS },
+                    { label: '说明', value: item => item.errors.join('；') }
+                ], report);
+                console.log(`共 ${summary.total} 行：新建 ${summary.created}，更新 ${summary.updated}，跳过 ${summary.skipped}` +
+                    (dryRun ? '（未写入）' : ''));
+            });
+            done(0);
+        }
+    },
+    export: {
+        usage: 'export [--format csv|json] [--output 文件]',
+        description: '导出书目，不指定 --output 时输出到标准输出',
+        flags: ['format', 'output'],
+        run(ctx, positional, flags, done) {
+            const format = flags.format || 'csv';
+            if (!['csv', 'json'].includes(format)) {
+                printCliError('导出格式只支持 csv 或 json');
+                done(1);
+                return;
+            }
+            const books = readBooks(ctx);
+            const data = format === 'csv' ? buildCsv(books) : JSON.stringify(books, null, 4);
+            if (flags.output) {
+                writeFileAtomicSync(flags.output, data);
+                console.error(`已导出 ${books.length} 本书到 ${flags.output}`);
+            } else {
+                process.stdout.write(data.endsWith('\n') ? data : data + '\n');
+            }
+            done(0);
+        }
+    },
+    stats: {
+        usage: 'stats',
+        description: '藏书统计',
+        flags: [],
+        run(ctx, positional, flags, done) {
+            computeLibraryStats(ctx, (err, stats) => {
+                if (err) {
+                    printCliError(`统计失败: ${err.message}`);
+                    done(1);
+                    return;
+                }
+                printCliResult(flags, stats, () => {
+                    console.log(`藏书 ${stats.totalBooks} 本，共 ${stats.totalCharacters} 字（汉字 ${stats.totalHanCharacters}），内容文件 ${stats.totalBytes} 字节`);
+                    const sizeColumns = [
+                        { label: '书名', value: item => item.book, maxWidth: CLI_TEXT_COLUMNS },
+                        { label: '字数', value: item => item.characters },
+                        { label: '最后修改', value: item => item.changedAt }
+                    ];
+                    [
+                        ['按作者', [{ label: '作者', value: item => item.author, maxWidth: 20 }, { label: '数量', value: item => item.count }], stats.byAuthor],
+                        ['按年份', [{ label: '年份', value: item => item.year }, { label: '数量', value: item => item.count }], stats.byYear],
+                        ['字数最多', sizeColumns, stats.largest],
+                        ['最近修改', sizeColumns, stats.recentlyChanged]
+                    ].forEach(([title, columns, rows]) => {
+                        if (rows.length > 0) {
+                            console.log(`\n${title}`);
+                            printTable(columns, rows);
+                        }
+                    });
+                });
+                done(0);
+            });
+        }
+    },
+    help: {
+        usage: 'help',
+        description: '显示这份说明',
+        flags: [],
+        run(ctx, positional, flags, done) {
+            console.log('用法: node main.js [命令] [参数] [--json] [--data-dir 目录] [--books-dir 目录]');
+            console.log('不带命令时启动服务\n');
+            Object.values(ADMIN_COMMANDS).forEach(command => {
+                console.log(`  ${command.usage}`);
+                console.log(`      ${command.description}`);
+            });
+            console.log('  check [--repair] [--json]');
+            console.log('      书库完整性检查（--repair 自动修复，修复前请先停止服务）');
+            done(0);
+        }
+    }
+};
+
+// 执行一个管理命令，callback(exitCode)
+function runAdminCommand(ctx, name, args, callback) {
+    const command = ADMIN_COMMANDS[name];
+    let parsed;
+    try {
+        parsed = parseCommandArgs(args);
+    } catch (error) {
+        printCliError(error.message);
+        callback(1);
+        return;
+    }
+    const unknown = Object.keys(parsed.flags).filter(flag => flag !== 'json' && !command.flags.includes(flag));
+    if (unknown.length > 0) {
+        printCliError(`不支持的选项: ${unknown.map(flag => `--${flag}`).join(', ')}`, [`用法: node main.js ${command.usage}`]);
+        callback(1);
+        return;
+    }
+    try {
+        initStorage(ctx, false);
+        command.run(ctx, parsed.positional, parsed.flags, callback);
+    } catch (error) {
+        printCliError(error.message);
+        callback(1);
+    }
+}
+
+// 启动服务
+// 准备数据目录：确认 book.json 可用（损坏且无备份时抛出错误），没有备份时先建立一份
+// migrate 为 false 时只读检查，没有 id 的书留给 check --repair 处理
+function initStorage(ctx, migrate) {
+    // 目录存在检测，若不存在 则创建
+    [ctx.dataDir, ctx.bookDir].forEach(dir => {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    });
+    const startupBooks = readBooks(ctx);
+    if (!fs.existsSync(ctx.bookBackupPath) && fs.existsSync(ctx.bookJsonPath)) {
+        writeFileAtomicSync(ctx.bookBackupPath, JSON.stringify(startupBooks, null, 4));
+    }
+    if (migrate) {
+        migrateBookIds(ctx);
+        migrateListFields(ctx);
+    }
+}
+
+// 启动时打印的接口列表
+const ROUTE_LIST = [
+    '  GET     /api/books?q=&sort=&order=&page=&pageSize= - 搜索/筛选/排序/分页获取书籍',
+    '  POST    /api/books                                 - 添加书籍',
+    '  GET     /api/books/:id                             - 获取单本书籍',
+    '  PUT     /api/books/:id                             - 更新书籍',
+    '  DELETE  /api/books/:id                             - 删除书籍（移入回收站）',
+    '  GET     /api/books/:id/content?mode=sync|async     - 同步/异步读取书籍内容',
+    '  GET     /api/books/:id/content?mode=stream         - 流式读取（支持 Range）',
+    '  GET     /api/books/:id/content?mode=page&offset=&length= - 按字符分页读取',
+    '  POST    /api/books/:id/content                     - 写入书籍内容',
+    '  POST    /api/books/upload                          - 上传 TXT 文件创建书籍',
+    '  POST    /api/books/:id/upload                      - 上传 TXT 文件替换内容',
+    '  GET     /api/books/:id/cover                       - 封面图片（PUT 上传 / DELETE 移除）',
+    '  GET     /api/books/:id/progress                    - 阅读进度（PUT 保存）',
+    '  GET     /api/books/:id/bookmarks                   - 书签（POST 添加，PUT/DELETE /:itemId）',
+    '  GET     /api/books/:id/notes                       - 划线笔记（POST 添加，PUT/DELETE /:itemId）',
+    '  GET     /api/books/export?format=csv|json          - 导出书目',
+    '  POST    /api/books/import?dryRun=1                 - 导入书目 CSV / JSON',
+    '  GET     /api/books/:id/export?format=epub|txt      - 导出 EPUB / TXT',
+    '  POST    /api/books/import/epub                     - 导入 EPUB 创建书籍',
+    '  POST    /api/books/batch                           - 批量修改 / 删除书籍',
+    '  GET     /api/books/:id/chapters                    - 章节目录（POST 添加 / PUT 排序）',
+    '  GET     /api/books/:id/chapters/:n                 - 读取章节（PUT 重命名 / DELETE 删除）',
+    '  GET     /api/books/:id/revisions                   - 历史版本列表',
+    '  GET     /api/books/:id/revisions/diff?from=&to=    - 对比两个版本',
+    '  POST    /api/books/:id/revisions/:rev/restore      - 恢复历史版本',
+    '  GET     /api/admin/integrity                       - 书库完整性检查（POST .../repair 修复，管理员）',
+    '  GET     /opds                                      - OPDS 书目（阅读器 App，支持 Basic 认证）',
+    '  GET     /api/backup                                - 下载整库备份（管理员）',
+    '  POST    /api/restore?mode=replace|merge&dryRun=1   - 从备份恢复（管理员）',
+    '  GET     /api/stats                                 - 藏书统计',
+    '  GET     /api/audit?bookId=&action=&from=&to=       - 操作日志（管理员）',
+    '  GET     /api/events                                - 实时通知（Server-Sent Events）',
+    '  GET     /api/search?q=                             - 全文检索书籍内容',
+    '  GET     /api/schema/book                           - 书籍信息字段定义',
+    '  POST    /api/auth/login | /api/auth/logout         - 登录 / 退出登录',
+    '  GET     /api/auth/me                               - 当前登录用户',
+    '  GET     /api/users（POST 添加，PUT/DELETE /api/users/:id）- 用户管理（管理员）',
+    '  GET     /api/trash（DELETE 清空）                  - 回收站（管理员）',
+    '  POST    /api/trash/:id/restore                     - 从回收站恢复（DELETE /api/trash/:id 彻底删除）'
+];
+
+function printRouteList() {
+    console.log('API接口:');
+    ROUTE_LIST.forEach(line => console.log(line));
+}
+
+// 创建书库服务
+// options: { dataDir, booksDir, publicDir, port, host, maxBodyBytes, printRoutes }，省略的项用默认值（见 createLibraryContext）
+// printRoutes 为 true 时 listen 成功后打印接口列表
+// 返回 { server, handleRequest, listen(callback), close(callback) }
+// port 为 0 时由系统分配端口，listen 的回调会收到 server.address()
+// 每个实例有自己的书库上下文，数据目录不同的实例可以同时运行；不要让两个实例共用一个数据目录
+function createBookServer(options = {}) {
+    const ctx = createLibraryContext(options);
+    initStorage(ctx, true);
+
+    // 创建服务器
+    // 处理过程中同步抛出的错误（例如 book.json 损坏且无法恢复）统一返回 500，不让进程退出
+    const server = http.createServer((req, res) => {
+        try {
+            handleRequest(ctx, req, res);
+        } catch (error) {
+            console.error('处理请求失败:', error);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ success: false, message: '服务器内部错误' }));
+            } else {
+                res.destroy();
+            }
+        }
+    });
+
+    // 没有任何用户时创建管理员账号
+    ensureAdminUser(ctx);
+
+    // 清除回收站中过期的书籍，之后每小时检查一次
+    purgeExpiredTrash(ctx);
+    const timers = [
+        setInterval(() => purgeExpiredTrash(ctx), TRASH_PURGE_INTERVAL_MS).unref(),
+        setInterval(() => sendEventHeartbeat(ctx), EVENT_HEARTBEAT_MS).unref()
+    ];
+    if (ctx.backupIntervalMs > 0) {
+        timers.push(setInterval(() => runScheduledBackup(ctx), ctx.backupIntervalMs).unref());
+    }
+
+    // 建立全文索引
+    buildSearchIndex(ctx);
+
+    const instance = {
+        server,
+        handleRequest: (req, res) => handleRequest(ctx, req, res),
+        listen(callback) {
+            server.listen(ctx.port, ctx.host, () => {
+                const address = server.address();
+                if (callback) {
+                    callback(address);
+                }
+                if (options.printRoutes) {
+                    printRouteList();
+                }
+            });
+            return instance;
+        },
+        // 停止定时任务、断开实时通知连接并关闭服务器
+        close(callback) {
+            timers.forEach(timer => clearInterval(timer));
+            ctx.eventClients.forEach(client => client.res.end());
+            ctx.eventClients.clear();
+            server.close(callback);
+            server.closeAllConnections();
+        }
+    };
+    return instance;
+}
+
+// 直接运行时的配置：命令行参数优先，其次是环境变量
+//   --port / PORT              端口号，0 表示由系统分配
+//   --host / HOST              监听地址，默认所有地址
+//   --data-dir / DATA_DIR      数据目录（book.json、users.json 以及各数据目录）
+//   --books-dir / BOOKS_DIR    书籍内容目录，默认 <数据目录>/书籍
+//   --public-dir / PUBLIC_DIR  静态文件目录，默认 ./public
+//   --max-body-mb / MAX_BODY_MB  JSON 请求体上限（MB），默认 1
+//   --print-routes / PRINT_ROUTES=1  启动后打印接口列表（不带参数值）
+// 参数写成 --port 8080 或 --port=8080 都可以，其余参数原样返回给子命令
+const CLI_OPTIONS = {
+    '--port': { key: 'port', env: 'PORT' },
+    '--host': { key: 'host', env: 'HOST' },
+    '--data-dir': { key: 'dataDir', env: 'DATA_DIR' },
+    '--books-dir': { key: 'booksDir', env: 'BOOKS_DIR' },
+    '--public-dir': { key: 'publicDir', env: 'PUBLIC_DIR' },
+    '--max-body-mb': { key: 'maxBodyMb', env: 'MAX_BODY_MB' },
+    '--print-routes': { key: 'printRoutes', env: 'PRINT_ROUTES', noValue: true }
+};
+
+function parseCliOptions(argv, env) {
+    const values = {};
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        const eq = argv[i].indexOf('=');
+        const flag = eq === -1 ? argv[i] : argv[i].slice(0, eq);
+        if (!CLI_OPTIONS[flag]) {
+            args.push(argv[i]);
+            continue;
+        }
+        if (CLI_OPTIONS[flag].noValue) {
+            if (eq !== -1) {
+                throw new Error(`${flag} 不带参数值`);
+            }
+            values[CLI_OPTIONS[flag].key] = '1';
+            continue;
+        }
+        const value = eq === -1 ? argv[++i] : argv[i].slice(eq + 1);
+        if (value === undefined || value === '') {
+            throw new Error(`${flag} 缺少参数值`);
+        }
+        values[CLI_OPTIONS[flag].key] = value;
+    }
+    Object.values(CLI_OPTIONS).forEach(({ key, env: name }) => {
+        if (values[key] === undefined && env[name]) {
+            values[key] = env[name];
+        }
+    });
+
+    const options = {
+        host: values.host,
+        dataDir: values.dataDir,
+        booksDir: values.booksDir,
+        publicDir: values.publicDir,
+        printRoutes: values.printRoutes === '1'
+    };
+    if (values.port !== undefined) {
+        const port = Number(values.port);
+        if (!/^\d+$/.test(values.port) || port > 65535) {
+            throw new Error(`端口号必须是 0-65535 的整数: ${values.port}`);
+        }
+        options.port = port;
+    }
+    if (values.maxBodyMb !== undefined) {
+        const mb = Number(values.maxBodyMb);
+        if (!(mb > 0)) {
+            throw new Error(`请求体上限必须是正数（MB）: ${values.maxBodyMb}`);
+        }
+        options.maxBodyBytes = Math.round(mb * 1024 * 1024);
+    }
+    return { options, args };
+}
+
+// 命令行入口
+// node main.js [选项]                         启动服务
+// node main.js check [--repair] [--json] [选项] 只做完整性检查，不启动服务
+// node main.js <命令> [参数] [选项]            管理书库（见 ADMIN_COMMANDS，node main.js help 列出全部命令）
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseCliOptions(argv, process.env);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    const command = parsed.args[0];
+
+    let ctx;
+    try {
+        ctx = createLibraryContext(parsed.options);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    if (command === 'check') {
+        try {
+            initStorage(ctx, false);
+        } catch (error) {
+            console.error(error.message);
+            process.exitCode = 1;
+            return;
+        }
+        runIntegrityCommand(ctx, parsed.args.slice(1), (code) => {
+            process.exitCode = code;
+        });
+        return;
+    }
+    if (ADMIN_COMMANDS[command]) {
+        runAdminCommand(ctx, command, parsed.args.slice(1), (code) => {
+            process.exitCode = code;
+        });
+        return;
+    }
+    if (command !== undefined) {
+        console.error(`未知的命令或参数: ${command}，运行 node main.js help 查看可用命令`);
+        process.exitCode = 1;
+        return;
+    }
+
+    let instance;
+    try {
+        instance = createBookServer(parsed.options);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    instance.server.on('error', (error) => {
+        console.error(`服务器启动失败: ${error.message}`);
+        process.exit(1);
+    });
+    instance.listen((address) => {
+        console.log(`服务器运行在 http://${parsed.options.host || 'localhost'}:${address.port}`);
+        console.log(`数据目录: ${ctx.dataDir}`);
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { createBookServer };
@@ -1,5 +1,36 @@
-const API_BASE = 'http://localhost:3000/api';
-let currentBookIndex = null;
+// 页面和接口由同一个服务提供，端口可以通过 --port / PORT 修改，所以用相对路径
+const API_BASE = '/api';
+let currentBookId = null;
+// 当前登录用户，未登录时为 null
+let currentUser = null;
+// 书籍信息字段定义，登录后从 /api/schema/book 获取，表单和列表都按它生成
+let bookSchema = [];
+// 最近一次读到的版本标识（ETag），提交修改时通过 If-Match 带回，被别人改过时服务器返回 412
+let editETag = null;
+let contentETag = null;
+// 当前书籍的章节目录
+let currentChapters = [];
+// 分段阅读状态：已加载的字符区间 [start, end)
+const PAGE_LENGTH = 20000;
+let pagedView = null;
+// 本页面的标识，写操作时通过 X-Client-Id 发给服务器，用来从实时通知中认出自己做的修改
+const CLIENT_ID = Math.random().toString(36).slice(2) + Date.now().toString(36);
+let eventSource = null;
+let reloadBooksTimer = null;
+// 列表中当前显示的书籍和勾选的书籍 id，只在本页内选择
+let displayedBooks = [];
+const selectedBookIds = new Set();
+// 列表查询状态
+const listQuery = {
+    q: '',
+    author: '',
+    dateFrom: '',
+    dateTo: '',
+    sort: '',
+    order: '',
+    page: 1,
+    pageSize: 10
+};
 
 // 显示消息
 function showMessage(text, type = 'success') {
@@ -12,16 +43,287 @@ function showMessage(text, type = 'success') {
     }, 3000);
 }
 
-// 加载所有书籍
+// 所有接口请求都带上登录 Cookie；登录过期（401）时回到登录界面
+// 写操作额外带上页面标识（GET 不带，避免跨域时每次读取都要预检）
+async function apiFetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = method === 'GET' ? options.headers : { ...options.headers, 'X-Client-Id': CLIENT_ID };
+    const response = await fetch(url, { credentials: 'include', ...options, headers });
+    if (response.status === 401 && currentUser) {
+        showLogin('登录已过期，请重新登录');
+    }
+    return response;
+}
+
+// 检查登录状态，已登录则进入书籍列表
+async function checkLogin() {
+    try {
+        const response = await fetch(`${API_BASE}/auth/me`, { credentials: 'include' });
+        const result = await response.json();
+        if (result.success) {
+            applyUser(result.data);
+            return;
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+    showLogin();
+}
+
+// 显示登录界面，关闭所有模态框
+function showLogin(text) {
+    currentUser = null;
+    reader = null;
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+    document.body.className = 'logged-out';
+    document.querySelectorAll('.modal.active, .reader.active').forEach(modal => modal.classList.remove('active'));
+    if (text) {
+        showMessage(text, 'error');
+    }
+}
+
+// 按角色切换界面：body 上的 role-xxx 类会隐藏当前角色无权使用的按钮（见 styles.css）
+function applyUser(user) {
+    currentUser = user;
+    const roleText = { reader: '读者', editor: '编辑', admin: '管理员' };
+    document.body.className = `role-${user.role}`;
+    document.getElementById('currentUser').textContent = `${user.username}（${roleText[user.role]}）`;
+    loadSchema().then(loadBooks);
+    loadStats();
+    subscribeEvents();
+}
+
+// 订阅实时通知：书籍有增删改时刷新列表，正在编辑或查看的书被别人改动时提醒
+function subscribeEvents() {
+    if (eventSource) {
+        eventSource.close();
+    }
+    let connected = false;
+    eventSource = new EventSource(`${API_BASE}/events`, { withCredentials: true });
+    // 断线重连期间可能错过通知，重新连上后刷新一次列表
+    eventSource.addEventListener('open', () => {
+        if (connected) {
+            scheduleReloadBooks();
+        }
+        connected = true;
+    });
+    ['book-created', 'book-updated', 'book-deleted', 'content-updated'].forEach(type => {
+        eventSource.addEventListener(type, (e) => handleBookEvent(type, JSON.parse(e.data)));
+    });
+}
+
+// 短时间内的多条通知（例如批量导入）只刷新一次列表
+function scheduleReloadBooks() {
+    clearTimeout(reloadBooksTimer);
+    reloadBooksTimer = setTimeout(() => {
+        if (currentUser) {
+            loadBooks();
+            loadStats();
+        }
+    }, 300);
+}
+
+function handleBookEvent(type, event) {
+    if (type !== 'content-updated') {
+        scheduleReloadBooks();
+    }
+    if (event.source === CLIENT_ID) return;
+    
+    const who = event.by || '其他人';
+    const editing = document.getElementById('editModal').classList.contains('active') &&
+        document.getElementById('editId').value === event.id;
+    if (editing && type === 'book-deleted') {
+        showModalAlert('editAlert', `这本书已被 ${who} 删除，修改将无法保存`);
+    } else if (editing && type === 'book-updated' && event.etag !== editETag) {
+        showModalAlert('editAlert', `这本书刚被 ${who} 修改过，直接保存会提示冲突`, '载入最新信息', () => editBook(event.id));
+    }
+    
+    if (currentBookId === event.id && type === 'book-deleted') {
+        showModalAlert('contentAlert', `这本书已被 ${who} 删除`);
+    } else if (currentBookId === event.id && type === 'content-updated' && event.etag !== contentETag) {
+        showModalAlert('contentAlert', `内容刚被 ${who} 修改过，当前显示的可能不是最新内容`, '重新载入', loadChapters);
+    }
+    
+    if (reader && reader.bookId === event.id && type === 'book-deleted') {
+        showReaderStatus(`这本书已被 ${who} 删除`);
+    } else if (reader && reader.bookId === event.id && type === 'content-updated') {
+        showReaderStatus(`内容刚被 ${who} 修改过，重新打开可以看到最新内容`);
+    }
+}
+
+// 模态框顶部的提醒条，action 为可选的处理按钮
+function showModalAlert(id, text, actionText, action) {
+    const alertBar = document.getElementById(id);
+    alertBar.textContent = text;
+    if (actionText) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-info btn-sm';
+        button.textContent = actionText;
+        button.onclick = () => {
+            hideModalAlert(id);
+            action();
+        };
+        alertBar.append(' ', button);
+    }
+    alertBar.classList.add('active');
+}
+
+function hideModalAlert(id) {
+    const alertBar = document.getElementById(id);
+    alertBar.classList.remove('active');
+    alertBar.textContent = '';
+}
+
+// 获取字段定义并生成添加/编辑表单
+async function loadSchema() {
+    try {
+        const response = await apiFetch(`${API_BASE}/schema/book`);
+        const result = await response.json();
+        if (result.success) {
+            bookSchema = result.data;
+            renderBookFields('addBookFields', 'add');
+            renderBookFields('editBookFields', 'edit');
+        }
+    } catch (error) {
+        showMessage('加载字段定义失败: ' + error.message, 'error');
+    }
+}
+
+// 按字段定义生成表单项，输入框 id 为 `${prefix}-${字段名}`
+// 必填、长度、范围等规则同时写进 HTML 属性，浏览器提交前先检查一遍
+function renderBookFields(containerId, prefix) {
+    document.getElementById(containerId).innerHTML = bookSchema.map(field => {
+        const id = `${prefix}-${field.name}`;
+        const attrs = [
+            `id="${id}"`,
+            `name="${field.name}"`,
+            field.required ? 'required' : '',
+            field.placeholder ? `placeholder="${escapeHtml(field.placeholder)}"` : '',
+            field.maxLength && field.type !== 'list' ? `maxlength="${field.maxLength}"` : ''
+        ].filter(Boolean).join(' ');
+        let input;
+        if (field.type === 'text') {
+            input = `<textarea ${attrs}></textarea>`;
+        } else if (field.type === 'enum') {
+            input = `<select ${attrs}>
+                <option value="">${field.required ? '请选择' : '（不填）'}</option>
+                ${field.options.map(option => `<option value="${option.value}">${escapeHtml(option.label)}</option>`).join('')}
+            </select>`;
+        } else if (field.type === 'integer') {
+            input = `<input type="number" step="1" min="${field.min}" max="${field.max}" ${attrs}>`;
+        } else if (field.type === 'date') {
+            input = `<input type="date" ${attrs}>`;
+        } else {
+            input = `<input type="text" ${attrs}>`;
+        }
+        return `
+            <div class="form-group">
+                <label for="${id}">${escapeHtml(field.label)}${field.required ? '' : '（选填）'}：</label>
+                ${input}
+            </div>
+        `;
+    }).join('');
+}
+
+// 读取表单，列表、数字等由服务端按字段定义转换
+function readBookForm(prefix) {
+    const data = {};
+    bookSchema.forEach(field => {
+        data[field.name] = document.getElementById(`${prefix}-${field.name}`).value;
+    });
+    return data;
+}
+
+// 回填表单
+function fillBookForm(prefix, book) {
+    bookSchema.forEach(field => {
+        const value = book[field.name];
+        document.getElementById(`${prefix}-${field.name}`).value =
+            value === undefined || value === null ? '' : (Array.isArray(value) ? value.join(', ') : value);
+    });
+}
+
+// 列表字段（如作者）显示成一行
+function formatList(value) {
+    return [].concat(value || []).join('、');
+}
+
+// 按字段类型显示字段值
+function formatFieldValue(field, value) {
+    if (field.type === 'list') {
+        return formatList(value);
+    }
+    if (field.type === 'enum') {
+        const option = field.options.find(item => item.value === value);
+        return option ? option.label : value;
+    }
+    return String(value);
+}
+
+// 登录
+document.getElementById('loginForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    try {
+        const response = await fetch(`${API_BASE}/auth/login`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value.trim(),
+                password: document.getElementById('loginPassword').value
+            })
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            document.getElementById('loginForm').reset();
+            applyUser(result.data);
+        } else {
+            showMessage('登录失败: ' + result.message, 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+});
+
+// 退出登录
+async function logout() {
+    try {
+        await apiFetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        // 网络错误时也回到登录界面
+    }
+    showLogin();
+}
+
+// 加载书籍列表（按当前的搜索、排序和分页条件）
 async function loadBooks() {
+    const params = new URLSearchParams();
+    Object.keys(listQuery).forEach(key => {
+        if (listQuery[key] !== '') {
+            params.set(key, listQuery[key]);
+        }
+    });
+
     try {
-        const response = await fetch(`${API_BASE}/books`);
+        const response = await apiFetch(`${API_BASE}/books?${params}`);
         const result = await response.json();
         
         if (result.success) {
+            // 删除后当前页可能已经没有数据，退回上一页
+            if (result.data.length === 0 && listQuery.page > 1) {
+                listQuery.page -= 1;
+                loadBooks();
+                return;
+            }
             displayBooks(result.data);
+            displayPager(result.total, result.page, result.pageSize);
         } else {
-            showMessage('加载书籍失败', 'error');
+            showMessage('加载书籍失败: ' + (result.errors ? result.errors.join(', ') : result.message), 'error');
         }
     } catch (error) {
         showMessage('网络错误: ' + error.message, 'error');
@@ -31,6 +333,14 @@ async function loadBooks() {
 // 显示书籍列表
 function displayBooks(books) {
     const booksList = document.getElementById('booksList');
+    displayedBooks = books;
+    // 翻页、搜索或书籍被删除后，不在本页的书不再保持勾选
+    Array.from(selectedBookIds).forEach(id => {
+        if (!books.some(book => book.id === id)) {
+            selectedBookIds.delete(id);
+        }
+    });
+    updateBulkBar();
     
     if (books.length === 0) {
         booksList.innerHTML = `
@@ -38,40 +348,239 @@ function displayBooks(books) {
                 <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253"></path>
                 </svg>
-                <p>暂无书籍，快去添加一本吧！</p>
+                <p>${listQuery.q || listQuery.author || listQuery.dateFrom || listQuery.dateTo ? '没有找到符合条件的书籍' : '暂无书籍，快去添加一本吧！'}</p>
             </div>
         `;
         return;
     }
     
-    booksList.innerHTML = books.map((book, index) => `
-        <div class="book-card">
-            <h3>📕 ${book.book}</h3>
-            <div class="book-info"><strong>作者：</strong>${book.author}</div>
-            <div class="book-info"><strong>简介：</strong>${book.summary}</div>
-            <div class="book-info"><strong>发布日期：</strong>${book.subDate}</div>
+    booksList.innerHTML = books.map(book => `
+        <div class="book-card ${selectedBookIds.has(book.id) ? 'selected' : ''}" data-id="${book.id}">
+            <label class="book-select requires-editor">
+                <input type="checkbox" ${selectedBookIds.has(book.id) ? 'checked' : ''} onchange="toggleBookSelection('${book.id}', this.checked)"> 选择
+            </label>
+            ${book.cover
+                ? `<img class="book-cover" src="${coverUrl(book)}" alt="封面" loading="lazy">`
+                : '<div class="book-cover book-cover-empty">📕</div>'}
+            <h3>${escapeHtml(book.book)}</h3>
+            ${bookSchema.filter(field => field.name !== 'book' && book[field.name] !== undefined).map(field => `
+                <div class="book-info"><strong>${escapeHtml(field.label)}：</strong>${escapeHtml(formatFieldValue(field, book[field.name]))}</div>
+            `).join('')}
             <div class="book-actions">
-                <button class="btn btn-info btn-sm" onclick="viewContent(${index})">查看内容</button>
-                <button class="btn btn-warning btn-sm" onclick="editBook(${index})">编辑</button>
-                <button class="btn btn-danger btn-sm" onclick="deleteBook(${index})">删除</button>
+                <button class="btn btn-primary btn-sm" onclick="openReader('${book.id}')">阅读</button>
+                <button class="btn btn-info btn-sm" onclick="viewContent('${book.id}')">查看内容</button>
+                <button class="btn btn-warning btn-sm requires-editor" onclick="editBook('${book.id}')">编辑</button>
+                <a class="btn btn-info btn-sm" href="${API_BASE}/books/${book.id}/export?format=epub">导出 EPUB</a>
+                <a class="btn btn-info btn-sm" href="${API_BASE}/books/${book.id}/export?format=txt">导出 TXT</a>
+                <button class="btn btn-info btn-sm requires-admin" onclick="openAuditModal('${book.id}')">操作记录</button>
+                <button class="btn btn-danger btn-sm requires-admin" onclick="deleteBook('${book.id}')">删除</button>
             </div>
         </div>
     `).join('');
 }
 
+// 勾选 / 取消勾选一本书
+function toggleBookSelection(id, checked) {
+    if (checked) {
+        selectedBookIds.add(id);
+    } else {
+        selectedBookIds.delete(id);
+    }
+    const card = document.querySelector(`.book-card[data-id="${id}"]`);
+    if (card) {
+        card.classList.toggle('selected', checked);
+    }
+    updateBulkBar();
+}
+
+// 全选 / 取消全选本页
+function toggleSelectAll(checked) {
+    displayedBooks.forEach(book => toggleBookSelection(book.id, checked));
+    document.querySelectorAll('.book-select input').forEach(input => {
+        input.checked = checked;
+    });
+}
+
+function clearSelection() {
+    toggleSelectAll(false);
+}
+
+// 更新操作栏：已选数量、全选框状态，没有勾选时禁用操作按钮
+function updateBulkBar() {
+    const count = selectedBookIds.size;
+    const selectAll = document.getElementById('selectAllBooks');
+    selectAll.checked = count > 0 && count === displayedBooks.length;
+    selectAll.indeterminate = count > 0 && count < displayedBooks.length;
+    document.getElementById('bulkCount').textContent = count > 0 ? `已选 ${count} 本` : '未选择书籍';
+    document.querySelectorAll('.bulk-action').forEach(button => {
+        button.disabled = count === 0;
+    });
+}
+
+// 提交批量操作，整批校验通过才会执行
+async function runBatch(operations) {
+    try {
+        const response = await apiFetch(`${API_BASE}/books/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ operations })
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            showMessage(result.message, 'success');
+            selectedBookIds.clear();
+            document.getElementById('bulkValue').value = '';
+            loadBooks();
+        } else {
+            showMessage(result.message + (result.errors ? '：' + result.errors.join('；') : ''), 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+// 把所选书籍的作者或标签设为输入框中的值
+function bulkSetField(field) {
+    const value = document.getElementById('bulkValue').value.trim();
+    const count = selectedBookIds.size;
+    if (field === 'author' && !value) {
+        showMessage('请先输入作者', 'error');
+        return;
+    }
+    if (field === 'tags' && !value && !confirm(`没有输入标签，确定要清空选中的 ${count} 本书的标签吗？`)) return;
+    
+    runBatch(Array.from(selectedBookIds, id => field === 'author'
+        ? { id, action: 'setAuthor', author: value }
+        : { id, action: 'setTags', tags: value }));
+}
+
+function bulkDelete() {
+    const count = selectedBookIds.size;
+    if (!confirm(`确定要删除选中的 ${count} 本书吗？删除后可以在回收站中恢复。`)) return;
+    
+    runBatch(Array.from(selectedBookIds, id => ({ id, action: 'delete' })));
+}
+
+// 显示分页
+function displayPager(total, page, pageSize) {
+    const pager = document.getElementById('pager');
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+    if (total === 0) {
+        pager.innerHTML = '';
+        return;
+    }
+
+    pager.innerHTML = `
+        <button class="btn btn-info btn-sm" onclick="goToPage(${page - 1})" ${page <= 1 ? 'disabled' : ''}>上一页</button>
+        <span>第 ${page} / ${totalPages} 页，共 ${total} 本</span>
+        <button class="btn btn-info btn-sm" onclick="goToPage(${page + 1})" ${page >= totalPages ? 'disabled' : ''}>下一页</button>
+    `;
+}
+
+// 翻页
+function goToPage(page) {
+    listQuery.page = page;
+    loadBooks();
+}
+
+// 搜索与排序
+document.getElementById('searchForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    
+    const [sort, order] = document.getElementById('sortSelect').value.split(':');
+    listQuery.q = document.getElementById('searchKeyword').value.trim();
+    listQuery.author = document.getElementById('searchAuthor').value.trim();
+    listQuery.dateFrom = document.getElementById('searchDateFrom').value;
+    listQuery.dateTo = document.getElementById('searchDateTo').value;
+    listQuery.sort = sort || '';
+    listQuery.order = order || '';
+    listQuery.page = 1;
+    loadBooks();
+});
+
+// 切换排序时直接刷新
+document.getElementById('sortSelect').addEventListener('change', () => {
+    document.getElementById('searchForm').requestSubmit();
+});
+
+// 转义 HTML，避免正文片段被当作标签解析
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 全文检索
+document.getElementById('fullTextSearchForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const q = document.getElementById('fullTextKeyword').value.trim();
+    const container = document.getElementById('searchResults');
+    if (!q) {
+        container.innerHTML = '';
+        return;
+    }
+    container.innerHTML = '<div class="loading"></div> 检索中...';
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/search?q=${encodeURIComponent(q)}`);
+        const result = await response.json();
+        
+        if (result.success) {
+            displaySearchResults(result.data, result.total, result.indexing);
+        } else {
+            container.textContent = '检索失败: ' + result.message;
+        }
+    } catch (error) {
+        container.textContent = '网络错误: ' + error.message;
+    }
+});
+
+// 显示检索结果，点击命中片段跳转到正文对应位置
+function displaySearchResults(results, total, indexing) {
+    const container = document.getElementById('searchResults');
+    const tip = indexing ? '<p class="book-info">索引仍在建立中，结果可能不完整</p>' : '';
+    
+    if (results.length === 0) {
+        container.innerHTML = tip + '<p class="book-info">正文中没有找到匹配的内容</p>';
+        return;
+    }
+    
+    container.innerHTML = tip + `<p class="book-info">共 ${total} 本书命中</p>` + results.map(item => `
+        <div class="search-result">
+            <h3>📕 ${escapeHtml(item.book)} <small>（${escapeHtml(formatList(item.author))}，${item.matches} 处）</small></h3>
+            ${item.hits.map(hit => {
+                const { start, length } = hit.highlight;
+                return `
+                    <div class="search-hit" onclick="openContentAt('${item.id}', ${hit.position}, ${hit.length})">
+                        ${escapeHtml(hit.snippet.slice(0, start))}<mark>${escapeHtml(hit.snippet.slice(start, start + length))}</mark>${escapeHtml(hit.snippet.slice(start + length))}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+}
+
+// 打开内容模态框并定位到指定位置
+// 只加载命中位置附近的一段，前后文随滚动继续加载
+async function openContentAt(id, position, length) {
+    viewContent(id);
+    await startPagedReading(Math.max(0, position - PAGE_LENGTH / 2), { position, length });
+}
+
 // 添加书籍
 document.getElementById('addBookForm').addEventListener('submit', async (e) => {
     e.preventDefault();
     
-    const formData = {
-        book: document.getElementById('book').value,
-        author: document.getElementById('author').value,
-        summary: document.getElementById('summary').value,
-        subDate: document.getElementById('subDate').value
-    };
+    const formData = readBookForm('add');
     
     try {
-        const response = await fetch(`${API_BASE}/books`, {
+        const response = await apiFetch(`${API_BASE}/books`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(formData)
@@ -92,18 +601,21 @@ document.getElementById('addBookForm').addEventListener('submit', async (e) => {
 });
 
 // 编辑书籍
-function editBook(index) {
-    fetch(`${API_BASE}/books`)
-        .then(res => res.json())
-        .then(result => {
-            if (result.success && result.data[index]) {
-                const book = result.data[index];
-                document.getElementById('editIndex').value = index;
-                document.getElementById('editBook').value = book.book;
-                document.getElementById('editAuthor').value = book.author;
-                document.getElementById('editSummary').value = book.summary;
-                document.getElementById('editSubDate').value = book.subDate;
+function editBook(id) {
+    apiFetch(`${API_BASE}/books/${id}`)
+        .then(res => res.json().then(result => ({ res, result })))
+        .then(({ res, result }) => {
+            if (result.success) {
+                const book = result.data;
+                editETag = res.headers.get('ETag');
+                hideModalAlert('editAlert');
+                document.getElementById('editId').value = book.id;
+                fillBookForm('edit', book);
+                displayEditCover(book);
                 document.getElementById('editModal').classList.add('active');
+            } else {
+                showMessage('书籍不存在，可能已被删除', 'error');
+                loadBooks();
             }
         });
 }
@@ -112,18 +624,17 @@ function editBook(index) {
 document.getElementById('editBookForm').addEventListener('submit', async (e) => {
     e.preventDefault();
     
-    const index = document.getElementById('editIndex').value;
-    const formData = {
-        book: document.getElementById('editBook').value,
-        author: document.getElementById('editAuthor').value,
-        summary: document.getElementById('editSummary').value,
-        subDate: document.getElementById('editSubDate').value
-    };
+    const id = document.getElementById('editId').value;
+    const formData = readBookForm('edit');
     
     try {
-        const response = await fetch(`${API_BASE}/books/${index}`, {
+        const headers = { 'Content-Type': 'application/json' };
+        if (editETag) {
+            headers['If-Match'] = editETag;
+        }
+        const response = await apiFetch(`${API_BASE}/books/${id}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify(formData)
         });
         
@@ -133,6 +644,13 @@ document.getElementById('editBookForm').addEventListener('submit', async (e) =>
             showMessage('书籍更新成功！', 'success');
             closeEditModal();
             loadBooks();
+        } else if (response.status === 412) {
+            // 回填最新数据，用户确认后再次提交即可覆盖
+            showMessage('这本书已被其他人修改，表单已更新为最新内容，请核对后重新提交', 'error');
+            editETag = response.headers.get('ETag');
+            fillBookForm('edit', result.data);
+            displayEditCover(result.data);
+            loadBooks();
         } else {
             showMessage('更新失败: ' + (result.errors ? result.errors.join(', ') : result.message), 'error');
         }
@@ -141,19 +659,69 @@ document.getElementById('editBookForm').addEventListener('submit', async (e) =>
     }
 });
 
+// 封面地址带上版本号，换封面后浏览器会重新下载，没换时直接用缓存
+function coverUrl(book) {
+    return `${API_BASE}/books/${book.id}/cover?v=${book.cover.version}`;
+}
+
+// 编辑模态框中的封面预览
+function displayEditCover(book) {
+    const preview = document.getElementById('editCover');
+    preview.innerHTML = book.cover
+        ? `<img class="book-cover" src="${coverUrl(book)}" alt="封面">`
+        : '<div class="book-cover book-cover-empty">📕</div>';
+    document.getElementById('removeCoverBtn').style.display = book.cover ? '' : 'none';
+}
+
+// 上传或移除封面，book.json 随之变化，需要更新 editETag
+async function updateCover(method, body) {
+    const id = document.getElementById('editId').value;
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/books/${id}/cover`, { method, body });
+        const result = await response.json();
+        
+        if (result.success) {
+            editETag = response.headers.get('ETag');
+            displayEditCover(result.data);
+            showMessage(result.message, 'success');
+            loadBooks();
+        } else {
+            showMessage('操作失败: ' + result.message, 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+document.getElementById('editCoverFile').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    const formData = new FormData();
+    formData.append('file', file);
+    updateCover('PUT', formData);
+});
+
+function removeCover() {
+    if (!confirm('确定要移除封面吗？')) return;
+    updateCover('DELETE');
+}
+
 // 删除书籍
-async function deleteBook(index) {
-    if (!confirm('确定要删除这本书吗？')) return;
+async function deleteBook(id) {
+    if (!confirm('确定要删除这本书吗？删除后可以在回收站中恢复。')) return;
     
     try {
-        const response = await fetch(`${API_BASE}/books/${index}`, {
+        const response = await apiFetch(`${API_BASE}/books/${id}`, {
             method: 'DELETE'
         });
         
         const result = await response.json();
         
         if (result.success) {
-            showMessage('书籍删除成功！', 'success');
+            showMessage('书籍已移入回收站', 'success');
             loadBooks();
         } else {
             showMessage('删除失败: ' + result.message, 'error');
@@ -164,78 +732,1533 @@ async function deleteBook(index) {
 }
 
 // 查看内容
-function viewContent(index) {
-    currentBookIndex = index;
+function viewContent(id) {
+    currentBookId = id;
+    contentETag = null;
+    hideModalAlert('contentAlert');
     document.getElementById('contentDisplay').textContent = '点击上方按钮读取内容...';
     document.getElementById('newContent').value = '';
+    document.getElementById('newChapterTitle').value = '';
+    document.getElementById('newChapterContent').value = '';
+    document.getElementById('chapterNav').innerHTML = '';
+    document.getElementById('historyPanel').innerHTML = '';
     document.getElementById('contentModal').classList.add('active');
+    loadChapters();
 }
 
-// 读取内容
-async function readContent(mode) {
-    const display = document.getElementById('contentDisplay');
-    display.innerHTML = '<div class="loading"></div> 读取中...';
+// 加载章节目录
+async function loadChapters() {
+    const list = document.getElementById('chapterList');
+    list.innerHTML = '<div class="loading"></div> 加载目录...';
     
     try {
-        const response = await fetch(`${API_BASE}/books/${currentBookIndex}/content?mode=${mode}`);
+        const response = await apiFetch(`${API_BASE}/books/${currentBookId}/chapters`);
         const result = await response.json();
         
         if (result.success) {
-            display.textContent = `[${result.mode}模式读取]\n\n${result.content}`;
+            displayChapters(result.data, result.preface);
         } else {
-            display.textContent = '读取失败: ' + result.message;
+            list.textContent = '加载目录失败: ' + result.message;
         }
     } catch (error) {
-        display.textContent = '网络错误: ' + error.message;
+        list.textContent = '网络错误: ' + error.message;
     }
 }
 
-// 写入内容
-async function writeContent() {
-    const content = document.getElementById('newContent').value;
+// 显示章节目录
+function displayChapters(chapters, preface) {
+    const list = document.getElementById('chapterList');
+    currentChapters = chapters;
     
-    if (!content.trim()) {
-        alert('请输入要写入的内容');
+    if (chapters.length === 0 && !preface) {
+        list.innerHTML = '<p class="book-info">未识别到章节，可以直接读取全文</p>';
         return;
     }
     
+    const prefaceItem = preface ? `
+        <div class="chapter-item">
+            <span class="chapter-title" onclick="readChapter(0)">${preface.title}</span>
+        </div>
+    ` : '';
+    
+    list.innerHTML = prefaceItem + chapters.map(chapter => `
+        <div class="chapter-item">
+            <span class="chapter-title" onclick="readChapter(${chapter.n})">${escapeHtml(chapter.title)}</span>
+            <button class="requires-editor" title="上移" onclick="moveChapter(${chapter.n}, -1)" ${chapter.n === 1 ? 'disabled' : ''}>↑</button>
+            <button class="requires-editor" title="下移" onclick="moveChapter(${chapter.n}, 1)" ${chapter.n === chapters.length ? 'disabled' : ''}>↓</button>
+            <button class="requires-editor" title="重命名" onclick="renameChapter(${chapter.n})">✎</button>
+            <button class="requires-editor" title="删除" onclick="deleteChapter(${chapter.n})">✕</button>
+        </div>
+    `).join('');
+}
+
+// 读取单个章节
+async function readChapter(n) {
+    const display = document.getElementById('contentDisplay');
+    const nav = document.getElementById('chapterNav');
+    display.innerHTML = '<div class="loading"></div> 读取中...';
+    
     try {
-        const response = await fetch(`${API_BASE}/books/${currentBookIndex}/content`, {
-            method: 'POST',
+        const response = await apiFetch(`${API_BASE}/books/${currentBookId}/chapters/${n}`);
+        const result = await response.json();
+        
+        if (!result.success) {
+            display.textContent = '读取失败: ' + result.message;
+            nav.innerHTML = '';
+            return;
+        }
+        
+        const chapter = result.data;
+        pagedView = null;
+        display.textContent = `${chapter.title}\n\n${chapter.content}`;
+        display.scrollTop = 0;
+        nav.innerHTML = `
+            <button class="btn btn-info btn-sm" onclick="readChapter(${chapter.prev})" ${chapter.prev === null ? 'disabled' : ''}>上一章</button>
+            <span>${chapter.n === 0 ? '前言' : `第 ${chapter.n} / ${chapter.total} 章`}</span>
+            <button class="btn btn-info btn-sm" onclick="readChapter(${chapter.next})" ${chapter.next === null ? 'disabled' : ''}>下一章</button>
+        `;
+    } catch (error) {
+        display.textContent = '网络错误: ' + error.message;
+    }
+}
+
+// 发送章节修改请求，成功后刷新目录
+async function updateChapters(path, method, data, successText) {
+    try {
+        const response = await apiFetch(`${API_BASE}/books/${currentBookId}/chapters${path}`, {
+            method,
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ content })
+            body: data ? JSON.stringify(data) : undefined
         });
         
         const result = await response.json();
         
         if (result.success) {
-            showMessage('内容写入成功！', 'success');
-            document.getElementById('newContent').value = '';
-            readContent('async'); // 重新读取显示
-        } else {
-            showMessage('写入失败: ' + result.message, 'error');
+            contentETag = response.headers.get('ETag');
+            showMessage(successText, 'success');
+            loadChapters();
+            return true;
         }
+        showMessage('操作失败: ' + result.message, 'error');
     } catch (error) {
         showMessage('网络错误: ' + error.message, 'error');
     }
+    return false;
 }
 
-// 关闭模态框
-function closeEditModal() {
-    document.getElementById('editModal').classList.remove('active');
+// 添加章节
+async function addChapter() {
+    const title = document.getElementById('newChapterTitle').value.trim();
+    const content = document.getElementById('newChapterContent').value;
+    
+    if (!title) {
+        alert('请输入章节标题');
+        return;
+    }
+    
+    if (await updateChapters('', 'POST', { title, content }, '章节添加成功！')) {
+        document.getElementById('newChapterTitle').value = '';
+        document.getElementById('newChapterContent').value = '';
+    }
 }
 
-function closeContentModal() {
-    document.getElementById('contentModal').classList.remove('active');
-    currentBookIndex = null;
+// 重命名章节
+function renameChapter(n) {
+    const oldTitle = currentChapters[n - 1].title;
+    const title = prompt('新的章节标题：', oldTitle);
+    if (!title || title.trim() === oldTitle) return;
+    updateChapters(`/${n}`, 'PUT', { title: title.trim() }, '章节已重命名！');
 }
 
-// 点击模态框外部关闭
-window.onclick = function(event) {
-    if (event.target.classList.contains('modal')) {
-        event.target.classList.remove('active');
+// 上移/下移章节
+function moveChapter(n, step) {
+    const order = currentChapters.map(chapter => chapter.n);
+    const target = n - 1 + step;
+    if (target < 0 || target >= order.length) return;
+    [order[n - 1], order[target]] = [order[target], order[n - 1]];
+    updateChapters('', 'PUT', { order }, '章节顺序已更新！');
+}
+
+// 删除章节
+function deleteChapter(n) {
+    if (!confirm('确定要删除这一章吗？')) return;
+    updateChapters(`/${n}`, 'DELETE', null, '章节删除成功！');
+}
+
+// 读取内容
+async function readContent(mode) {
+    const display = document.getElementById('contentDisplay');
+    document.getElementById('chapterNav').innerHTML = '';
+    pagedView = null;
+    
+    if (mode === 'page') {
+        startPagedReading(0);
+        return;
     }
+    
+    display.innerHTML = '<div class="loading"></div> 读取中...';
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/books/${currentBookId}/content?mode=${mode}`);
+        const result = await response.json();
+        
+        if (result.success) {
+            contentETag = response.headers.get('ETag');
+            display.textContent = `[${result.mode}模式读取]\n\n${result.content}`;
+        } else {
+            display.textContent = '读取失败: ' + result.message;
+        }
+    } catch (error) {
+        display.textContent = '网络错误: ' + error.message;
+    }
+}
+
+// 按字符偏移读取一页
+async function fetchContentPage(offset, length) {
+    const response = await apiFetch(`${API_BASE}/books/${currentBookId}/content?mode=page&offset=${offset}&length=${length}`);
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.message);
+    }
+    contentETag = response.headers.get('ETag');
+    return result;
+}
+
+// 分段阅读：从 offset 开始加载一页，highlight 为需要标记并滚动到的位置
+async function startPagedReading(offset, highlight) {
+    const display = document.getElementById('contentDisplay');
+    document.getElementById('chapterNav').innerHTML = '';
+    display.innerHTML = '<div class="loading"></div> 读取中...';
+    pagedView = null;
+    
+    try {
+        const page = await fetchContentPage(offset, PAGE_LENGTH);
+        display.textContent = '';
+        
+        if (highlight && highlight.position >= page.offset && highlight.position < page.nextOffset) {
+            const from = highlight.position - page.offset;
+            const mark = document.createElement('mark');
+            mark.textContent = page.content.slice(from, from + highlight.length);
+            display.append(page.content.slice(0, from), mark, page.content.slice(from + highlight.length));
+            mark.scrollIntoView({ block: 'center' });
+        } else {
+            display.append(page.content);
+            display.scrollTop = 0;
+        }
+        
+        pagedView = { start: page.offset, end: page.nextOffset, done: page.done, loading: false };
+    } catch (error) {
+        display.textContent = '读取失败: ' + error.message;
+    }
+}
+
+// 滚动到底部时加载后文，滚动到顶部时加载前文
+async function loadMoreContent() {
+    const display = document.getElementById('contentDisplay');
+    if (!pagedView || pagedView.loading) return;
+    
+    const nearBottom = display.scrollTop + display.clientHeight >= display.scrollHeight - 200;
+    const nearTop = display.scrollTop <= 200;
+    const view = pagedView;
+    
+    try {
+        if (nearBottom && !view.done) {
+            view.loading = true;
+            const page = await fetchContentPage(view.end, PAGE_LENGTH);
+            if (pagedView !== view) return;
+            display.append(page.content);
+            view.end = page.nextOffset;
+            view.done = page.done;
+        } else if (nearTop && view.start > 0) {
+            view.loading = true;
+            const offset = Math.max(0, view.start - PAGE_LENGTH);
+            const page = await fetchContentPage(offset, view.start - offset);
+            if (pagedView !== view) return;
+            // 在前面插入内容后保持当前阅读位置不动
+            const oldHeight = display.scrollHeight;
+            display.prepend(page.content);
+            display.scrollTop += display.scrollHeight - oldHeight;
+            view.start = offset;
+        }
+    } catch (error) {
+        showMessage('加载内容失败: ' + error.message, 'error');
+    } finally {
+        view.loading = false;
+    }
+}
+
+document.getElementById('contentDisplay').addEventListener('scroll', loadMoreContent);
+
+// 写入内容
+async function writeContent() {
+    const content = document.getElementById('newContent').value;
+    
+    if (!content.trim()) {
+        alert('请输入要写入的内容');
+        return;
+    }
+    
+    try {
+        const headers = { 'Content-Type': 'application/json' };
+        if (contentETag) {
+            headers['If-Match'] = contentETag;
+        }
+        const response = await apiFetch(`${API_BASE}/books/${currentBookId}/content`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ content })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            showMessage('内容写入成功！', 'success');
+            document.getElementById('newContent').value = '';
+            readContent('page'); // 重新读取显示
+            loadChapters();
+        } else if (response.status === 412) {
+            // 保留输入框里的内容，重新读取后用户可以再次写入
+            showMessage('内容已被其他人修改，已重新读取最新内容，请确认后再写入', 'error');
+            readContent('page');
+        } else {
+            showMessage('写入失败: ' + result.message, 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+// 显示/隐藏历史版本面板
+function toggleHistory() {
+    const panel = document.getElementById('historyPanel');
+    if (panel.innerHTML.trim() !== '') {
+        panel.innerHTML = '';
+        return;
+    }
+    loadHistory();
+}
+
+// 加载历史版本列表
+async function loadHistory() {
+    const panel = document.getElementById('historyPanel');
+    panel.innerHTML = '<div class="loading"></div> 加载历史版本...';
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/books/${currentBookId}/revisions`);
+        const result = await response.json();
+        
+        if (!result.success) {
+            panel.textContent = '加载失败: ' + result.message;
+            return;
+        }
+        displayHistory(result.data, result.limit);
+    } catch (error) {
+        panel.textContent = '网络错误: ' + error.message;
+    }
+}
+
+// 显示历史版本列表和任意两个版本的对比选择
+function displayHistory(revisions, limit) {
+    const panel = document.getElementById('historyPanel');
+    const typeText = { content: '内容', meta: '书籍信息' };
+    
+    if (revisions.length === 0) {
+        panel.innerHTML = '<p class="book-info">暂无历史版本，写入内容或修改书籍信息后会自动保存</p>';
+        return;
+    }
+    
+    const options = revisions.map(rev => `<option value="${rev.id}">${new Date(rev.createdAt).toLocaleString()} ${typeText[rev.type]}</option>`).join('');
+    panel.innerHTML = `
+        <p class="book-info">每种类型最多保留 ${limit} 个版本</p>
+        ${revisions.map(rev => `
+            <div class="history-item">
+                <span>${new Date(rev.createdAt).toLocaleString()} · ${typeText[rev.type]} · ${rev.size} 字节</span>
+                <button class="btn btn-info btn-sm" onclick="showDiff('${rev.id}', 'current')">对比当前</button>
+                <button class="btn btn-warning btn-sm requires-editor" onclick="restoreRevision('${rev.id}')">恢复</button>
+            </div>
+        `).join('')}
+        <div class="list-toolbar" style="margin-top: 10px;">
+            <select id="diffFrom">${options}</select>
+            <select id="diffTo"><option value="current">当前</option>${options}</select>
+            <button class="btn btn-info btn-sm" onclick="showDiff(document.getElementById('diffFrom').value, document.getElementById('diffTo').value)">对比</button>
+        </div>
+        <div id="diffView" class="diff-view"></div>
+    `;
+}
+
+// 按行对比两个版本
+async function showDiff(from, to) {
+    const view = document.getElementById('diffView');
+    view.innerHTML = '<div class="loading"></div> 对比中...';
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/books/${currentBookId}/revisions/diff?from=${from}&to=${to}`);
+        const result = await response.json();
+        
+        if (!result.success) {
+            view.textContent = '对比失败: ' + result.message;
+            return;
+        }
+        
+        if (result.tooLarge) {
+            view.textContent = result.message;
+            return;
+        }
+        
+        const prefix = { equal: ' ', add: '+', remove: '-' };
+        view.innerHTML = result.data.map(block => block.type === 'skip'
+            ? `<div class="diff-line skip">… 省略 ${block.count} 行未改动 …</div>`
+            : block.lines.map(line => `<div class="diff-line ${block.type}">${prefix[block.type]} ${escapeHtml(line)}</div>`).join('')
+        ).join('') || '<div class="diff-line">两个版本相同</div>';
+    } catch (error) {
+        view.textContent = '网络错误: ' + error.message;
+    }
+}
+
+// 恢复历史版本
+async function restoreRevision(revId) {
+    if (!confirm('确定恢复到这个版本吗？当前状态会保存为新的历史版本。')) return;
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/books/${currentBookId}/revisions/${revId}/restore`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            // 恢复内容时返回新的内容 ETag
+            if (response.headers.get('ETag')) {
+                contentETag = response.headers.get('ETag');
+            }
+            showMessage(result.message, 'success');
+            loadHistory();
+            loadChapters();
+            loadBooks();
+        } else {
+            showMessage('恢复失败: ' + (result.errors ? result.errors.join(', ') : result.message), 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+// 上传 TXT 文件，返回接口结果
+async function uploadFile(file, url) {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await apiFetch(url, { method: 'POST', body: formData });
+    return response.json();
+}
+
+// 编码识别结果说明
+function describeDetected(detected) {
+    return `${detected.encoding.toUpperCase()}${detected.bom ? '（带 BOM）' : ''}，${detected.characters} 字`;
+}
+
+// 上传文件创建书籍，EPUB 走导入接口
+async function createBookFromFile(file) {
+    const isEpub = file.name.toLowerCase().endsWith('.epub');
+    
+    try {
+        const result = await uploadFile(file, `${API_BASE}/books/${isEpub ? 'import/epub' : 'upload'}`);
+        if (result.success) {
+            showMessage(isEpub
+                ? `《${result.data.book}》导入成功`
+                : `《${result.data.book}》添加成功，识别编码：${describeDetected(result.detected)}`, 'success');
+            loadBooks();
+        } else {
+            showMessage('上传失败: ' + (result.errors ? result.errors.join(', ') : result.message), 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+// 上传文件替换当前书籍内容
+async function uploadContentFile(file) {
+    if (!confirm(`确定用「${file.name}」替换当前书籍的全部内容吗？`)) return;
+    
+    try {
+        const result = await uploadFile(file, `${API_BASE}/books/${currentBookId}/upload`);
+        if (result.success) {
+            showMessage(`内容上传成功，识别编码：${describeDetected(result.detected)}`, 'success');
+            readContent('page');
+            loadChapters();
+        } else {
+            showMessage('上传失败: ' + result.message, 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+// 拖拽上传区域：拖入文件或点击选择文件
+function setupDropZone(zoneId, inputId, onFile) {
+    const zone = document.getElementById(zoneId);
+    const input = document.getElementById(inputId);
+    
+    ['dragenter', 'dragover'].forEach(type => zone.addEventListener(type, (e) => {
+        e.preventDefault();
+        zone.classList.add('dragover');
+    }));
+    ['dragleave', 'drop'].forEach(type => zone.addEventListener(type, () => {
+        zone.classList.remove('dragover');
+    }));
+    zone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (e.dataTransfer.files.length > 0) {
+            onFile(e.dataTransfer.files[0]);
+        }
+    });
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) {
+            onFile(input.files[0]);
+            input.value = '';
+        }
+    });
+}
+
+setupDropZone('createDropZone', 'createFileInput', createBookFromFile);
+setupDropZone('contentDropZone', 'contentFileInput', uploadContentFile);
+
+// 导出书目
+function exportCatalog(format) {
+    window.location.href = `${API_BASE}/books/export?format=${format}`;
+}
+
+// 批量导入
+function openImportModal() {
+    document.getElementById('importFile').value = '';
+    document.getElementById('importReport').innerHTML = '';
+    document.getElementById('importModal').classList.add('active');
+}
+
+function closeImportModal() {
+    document.getElementById('importModal').classList.remove('active');
+}
+
+// 上传书目文件，dryRun 为 true 时只预检
+async function importCatalog(dryRun) {
+    const input = document.getElementById('importFile');
+    const report = document.getElementById('importReport');
+    
+    if (input.files.length === 0) {
+        alert('请选择要导入的 CSV 或 JSON 文件');
+        return;
+    }
+    report.innerHTML = '<div class="loading"></div> 处理中...';
+    
+    try {
+        const result = await uploadFile(input.files[0], `${API_BASE}/books/import?dryRun=${dryRun ? 1 : 0}`);
+        
+        if (!result.success) {
+            report.textContent = '导入失败: ' + result.message;
+            return;
+        }
+        
+        displayImportReport(result);
+        if (!result.dryRun) {
+            showMessage(`导入完成：新建 ${result.summary.created} 本，更新 ${result.summary.updated} 本`, 'success');
+            loadBooks();
+        }
+    } catch (error) {
+        report.textContent = '网络错误: ' + error.message;
+    }
+}
+
+// 显示逐行导入报告
+function displayImportReport(result) {
+    const actionText = { create: '新建', update: '更新', skip: '跳过' };
+    const { total, created, updated, skipped } = result.summary;
+    
+    document.getElementById('importReport').innerHTML = `
+        <p class="book-info">${escapeHtml(result.message)}：共 ${total} 行，新建 ${created}，更新 ${updated}，跳过 ${skipped}</p>
+        <table>
+            <tr><th>行</th><th>书名</th><th>处理</th><th>错误</th></tr>
+            ${result.data.map(item => `
+                <tr class="${item.action}">
+                    <td>${item.row}</td>
+                    <td>${escapeHtml(item.book)}</td>
+                    <td>${actionText[item.action]}</td>
+                    <td>${escapeHtml(item.errors.join('；'))}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// 关闭模态框
+function closeEditModal() {
+    document.getElementById('editModal').classList.remove('active');
+}
+
+function closeContentModal() {
+    document.getElementById('contentModal').classList.remove('active');
+    currentBookId = null;
+    pagedView = null;
+}
+
+// 点击模态框外部关闭
+window.onclick = function(event) {
+    if (event.target.classList.contains('modal')) {
+        event.target.classList.remove('active');
+    }
+}
+
+// 回收站（管理员）
+function openTrashModal() {
+    document.getElementById('trashModal').classList.add('active');
+    loadTrash();
+}
+
+function closeTrashModal() {
+    document.getElementById('trashModal').classList.remove('active');
+}
+
+async function loadTrash() {
+    const list = document.getElementById('trashList');
+    list.innerHTML = '<div class="loading"></div> 加载中...';
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/trash`);
+        const result = await response.json();
+        
+        if (result.success) {
+            displayTrash(result.data, result.retentionDays);
+        } else {
+            list.textContent = '加载失败: ' + result.message;
+        }
+    } catch (error) {
+        list.textContent = '网络错误: ' + error.message;
+    }
+}
+
+function displayTrash(items, retentionDays) {
+    const list = document.getElementById('trashList');
+    
+    if (items.length === 0) {
+        list.innerHTML = '<p class="book-info">回收站是空的</p>';
+        return;
+    }
+    
+    list.innerHTML = `
+        <p class="book-info">删除超过 ${retentionDays} 天的书籍会被自动清除</p>
+        <table>
+            <tr><th>书名</th><th>作者</th><th>删除时间</th><th>删除人</th><th>自动清除时间</th><th>操作</th></tr>
+            ${items.map(item => `
+                <tr>
+                    <td>${escapeHtml(item.book)}</td>
+                    <td>${escapeHtml(formatList(item.author))}</td>
+                    <td>${new Date(item.deletedAt).toLocaleString()}</td>
+                    <td>${escapeHtml(item.deletedBy || '')}</td>
+                    <td>${new Date(item.expiresAt).toLocaleString()}</td>
+                    <td>
+                        <button class="btn btn-success btn-sm" onclick="restoreFromTrash('${item.id}')">恢复</button>
+                        <button class="btn btn-danger btn-sm" onclick="purgeFromTrash('${item.id}')">彻底删除</button>
+                    </td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// 回收站操作的公共部分
+async function updateTrash(path, method, successText) {
+    try {
+        const response = await apiFetch(`${API_BASE}/trash${path}`, { method });
+        const result = await response.json();
+        
+        if (result.success) {
+            showMessage(successText || result.message, 'success');
+            loadTrash();
+            loadBooks();
+        } else {
+            showMessage('操作失败: ' + result.message, 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+function restoreFromTrash(id) {
+    updateTrash(`/${id}/restore`, 'POST', '书籍已恢复！');
+}
+
+function purgeFromTrash(id) {
+    if (!confirm('彻底删除后无法恢复，确定吗？')) return;
+    updateTrash(`/${id}`, 'DELETE', '书籍已彻底删除');
+}
+
+function emptyTrash() {
+    if (!confirm('确定要清空回收站吗？所有书籍都将无法恢复。')) return;
+    updateTrash('', 'DELETE');
+}
+
+// 整库备份与恢复（管理员）
+function downloadBackup() {
+    window.location.href = `${API_BASE}/backup`;
+}
+
+function openRestoreModal() {
+    document.getElementById('restoreFile').value = '';
+    document.getElementById('restoreMode').value = 'merge';
+    document.getElementById('restoreReport').innerHTML = '';
+    document.getElementById('restoreModal').classList.add('active');
+}
+
+function closeRestoreModal() {
+    document.getElementById('restoreModal').classList.remove('active');
+}
+
+// 上传备份文件，dryRun 为 true 时只预检
+async function restoreBackup(dryRun) {
+    const input = document.getElementById('restoreFile');
+    const mode = document.getElementById('restoreMode').value;
+    const report = document.getElementById('restoreReport');
+    
+    if (input.files.length === 0) {
+        alert('请选择备份文件');
+        return;
+    }
+    if (!dryRun && !confirm(mode === 'replace'
+        ? '确定用备份替换整个书库吗？备份中没有的书会移入回收站。'
+        : '确定把备份中缺少的书添加到书库吗？')) return;
+    report.innerHTML = '<div class="loading"></div> 处理中...';
+    
+    try {
+        const result = await uploadFile(input.files[0], `${API_BASE}/restore?mode=${mode}&dryRun=${dryRun ? 1 : 0}`);
+        
+        if (!result.success) {
+            report.innerHTML = `<p class="book-info">${escapeHtml(result.message)}</p>`
+                + (result.errors ? `<ul>${result.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : '');
+            return;
+        }
+        
+        displayRestoreReport(result);
+        if (!result.dryRun) {
+            showMessage('恢复完成', 'success');
+            loadBooks();
+            loadStats();
+        }
+    } catch (error) {
+        report.textContent = '网络错误: ' + error.message;
+    }
+}
+
+function displayRestoreReport(result) {
+    const actionText = { create: '添加', replace: '替换', skip: '跳过（已存在）', remove: '移入回收站' };
+    const { total, created, replaced, skipped, removed } = result.summary;
+    
+    document.getElementById('restoreReport').innerHTML = `
+        <p class="book-info">${escapeHtml(result.message)}：备份生成于 ${new Date(result.backup.createdAt).toLocaleString()}，共 ${total} 本，添加 ${created}，替换 ${replaced}，跳过 ${skipped}，移入回收站 ${removed}</p>
+        ${result.safetyBackup ? `<p class="book-info">恢复前的书库已备份为 ${escapeHtml(result.safetyBackup)}</p>` : ''}
+        <table>
+            <tr><th>书名</th><th>处理</th></tr>
+            ${result.data.map(item => `
+                <tr class="${item.action}">
+                    <td>${escapeHtml(item.book)}</td>
+                    <td>${actionText[item.action]}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// 用户管理（管理员）
+function openUsersModal() {
+    document.getElementById('addUserForm').reset();
+    document.getElementById('usersModal').classList.add('active');
+    loadUsers();
+}
+
+function closeUsersModal() {
+    document.getElementById('usersModal').classList.remove('active');
+}
+
+async function loadUsers() {
+    const list = document.getElementById('usersList');
+    list.innerHTML = '<div class="loading"></div> 加载中...';
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/users`);
+        const result = await response.json();
+        
+        if (result.success) {
+            displayUsers(result.data);
+        } else {
+            list.textContent = '加载失败: ' + result.message;
+        }
+    } catch (error) {
+        list.textContent = '网络错误: ' + error.message;
+    }
+}
+
+function displayUsers(users) {
+    const roleOptions = (role) => ['reader', 'editor', 'admin']
+        .map(value => `<option value="${value}" ${value === role ? 'selected' : ''}>${value}</option>`).join('');
+    
+    document.getElementById('usersList').innerHTML = `
+        <table>
+            <tr><th>用户名</th><th>角色</th><th>创建时间</th><th>操作</th></tr>
+            ${users.map(user => `
+                <tr>
+                    <td>${escapeHtml(user.username)}${user.id === currentUser.id ? '（当前）' : ''}</td>
+                    <td><select onchange="updateUser('${user.id}', { role: this.value }, '角色已修改')">${roleOptions(user.role)}</select></td>
+                    <td>${new Date(user.createdAt).toLocaleString()}</td>
+                    <td>
+                        <button class="btn btn-warning btn-sm" onclick="resetUserPassword('${user.id}')">重置密码</button>
+                        <button class="btn btn-danger btn-sm" onclick="deleteUser('${user.id}')" ${user.id === currentUser.id ? 'disabled' : ''}>删除</button>
+                    </td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// 添加用户
+document.getElementById('addUserForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/users`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('newUsername').value.trim(),
+                password: document.getElementById('newUserPassword').value,
+                role: document.getElementById('newUserRole').value
+            })
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            showMessage('用户添加成功！', 'success');
+            document.getElementById('addUserForm').reset();
+            loadUsers();
+        } else {
+            showMessage('添加失败: ' + (result.errors ? result.errors.join(', ') : result.message), 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+});
+
+async function updateUser(id, data, successText) {
+    try {
+        const response = await apiFetch(`${API_BASE}/users/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        const result = await response.json();
+        
+        if (result.success) {
+            showMessage(successText, 'success');
+        } else {
+            showMessage('修改失败: ' + (result.errors ? result.errors.join(', ') : result.message), 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+    loadUsers();
+}
+
+// 重置密码后该用户需要重新登录
+function resetUserPassword(id) {
+    const password = prompt('请输入新密码（至少 8 位）：');
+    if (password === null) return;
+    updateUser(id, { password }, '密码已重置');
+}
+
+async function deleteUser(id) {
+    if (!confirm('确定要删除这个用户吗？')) return;
+    
+    try {
+        const response = await apiFetch(`${API_BASE}/users/${id}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (result.success) {
+            showMessage('用户删除成功！', 'success');
+            loadUsers();
+        } else {
+            showMessage('删除失败: ' + result.message, 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+// 阅读模式：全屏分页阅读，阅读进度、书签和笔记保存在服务器上，换一台设备也能接着读
+// 正文按 READER_CHUNK_LENGTH 个字分段加载，一段排成多栏，每栏正好一屏，翻页就是横向移动一栏
+// 字号、行距和主题只影响本机的显示效果，保存在 localStorage
+const READER_CHUNK_LENGTH = 30000;
+const READER_COLUMN_GAP = 80;
+const READER_SAVE_DELAY = 1000;
+const NOTE_COLOR_NAMES = { yellow: '黄色', green: '绿色', blue: '蓝色', pink: '粉色' };
+const readerSettings = loadReaderSettings();
+// 阅读状态：已加载的字符区间 [start, end)、全文字数 total、当前页第一个字的位置 offset
+let reader = null;
+let readerSaveTimer = null;
+let readerStatusTimer = null;
+
+function loadReaderSettings() {
+    const defaults = { fontSize: 18, lineHeight: 1.8, theme: 'light' };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem('readerSettings')) };
+    } catch (error) {
+        return defaults;
+    }
+}
+
+async function openReader(id) {
+    try {
+        const responses = await Promise.all(['', '/progress', '/bookmarks', '/notes']
+            .map(path => apiFetch(`${API_BASE}/books/${id}${path}`)));
+        const [book, progress, bookmarks, notes] = await Promise.all(responses.map(response => response.json()));
+        if (!book.success) {
+            showMessage('打开失败: ' + book.message, 'error');
+            return;
+        }
+        
+        reader = {
+            bookId: id,
+            start: 0,
+            end: 0,
+            offset: 0,
+            done: false,
+            loading: false,
+            bookmarks: bookmarks.data || [],
+            notes: notes.data || []
+        };
+        document.getElementById('readerTitle').textContent = book.data.book;
+        document.getElementById('readerPanel').classList.remove('active');
+        document.getElementById('readerView').classList.add('active');
+        applyReaderSettings();
+        displayReaderPanel();
+        await jumpReader(progress.data ? progress.data.offset : 0);
+    } catch (error) {
+        showMessage('打开失败: ' + error.message, 'error');
+    }
+}
+
+// 退出前立即保存一次进度
+function closeReader() {
+    if (!reader) return;
+    clearTimeout(readerSaveTimer);
+    if (reader.text !== undefined) {
+        saveReaderProgress(reader);
+    }
+    document.getElementById('readerView').classList.remove('active');
+    document.getElementById('readerText').textContent = '';
+    reader = null;
+}
+
+// 加载从 start 开始的 length 个字，并翻到 target 所在的页
+async function loadReaderChunk(start, length, target) {
+    const view = reader;
+    const response = await apiFetch(`${API_BASE}/books/${view.bookId}/content?mode=page&offset=${start}&length=${length}`);
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.message);
+    }
+    if (reader !== view) return;
+    
+    // 保存的位置超出了全文（内容被改短了），从最后一段开始
+    if (result.length === 0 && start > 0 && result.totalLength !== null) {
+        const lastStart = Math.max(0, result.totalLength - READER_CHUNK_LENGTH);
+        await loadReaderChunk(lastStart, READER_CHUNK_LENGTH, result.totalLength);
+        return;
+    }
+    
+    view.start = start;
+    view.end = result.nextOffset;
+    view.done = result.done;
+    view.text = result.content;
+    // 还没读到过文件末尾时服务器不知道全文字数，按这一段的字节/字符比例估算
+    view.total = result.totalLength !== null
+        ? result.totalLength
+        : Math.round(result.totalBytes * result.length / Math.max(1, new Blob([result.content]).size));
+    renderReaderText(target);
+}
+
+// 跳到全文的 offset 处，已加载的段落里有就直接翻页
+async function jumpReader(offset) {
+    if (reader.text !== undefined && offset >= reader.start && (offset < reader.end || reader.done)) {
+        layoutReader(offset);
+        return;
+    }
+    try {
+        await loadReaderChunk(offset - offset % READER_CHUNK_LENGTH, READER_CHUNK_LENGTH, offset);
+    } catch (error) {
+        showReaderStatus('读取失败: ' + error.message);
+    }
+}
+
+// 排版当前段落，划线笔记用 mark 标出，重叠的部分只标第一条
+function renderReaderText(target) {
+    const text = document.getElementById('readerText');
+    const content = reader.text;
+    let cursor = 0;
+    text.textContent = '';
+    reader.notes.forEach(note => {
+        const from = Math.max(note.offset - reader.start, cursor);
+        const to = Math.min(note.offset + note.length - reader.start, content.length);
+        if (from >= to) return;
+        const mark = document.createElement('mark');
+        mark.className = `note-${note.color}`;
+        mark.title = note.note;
+        mark.textContent = content.slice(from, to);
+        text.append(content.slice(cursor, from), mark);
+        cursor = to;
+    });
+    text.append(content.slice(cursor));
+    layoutReader(target);
+}
+
+// 按当前窗口宽度分栏，并翻到 target 所在的页
+function layoutReader(target) {
+    const page = document.getElementById('readerPage');
+    const text = document.getElementById('readerText');
+    const style = getComputedStyle(page);
+    const width = page.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    text.style.columnWidth = `${width}px`;
+    text.style.columnGap = `${READER_COLUMN_GAP}px`;
+    reader.pageWidth = width + READER_COLUMN_GAP;
+    reader.pages = Math.max(1, Math.round((text.scrollWidth + READER_COLUMN_GAP) / reader.pageWidth));
+    reader.page = Math.min(readerPageOf(target - reader.start), reader.pages - 1);
+    showReaderPage();
+}
+
+// 段内第 position 个字落在第几页
+function readerPageOf(position) {
+    const text = document.getElementById('readerText');
+    const length = reader.text.length;
+    if (length === 0) return 0;
+    position = Math.min(Math.max(position, 0), length - 1);
+    const range = document.createRange();
+    const from = locateReaderPosition(position);
+    const to = locateReaderPosition(position + 1);
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    const left = range.getBoundingClientRect().left - text.getBoundingClientRect().left;
+    return Math.max(0, Math.floor((left + READER_COLUMN_GAP / 2) / reader.pageWidth));
+}
+
+// 段内字符位置对应的文本节点和节点内偏移
+function locateReaderPosition(position) {
+    const walker = document.createTreeWalker(document.getElementById('readerText'), NodeFilter.SHOW_TEXT);
+    let node = null;
+    while (walker.nextNode()) {
+        node = walker.currentNode;
+        if (position <= node.length) {
+            return { node, offset: position };
+        }
+        position -= node.length;
+    }
+    return { node, offset: node.length };
+}
+
+// 当前页第一个字在全文中的位置（二分查找第一个落在当前页的字）
+function currentReaderOffset() {
+    let low = 0;
+    let high = reader.text.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (readerPageOf(mid) < reader.page) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return reader.start + low;
+}
+
+function readerPercent(offset) {
+    return reader.total ? Math.min(100, Math.round(offset / reader.total * 1000) / 10) : 0;
+}
+
+function showReaderPage() {
+    document.getElementById('readerText').style.transform = `translateX(${-reader.page * reader.pageWidth}px)`;
+    reader.offset = currentReaderOffset();
+    document.getElementById('readerPageInfo').textContent =
+        `本段 ${reader.page + 1} / ${reader.pages} 页 · ${readerPercent(reader.offset)}%`;
+    
+    // 翻页停下来一会儿再保存，连续翻页时只保存最后的位置
+    clearTimeout(readerSaveTimer);
+    const view = reader;
+    readerSaveTimer = setTimeout(() => saveReaderProgress(view), READER_SAVE_DELAY);
+}
+
+async function saveReaderProgress(view) {
+    try {
+        await apiFetch(`${API_BASE}/books/${view.bookId}/progress`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ offset: view.offset, percent: readerPercent(view.offset) })
+        });
+    } catch (error) {
+        showReaderStatus('保存阅读进度失败: ' + error.message);
+    }
+}
+
+// 翻页，翻过当前段落的开头或结尾时加载前一段或后一段
+async function turnReaderPage(step) {
+    const view = reader;
+    if (!view || view.loading || view.text === undefined) return;
+    
+    const page = view.page + step;
+    if (page >= 0 && page < view.pages) {
+        view.page = page;
+        showReaderPage();
+        return;
+    }
+    if (step > 0 && view.done) {
+        showReaderStatus('已经是最后一页了');
+        return;
+    }
+    if (step < 0 && view.start === 0) {
+        showReaderStatus('已经是第一页了');
+        return;
+    }
+    
+    view.loading = true;
+    try {
+        if (step > 0) {
+            await loadReaderChunk(view.end, READER_CHUNK_LENGTH, view.end);
+        } else {
+            const start = Math.max(0, view.start - READER_CHUNK_LENGTH);
+            await loadReaderChunk(start, view.start - start, view.start - 1);
+        }
+    } catch (error) {
+        showReaderStatus('加载内容失败: ' + error.message);
+    } finally {
+        view.loading = false;
+    }
+}
+
+function showReaderStatus(text) {
+    const info = document.getElementById('readerPageInfo');
+    const previous = info.textContent;
+    info.textContent = text;
+    clearTimeout(readerStatusTimer);
+    readerStatusTimer = setTimeout(() => {
+        if (info.textContent === text) {
+            info.textContent = previous;
+        }
+    }, 2000);
+}
+
+function applyReaderSettings() {
+    const view = document.getElementById('readerView');
+    const text = document.getElementById('readerText');
+    ['light', 'sepia', 'dark'].forEach(theme => view.classList.toggle(`theme-${theme}`, theme === readerSettings.theme));
+    text.style.fontSize = `${readerSettings.fontSize}px`;
+    text.style.lineHeight = readerSettings.lineHeight;
+    document.getElementById('readerTheme').value = readerSettings.theme;
+}
+
+// 修改字号、行距或主题，重新排版后停留在当前页第一个字所在的页
+function changeReaderSetting(name, value) {
+    if (name === 'theme') {
+        readerSettings.theme = value;
+    } else if (name === 'fontSize') {
+        readerSettings.fontSize = Math.min(36, Math.max(12, readerSettings.fontSize + value));
+    } else if (name === 'lineHeight') {
+        readerSettings.lineHeight = Math.min(3, Math.max(1.2, Math.round((readerSettings.lineHeight + value) * 10) / 10));
+    }
+    localStorage.setItem('readerSettings', JSON.stringify(readerSettings));
+    applyReaderSettings();
+    if (reader && reader.text !== undefined) {
+        layoutReader(reader.offset);
+    }
+}
+
+// 方向键、PageUp/PageDown、空格翻页，Esc 退出
+document.addEventListener('keydown', (e) => {
+    if (!reader || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    if (['ArrowRight', 'ArrowDown', 'PageDown', ' '].includes(e.key)) {
+        turnReaderPage(1);
+    } else if (['ArrowLeft', 'ArrowUp', 'PageUp'].includes(e.key)) {
+        turnReaderPage(-1);
+    } else if (e.key === 'Escape') {
+        closeReader();
+    } else {
+        return;
+    }
+    e.preventDefault();
+});
+
+// 触屏左右滑动翻页
+let readerTouch = null;
+document.getElementById('readerPage').addEventListener('touchstart', (e) => {
+    readerTouch = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+}, { passive: true });
+document.getElementById('readerPage').addEventListener('touchend', (e) => {
+    if (!readerTouch) return;
+    const dx = e.changedTouches[0].clientX - readerTouch.x;
+    const dy = e.changedTouches[0].clientY - readerTouch.y;
+    readerTouch = null;
+    if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+        turnReaderPage(dx < 0 ? 1 : -1);
+    }
+});
+
+window.addEventListener('resize', () => {
+    if (reader && reader.text !== undefined) {
+        layoutReader(reader.offset);
+    }
+});
+
+// 书签与笔记
+function toggleReaderPanel() {
+    document.getElementById('readerPanel').classList.toggle('active');
+    if (reader && reader.text !== undefined) {
+        layoutReader(reader.offset);
+    }
+}
+
+function displayReaderPanel() {
+    document.getElementById('readerPanel').innerHTML = `
+        <h3>书签</h3>
+        ${reader.bookmarks.length === 0 ? '<p class="book-info">还没有书签</p>' : reader.bookmarks.map(bookmark => `
+            <div class="reader-item" onclick="jumpReader(${bookmark.offset})">
+                <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); deleteReadingItem('bookmarks', '${bookmark.id}')">删除</button>
+                <button class="btn btn-warning btn-sm" onclick="event.stopPropagation(); renameBookmark('${bookmark.id}')">重命名</button>
+                ${escapeHtml(bookmark.name || '未命名书签')}
+                <br><small>${readerPercent(bookmark.offset)}%</small>
+            </div>
+        `).join('')}
+        <h3>笔记</h3>
+        ${reader.notes.length === 0 ? '<p class="book-info">选中文字后点击“划线笔记”添加</p>' : reader.notes.map(note => `
+            <div class="reader-item" onclick="jumpReader(${note.offset})">
+                <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); deleteReadingItem('notes', '${note.id}')">删除</button>
+                <button class="btn btn-warning btn-sm" onclick="event.stopPropagation(); editNote('${note.id}')">编辑</button>
+                <mark class="note-${note.color}">${escapeHtml(note.quote.length > 60 ? note.quote.slice(0, 60) + '…' : note.quote)}</mark>
+                ${note.note ? `<div>${escapeHtml(note.note)}</div>` : ''}
+                <small>${readerPercent(note.offset)}%</small>
+                <select onclick="event.stopPropagation()" onchange="updateReadingItem('notes', '${note.id}', { color: this.value })">
+                    ${Object.entries(NOTE_COLOR_NAMES).map(([color, label]) => `
+                        <option value="${color}" ${color === note.color ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('')}
+    `;
+}
+
+// 提交书签或笔记，成功返回服务器保存的数据，失败返回 null
+async function requestReadingItem(path, method, data) {
+    try {
+        const response = await apiFetch(`${API_BASE}/books/${reader.bookId}/${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: data ? JSON.stringify(data) : undefined
+        });
+        const result = await response.json();
+        if (result.success) {
+            return result.data;
+        }
+        alert('保存失败: ' + (result.errors ? result.errors.join('\n') : result.message));
+    } catch (error) {
+        alert('网络错误: ' + error.message);
+    }
+    return null;
+}
+
+// 书签或笔记有变化后刷新列表，笔记还要重新标出划线
+function refreshReadingItems(kind) {
+    reader[kind].sort((a, b) => a.offset - b.offset);
+    displayReaderPanel();
+    if (kind === 'notes') {
+        renderReaderText(reader.offset);
+    }
+}
+
+// 在当前页添加书签，默认用这一页开头的几个字命名
+async function addBookmark() {
+    if (!reader || reader.text === undefined) return;
+    const offset = reader.offset;
+    const defaultName = reader.text.slice(offset - reader.start, offset - reader.start + 20).replace(/\s+/g, ' ').trim();
+    const name = prompt('书签名称：', defaultName);
+    if (name === null) return;
+    
+    const bookmark = await requestReadingItem('bookmarks', 'POST', { offset, name: name.slice(0, 50) });
+    if (bookmark && reader) {
+        reader.bookmarks.push(bookmark);
+        refreshReadingItems('bookmarks');
+        showReaderStatus('书签已添加');
+    }
+}
+
+function renameBookmark(id) {
+    const bookmark = reader.bookmarks.find(item => item.id === id);
+    const name = prompt('书签名称：', bookmark.name);
+    if (name === null) return;
+    updateReadingItem('bookmarks', id, { name: name.slice(0, 50) });
+}
+
+// 选中文字在全文中的位置，没有选中正文时返回 null
+function readerSelection() {
+    const selection = window.getSelection();
+    const text = document.getElementById('readerText');
+    if (!selection.rangeCount || selection.isCollapsed) return null;
+    const range = selection.getRangeAt(0);
+    if (!text.contains(range.startContainer) || !text.contains(range.endContainer)) return null;
+    
+    const before = document.createRange();
+    before.setStart(text, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    const quote = range.toString();
+    return { offset: reader.start + before.toString().length, length: quote.length, quote };
+}
+
+async function addNote() {
+    if (!reader || reader.text === undefined) return;
+    const selected = readerSelection();
+    if (!selected) {
+        alert('请先在正文中选中要划线的文字');
+        return;
+    }
+    if (selected.length > 1000) {
+        alert('一次最多划线 1000 个字');
+        return;
+    }
+    const note = prompt(`为“${selected.quote.slice(0, 30)}”写点笔记（可以留空，只划线）：`, '');
+    if (note === null) return;
+    
+    const item = await requestReadingItem('notes', 'POST', { ...selected, note });
+    if (item && reader) {
+        window.getSelection().removeAllRanges();
+        reader.notes.push(item);
+        refreshReadingItems('notes');
+        showReaderStatus('笔记已添加');
+    }
+}
+
+function editNote(id) {
+    const note = reader.notes.find(item => item.id === id);
+    const text = prompt('笔记内容：', note.note);
+    if (text === null) return;
+    updateReadingItem('notes', id, { note: text });
+}
+
+async function updateReadingItem(kind, id, data) {
+    const item = await requestReadingItem(`${kind}/${id}`, 'PUT', data);
+    if (item && reader) {
+        reader[kind] = reader[kind].map(old => old.id === id ? item : old);
+        refreshReadingItems(kind);
+    }
+}
+
+async function deleteReadingItem(kind, id) {
+    if (!confirm(kind === 'bookmarks' ? '确定要删除这个书签吗？' : '确定要删除这条笔记吗？')) return;
+    const item = await requestReadingItem(`${kind}/${id}`, 'DELETE');
+    if (item && reader) {
+        reader[kind] = reader[kind].filter(old => old.id !== id);
+        refreshReadingItems(kind);
+    }
+}
+
+// 操作日志（管理员）
+const AUDIT_ACTION_NAMES = { create: '添加', update: '修改信息', content: '写入内容', delete: '删除', restore: '恢复', purge: '彻底删除' };
+const AUDIT_VIA_NAMES = { upload: '上传文件', epub: '导入 EPUB', import: '批量导入', cover: '封面', write: '写入', chapters: '章节', revision: '恢复历史版本', restore: '从备份恢复', integrity: '完整性修复', cli: '命令行', batch: '批量操作', expired: '过期自动清除' };
+const auditQuery = { bookId: '', action: '', from: '', to: '', page: 1, pageSize: 20 };
+
+// bookId 不为空时只看这本书的记录
+function openAuditModal(bookId = '') {
+    Object.assign(auditQuery, { bookId, action: '', from: '', to: '', page: 1 });
+    document.getElementById('auditForm').reset();
+    document.getElementById('auditModal').classList.add('active');
+    loadAudit();
+}
+
+function closeAuditModal() {
+    document.getElementById('auditModal').classList.remove('active');
+}
+
+document.getElementById('auditForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    auditQuery.action = document.getElementById('auditAction').value;
+    auditQuery.from = document.getElementById('auditFrom').value;
+    auditQuery.to = document.getElementById('auditTo').value;
+    auditQuery.page = 1;
+    loadAudit();
+});
+
+function filterAuditByBook(bookId) {
+    auditQuery.bookId = bookId;
+    auditQuery.page = 1;
+    loadAudit();
+}
+
+function goToAuditPage(page) {
+    auditQuery.page = page;
+    loadAudit();
+}
+
+async function loadAudit() {
+    const params = new URLSearchParams();
+    Object.keys(auditQuery).forEach(key => {
+        if (auditQuery[key] !== '') {
+            params.set(key, auditQuery[key]);
+        }
+    });
+    try {
+        const response = await apiFetch(`${API_BASE}/audit?${params}`);
+        const result = await response.json();
+        
+        if (result.success) {
+            const title = result.data.length > 0 ? result.data[0].title : '';
+            document.getElementById('auditBook').innerHTML = auditQuery.bookId
+                ? `只显示《${escapeHtml(title || auditQuery.bookId)}》的记录 <button class="btn btn-info btn-sm" onclick="filterAuditByBook('')">显示全部</button>`
+                : '';
+            displayAudit(result.data);
+            const totalPages = Math.max(1, Math.ceil(result.total / result.pageSize));
+            document.getElementById('auditPager').innerHTML = result.total === 0 ? '' : `
+                <button class="btn btn-info btn-sm" onclick="goToAuditPage(${result.page - 1})" ${result.page <= 1 ? 'disabled' : ''}>上一页</button>
+                <span>第 ${result.page} / ${totalPages} 页，共 ${result.total} 条</span>
+                <button class="btn btn-info btn-sm" onclick="goToAuditPage(${result.page + 1})" ${result.page >= totalPages ? 'disabled' : ''}>下一页</button>
+            `;
+        } else {
+            showMessage('加载操作日志失败: ' + (result.errors ? result.errors.join(', ') : result.message), 'error');
+        }
+    } catch (error) {
+        showMessage('网络错误: ' + error.message, 'error');
+    }
+}
+
+function formatBytes(size) {
+    return size >= 1024 * 1024 ? `${(size / 1024 / 1024).toFixed(1)} MB`
+        : size >= 1024 ? `${(size / 1024).toFixed(1)} KB` : `${size} B`;
+}
+
+// 一条记录的变化说明：修改信息列出改动的字段，写入内容显示前后大小
+function describeAuditChanges(entry) {
+    const via = entry.detail && entry.detail.via ? `（${AUDIT_VIA_NAMES[entry.detail.via] || entry.detail.via}）` : '';
+    if (entry.action === 'content') {
+        return `${formatBytes(entry.before.size)} → ${formatBytes(entry.after.size)}${via}`;
+    }
+    if (entry.action !== 'update' || !entry.before || !entry.after) {
+        return via;
+    }
+    const names = [...new Set([...Object.keys(entry.before), ...Object.keys(entry.after)])]
+        .filter(name => JSON.stringify(entry.before[name]) !== JSON.stringify(entry.after[name]));
+    return names.map(name => {
+        if (name === 'cover') {
+            return entry.after.cover ? '更换封面' : '移除封面';
+        }
+        const field = bookSchema.find(item => item.name === name) || { name, label: name };
+        const show = value => value === undefined || value === null || value === '' ? '（空）' : formatFieldValue(field, value);
+        return `${field.label}：${show(entry.before[name])} → ${show(entry.after[name])}`;
+    }).join('\n') + via;
+}
+
+function displayAudit(entries) {
+    const list = document.getElementById('auditList');
+    
+    if (entries.length === 0) {
+        list.innerHTML = '<p class="book-info">没有符合条件的记录</p>';
+        return;
+    }
+    
+    list.innerHTML = `
+        <table>
+            <tr><th>时间</th><th>用户</th><th>来源地址</th><th>操作</th><th>书籍</th><th>变化</th></tr>
+            ${entries.map(entry => `
+                <tr>
+                    <td>${new Date(entry.time).toLocaleString()}</td>
+                    <td>${escapeHtml(entry.user || '系统')}</td>
+                    <td>${escapeHtml(entry.ip || '')}</td>
+                    <td>${AUDIT_ACTION_NAMES[entry.action] || escapeHtml(entry.action)}</td>
+                    <td><a href="#" onclick="filterAuditByBook('${entry.bookId}'); return false;">${escapeHtml(entry.title || entry.bookId)}</a></td>
+                    <td style="white-space: pre-wrap;">${escapeHtml(describeAuditChanges(entry))}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// 藏书统计
+const STATS_CHART_LIMIT = 10;
+
+async function loadStats() {
+    try {
+        const response = await apiFetch(`${API_BASE}/stats`);
+        const result = await response.json();
+        if (result.success) {
+            displayStats(result.data);
+        } else {
+            document.getElementById('statsDashboard').textContent = '统计失败: ' + result.message;
+        }
+    } catch (error) {
+        document.getElementById('statsDashboard').textContent = '网络错误: ' + error.message;
+    }
+}
+
+// 横向条形图，items 为 [{ label, value }]
+function barChart(items) {
+    const max = Math.max(1, ...items.map(item => item.value));
+    return `<div class="bar-chart">${items.map(item => `
+        <div class="bar-row">
+            <span class="bar-label" title="${escapeHtml(item.label)}">${escapeHtml(item.label)}</span>
+            <span class="bar" style="width: ${item.value / max * 100}%"></span>
+            <span class="bar-value">${item.value}</span>
+        </div>
+    `).join('')}</div>`;
+}
+
+// 竖向柱状图，适合按年份这样有顺序的数据
+function columnChart(items) {
+    const max = Math.max(1, ...items.map(item => item.value));
+    return `<div class="column-chart">${items.map(item => `
+        <div class="column" title="${escapeHtml(item.label)}：${item.value} 本">
+            <span class="column-value">${item.value}</span>
+            <span class="column-bar" style="height: ${Math.round(item.value / max * 110)}px"></span>
+            <span class="column-label">${escapeHtml(item.label)}</span>
+        </div>
+    `).join('')}</div>`;
+}
+
+function statsBookList(books, valueOf) {
+    return books.length === 0 ? '<p class="book-info">暂无书籍</p>' : `<ol class="stats-list">${books.map(book => `
+        <li>${escapeHtml(book.book)} <small>${valueOf(book)}</small></li>
+    `).join('')}</ol>`;
+}
+
+function displayStats(stats) {
+    const dashboard = document.getElementById('statsDashboard');
+    const authors = stats.byAuthor.slice(0, STATS_CHART_LIMIT);
+    dashboard.innerHTML = `
+        <div class="stats-summary">
+            <div><strong>${stats.totalBooks.toLocaleString()}</strong>本书</div>
+            <div><strong>${stats.totalCharacters.toLocaleString()}</strong>总字数</div>
+            <div><strong>${stats.totalHanCharacters.toLocaleString()}</strong>其中汉字</div>
+            <div><strong>${formatBytes(stats.totalBytes)}</strong>内容文件</div>
+        </div>
+        <div class="stats-grid">
+            <div>
+                <h3>作者${stats.byAuthor.length > STATS_CHART_LIMIT ? `（前 ${STATS_CHART_LIMIT} 位，共 ${stats.byAuthor.length} 位）` : ''}</h3>
+                ${barChart(authors.map(item => ({ label: item.author, value: item.count })))}
+            </div>
+            <div>
+                <h3>发布年份</h3>
+                ${columnChart(stats.byYear.map(item => ({ label: item.year, value: item.count })))}
+            </div>
+            <div>
+                <h3>字数最多</h3>
+                ${statsBookList(stats.largest, book => `${book.characters.toLocaleString()} 字`)}
+            </div>
+            <div>
+                <h3>字数最少</h3>
+                ${statsBookList(stats.smallest, book => `${book.characters.toLocaleString()} 字`)}
+            </div>
+            <div>
+                <h3>最近修改</h3>
+                ${statsBookList(stats.recentlyChanged, book => new Date(book.changedAt).toLocaleString())}
+            </div>
+        </div>
+    `;
 }
 
-// 页面加载时获取书籍列表
-loadBooks();
\ No newline at end of file
+// 页面加载时检查登录状态
+checkLogin();
\ No newline at end of file
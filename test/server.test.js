@@ -0,0 +1,290 @@
+// 接口冒烟测试：node --test
+// 每个用例组在临时目录里建一个独立的书库实例（port: 0 随机端口），以管理员登录后调用接口
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.ADMIN_PASSWORD = 'test-password';
+const { createBookServer } = require('../main.js');
+
+// 启动实例并登录，返回 { request, close }
+// request(method, path, { json, body, headers }) 返回 { status, headers, body, data }，data 为解析后的 JSON
+function startServer(callback) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-server-'));
+    // 历史版本在响应后异步保存，等进程退出（没有未完成的写入）时再删除临时目录
+    process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const instance = createBookServer({ dataDir, port: 0, host: '127.0.0.1' });
+    instance.listen((address) => {
+        const base = `http://127.0.0.1:${address.port}`;
+        let cookie = '';
+        const request = async (method, pathname, options = {}) => {
+            const headers = { ...options.headers };
+            if (cookie) {
+                headers.Cookie = cookie;
+            }
+            let body = options.body;
+            if (options.json !== undefined) {
+                headers['Content-Type'] = 'application/json';
+                body = JSON.stringify(options.json);
+            }
+            const res = await fetch(base + pathname, { method, headers, body });
+            const buffer = Buffer.from(await res.arrayBuffer());
+            let data = null;
+            if ((res.headers.get('content-type') || '').includes('application/json')) {
+                data = JSON.parse(buffer.toString('utf8'));
+            }
+            return { status: res.status, headers: res.headers, body: buffer, data };
+        };
+        const close = () => new Promise((resolve) => instance.close(resolve));
+        request('POST', '/api/auth/login', { json: { username: 'admin', password: process.env.ADMIN_PASSWORD } })
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                cookie = res.headers.get('set-cookie').split(';')[0];
+                callback(null, { request, close });
+            }, callback);
+    });
+}
+
+function start() {
+    return new Promise((resolve, reject) => {
+        startServer((err, server) => err ? reject(err) : resolve(server));
+    });
+}
+
+function bookData(name) {
+    return { book: name, author: '测试作者', summary: `${name}的简介`, subDate: '2024-01-01' };
+}
+
+// 读取全文（默认模式返回 JSON { content }）
+async function readContent(request, id) {
+    const res = await request('GET', `/api/books/${id}/content`);
+    assert.strictEqual(res.status, 200);
+    return res.data.content;
+}
+
+async function createBook(request, name, content) {
+    const res = await request('POST', '/api/books', { json: bookData(name) });
+    assert.strictEqual(res.status, 201);
+    const id = res.data.data.id;
+    if (content !== undefined) {
+        const write = await request('POST', `/api/books/${id}/content`, { json: { content } });
+        assert.strictEqual(write.status, 200);
+    }
+    return id;
+}
+
+describe('书籍和内容', () => {
+    let server;
+    before(async () => { server = await start(); });
+    after(() => server.close());
+
+    it('创建书籍后可以读取和写入内容', async () => {
+        const id = await createBook(server.request, '内容测试', '第一版内容');
+        const book = await server.request('GET', `/api/books/${id}`);
+        assert.strictEqual(book.status, 200);
+        assert.strictEqual(book.data.data.book, '内容测试');
+
+        const content = await server.request('GET', `/api/books/${id}/content`);
+        assert.strictEqual(content.status, 200);
+        assert.ok(content.headers.get('etag'));
+        assert.strictEqual(content.data.content, '第一版内容');
+    });
+
+    it('If-Match 与当前版本不一致时返回 412 和当前版本', async () => {
+        const id = await createBook(server.request, '并发测试', '原始内容');
+        const first = await server.request('GET', `/api/books/${id}/content`);
+        const etag = first.headers.get('etag');
+
+        const ok = await server.request('POST', `/api/books/${id}/content`, {
+            json: { content: '第一个人写入的较长内容' },
+            headers: { 'If-Match': etag }
+        });
+        assert.strictEqual(ok.status, 200);
+        assert.notStrictEqual(ok.headers.get('etag'), etag);
+
+        const stale = await server.request('POST', `/api/books/${id}/content`, {
+            json: { content: '第二个人基于旧版本写入' },
+            headers: { 'If-Match': etag }
+        });
+        assert.strictEqual(stale.status, 412);
+        assert.strictEqual(stale.data.success, false);
+        assert.strictEqual(stale.data.data.etag, ok.headers.get('etag'));
+
+        assert.strictEqual(await readContent(server.request, id), '第一个人写入的较长内容');
+    });
+
+    it('全文搜索能找到写入的内容', async () => {
+        const id = await createBook(server.request, '搜索测试', '这里有一个独特的词语：琉璃灯盏');
+        const res = await server.request('GET', `/api/search?q=${encodeURIComponent('琉璃灯盏')}`);
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.data.data.some(item => item.id === id));
+    });
+});
+
+describe('批量操作', () => {
+    let server;
+    before(async () => { server = await start(); });
+    after(() => server.close());
+
+    it('有一项不通过时所有操作都不执行', async () => {
+        const id = await createBook(server.request, '批量测试');
+        const res = await server.request('POST', '/api/books/batch', { json: { operations: [
+            { id, action: 'setAuthor', author: '新作者' },
+            { id: 'no-such-book', action: 'setAuthor', author: '新作者' }
+        ] } });
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.data.success, false);
+        assert.strictEqual(res.data.data[0].success, true);
+        assert.strictEqual(res.data.data[1].success, false);
+
+        const book = await server.request('GET', `/api/books/${id}`);
+        assert.deepStrictEqual(book.data.data.author, ['测试作者']);
+    });
+
+    it('etag 过期时返回 412 且不执行', async () => {
+        const id = await createBook(server.request, '批量版本测试');
+        const book = await server.request('GET', `/api/books/${id}`);
+        const etag = book.headers.get('etag');
+        const update = await server.request('PUT', `/api/books/${id}`, { json: { ...bookData('批量版本测试'), summary: '改过的简介' } });
+        assert.strictEqual(update.status, 200);
+
+        const res = await server.request('POST', '/api/books/batch', { json: { operations: [
+            { id, action: 'setTags', tags: '甲,乙', etag }
+        ] } });
+        assert.strictEqual(res.status, 412);
+        const after = await server.request('GET', `/api/books/${id}`);
+        assert.strictEqual(after.data.data.summary, '改过的简介');
+        assert.ok(!after.data.data.tags || after.data.data.tags.length === 0);
+    });
+
+    it('全部通过时一次执行', async () => {
+        const first = await createBook(server.request, '批量一');
+        const second = await createBook(server.request, '批量二');
+        const res = await server.request('POST', '/api/books/batch', { json: { operations: [
+            { id: first, action: 'setTags', tags: '甲,乙' },
+            { id: second, action: 'delete' }
+        ] } });
+        assert.strictEqual(res.status, 200);
+        const book = await server.request('GET', `/api/books/${first}`);
+        assert.deepStrictEqual(book.data.data.tags, ['甲', '乙']);
+        const deleted = await server.request('GET', `/api/books/${second}`);
+        assert.strictEqual(deleted.status, 404);
+    });
+});
+
+describe('书目导出导入', () => {
+    let server;
+    before(async () => { server = await start(); });
+    after(() => server.close());
+
+    it('CSV 导出时给可能被当成公式的单元格加单引号，导入后还原', async () => {
+        const original = { ...bookData('=HYPERLINK("http://example.com")'), summary: '-1+1', series: "'@系列" };
+        const created = await server.request('POST', '/api/books', { json: original });
+        assert.strictEqual(created.status, 201);
+        const id = created.data.data.id;
+
+        const csv = await server.request('GET', '/api/books/export?format=csv');
+        assert.strictEqual(csv.status, 200);
+        const text = csv.body.toString('utf8');
+        assert.ok(text.includes(`"'=HYPERLINK(""http://example.com"")"`));
+        assert.ok(text.includes(",'-1+1,"));
+        assert.ok(text.includes(",''@系列,"));
+
+        const changed = await server.request('PUT', `/api/books/${id}`, { json: { ...bookData('改过的书名'), summary: '改过的简介' } });
+        assert.strictEqual(changed.status, 200);
+        const imported = await server.request('POST', '/api/books/import?format=csv', { body: csv.body, headers: { 'Content-Type': 'text/csv' } });
+        assert.strictEqual(imported.status, 200);
+
+        const book = await server.request('GET', `/api/books/${id}`);
+        assert.strictEqual(book.data.data.book, original.book);
+        assert.strictEqual(book.data.data.summary, original.summary);
+        assert.strictEqual(book.data.data.series, original.series);
+    });
+});
+
+describe('章节', () => {
+    let server;
+    before(async () => { server = await start(); });
+    after(() => server.close());
+
+    it('读取、修改、添加和调整章节后全文保持一致', async () => {
+        const text = '前言文字\n第一章 开端\n开端正文\n第二章 发展\n发展正文\n';
+        const id = await createBook(server.request, '章节测试', text);
+
+        const list = await server.request('GET', `/api/books/${id}/chapters`);
+        assert.strictEqual(list.status, 200);
+        assert.deepStrictEqual(list.data.data.map(chapter => chapter.title), ['第一章 开端', '第二章 发展']);
+        assert.ok(list.data.preface);
+
+        const chapter = await server.request('GET', `/api/books/${id}/chapters/2`);
+        assert.strictEqual(chapter.data.data.content.trim(), '发展正文');
+
+        const renamed = await server.request('PUT', `/api/books/${id}/chapters/1`, { json: { title: '第一章 起点', content: '起点正文\n' } });
+        assert.strictEqual(renamed.status, 200);
+        const added = await server.request('POST', `/api/books/${id}/chapters`, { json: { title: '第三章 结局', content: '结局正文' } });
+        assert.strictEqual(added.status, 200);
+        const reordered = await server.request('PUT', `/api/books/${id}/chapters`, { json: { order: [3, 1, 2] } });
+        assert.strictEqual(reordered.status, 200);
+        assert.deepStrictEqual(reordered.data.data.map(item => item.title), ['第三章 结局', '第一章 起点', '第二章 发展']);
+
+        assert.strictEqual(await readContent(server.request, id), '前言文字\n第三章 结局\n结局正文\n第一章 起点\n起点正文\n第二章 发展\n发展正文\n');
+
+        const invalid = await server.request('PUT', `/api/books/${id}/chapters/1`, { json: { title: '不是章节标题' } });
+        assert.strictEqual(invalid.status, 400);
+    });
+});
+
+describe('备份和恢复', () => {
+    let server;
+    before(async () => { server = await start(); });
+    after(() => server.close());
+
+    it('删除后从备份恢复书籍和内容', async () => {
+        const id = await createBook(server.request, '恢复测试', '需要恢复的正文');
+        const backup = await server.request('GET', '/api/backup');
+        assert.strictEqual(backup.status, 200);
+        assert.strictEqual(backup.headers.get('content-type'), 'application/zip');
+
+        const removed = await server.request('DELETE', `/api/books/${id}`);
+        assert.strictEqual(removed.status, 200);
+
+        const zip = { body: backup.body, headers: { 'Content-Type': 'application/zip' } };
+        const dryRun = await server.request('POST', '/api/restore?mode=merge&dryRun=1', zip);
+        assert.strictEqual(dryRun.status, 200);
+        assert.strictEqual(dryRun.data.dryRun, true);
+        assert.strictEqual(dryRun.data.summary.created, 1);
+        assert.strictEqual((await server.request('GET', `/api/books/${id}`)).status, 404);
+
+        const restored = await server.request('POST', '/api/restore?mode=merge', zip);
+        assert.strictEqual(restored.status, 200);
+        const book = await server.request('GET', `/api/books/${id}`);
+        assert.strictEqual(book.status, 200);
+        assert.strictEqual(await readContent(server.request, id), '需要恢复的正文');
+    });
+
+    it('损坏的备份不会写入', async () => {
+        const res = await server.request('POST', '/api/restore?mode=replace', { body: Buffer.from('not a zip'), headers: { 'Content-Type': 'application/zip' } });
+        assert.ok(res.status >= 400);
+        assert.strictEqual(res.data.success, false);
+    });
+});
+
+describe('完整性检查和统计', () => {
+    let server;
+    before(async () => { server = await start(); });
+    after(() => server.close());
+
+    it('正常书库没有问题，统计包含新建的书籍', async () => {
+        await createBook(server.request, '统计测试', '一些正文');
+        const integrity = await server.request('GET', '/api/admin/integrity');
+        assert.strictEqual(integrity.status, 200);
+        assert.deepStrictEqual(integrity.data.data.issues, []);
+
+        const stats = await server.request('GET', '/api/stats');
+        assert.strictEqual(stats.status, 200);
+        assert.strictEqual(stats.data.data.totalBooks, 1);
+        assert.strictEqual(stats.data.data.totalCharacters, 4);
+    });
+});